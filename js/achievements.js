@@ -0,0 +1,126 @@
+// achievements.js - Achievement unlocking and the community leaderboard
+
+class AchievementEngine {
+    constructor() {
+        this.settings = CONFIG.GAMIFICATION;
+        this.periods = {
+            all: null,
+            month: 2592000000, // 30 days
+            week: 604800000 // 7 days
+        };
+    }
+
+    // Counts each achievement rule is checked against
+    getMetrics(user) {
+        const feedbacks = UTILS.storage.getFeedbacks().filter(f => f.authorId === user.id);
+        const reports = UTILS.storage.getReports().filter(r => r.authorId === user.id);
+        const votes = voteManager.getReceivedVotes(user.id);
+        const stats = UTILS.storage.getUserStats();
+
+        return {
+            feedbacks: feedbacks.length,
+            reports: reports.length,
+            upvotes: votes.upvote,
+            helpfulVotes: votes.helpful,
+            voiceInputs: stats.voiceInputs || 0,
+            rewards: [...feedbacks, ...reports].filter(item => item.blockchain_reward || item.reward_voucher).length
+        };
+    }
+
+    // Returns every achievement with progress and unlocks newly earned ones
+    evaluate(user) {
+        const metrics = this.getMetrics(user);
+        const stats = UTILS.storage.getUserStats();
+        const earned = new Set(stats.achievements || []);
+        const unlocked = [];
+
+        const achievements = this.settings.ACHIEVEMENTS.map(achievement => {
+            const progress = metrics[achievement.metric] || 0;
+            const isEarned = earned.has(achievement.id) || progress >= achievement.threshold;
+
+            if (isEarned && !earned.has(achievement.id)) {
+                earned.add(achievement.id);
+                unlocked.push(achievement);
+            }
+
+            return {
+                ...achievement,
+                progress: Math.min(progress, achievement.threshold),
+                earned: isEarned
+            };
+        });
+
+        if (unlocked.length > 0) {
+            UTILS.storage.updateUserStats({ ...stats, achievements: [...earned] });
+            unlocked.forEach(achievement => {
+                console.log('🏅 Achievement unlocked:', achievement.id);
+                if (typeof showNotification === 'function') {
+                    showNotification(`${achievement.icon} Achievement unlocked: ${achievement.title}!`, 'success', 6000);
+                }
+            });
+        }
+
+        return achievements;
+    }
+
+    getLevel(points) {
+        return Math.floor(points / this.settings.POINTS_PER_LEVEL) + 1;
+    }
+
+    // Contributors ranked by contribution points plus the votes their items received
+    getLeaderboard(period = 'all', now = Date.now()) {
+        const points = this.settings.POINTS;
+        const range = this.periods[period] || null;
+        const since = range ? now - range : 0;
+        const votes = voteManager.getVotes().filter(v => v.at >= since);
+        const contributors = new Map();
+
+        const addItems = (items, targetType, itemPoints) => {
+            // Anonymous contributions never count towards a public ranking
+            items.filter(item => !item.anonymous && item.author && item.author !== 'Anonymous').forEach(item => {
+                // Older items without an author id are grouped by display name
+                const key = item.authorId || `name:${item.author}`;
+                const entry = contributors.get(key) || {
+                    id: key,
+                    name: item.author,
+                    contributions: 0,
+                    upvotes: 0,
+                    helpfulVotes: 0,
+                    points: 0
+                };
+
+                if ((item.timestamp || 0) >= since) {
+                    entry.contributions++;
+                    entry.points += itemPoints;
+                }
+
+                votes.forEach(vote => {
+                    if (vote.targetType !== targetType || vote.targetId !== item.id) return;
+                    if (vote.voteType === 'helpful') {
+                        entry.helpfulVotes++;
+                        entry.points += points.HELPFUL_RECEIVED;
+                    } else {
+                        entry.upvotes++;
+                        entry.points += points.UPVOTE_RECEIVED;
+                    }
+                });
+
+                contributors.set(key, entry);
+            });
+        };
+
+        addItems(UTILS.storage.getFeedbacks(), 'feedback', points.FEEDBACK);
+        addItems(UTILS.storage.getReports(), 'report', points.REPORT);
+
+        return [...contributors.values()]
+            .filter(entry => entry.points > 0)
+            .sort((a, b) => b.points - a.points)
+            .map((entry, index) => ({ ...entry, level: this.getLevel(entry.points), rank: index + 1 }));
+    }
+}
+
+// Initialize achievement engine
+const achievementEngine = new AchievementEngine();
+
+// Export for global use
+window.achievementEngine = achievementEngine;
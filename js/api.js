@@ -33,6 +33,14 @@ class APIManager {
                     ...config.params,
                     _t: Date.now()
                 };
+
+                // Rate limits are applied per wallet and device as well as per account
+                const client = this.getClientContext();
+                config.headers = {
+                    ...config.headers,
+                    'X-Device-Fingerprint': client.device,
+                    ...(client.wallet ? { 'X-Wallet-Address': client.wallet } : {})
+                };
                 return config;
             },
             (error) => {
@@ -221,10 +229,15 @@ class APIManager {
         return await this.post(CONFIG.API.ENDPOINTS.FEEDBACK.CREATE, feedbackData);
     }
 
+    // Pass { limit, cursor } for a page, responses carry nextCursor and hasMore
     async getFeedbacks(params = {}) {
         return await this.get(CONFIG.API.ENDPOINTS.FEEDBACK.LIST, params);
     }
 
+    async getFeedback(id) {
+        return await this.get(`${CONFIG.API.ENDPOINTS.FEEDBACK.LIST}/${id}`);
+    }
+
     async updateFeedback(id, feedbackData) {
         return await this.put(`${CONFIG.API.ENDPOINTS.FEEDBACK.UPDATE}/${id}`, feedbackData);
     }
@@ -237,6 +250,34 @@ class APIManager {
         return await this.post(CONFIG.API.ENDPOINTS.FEEDBACK.MODERATE, feedbackData);
     }
 
+    // Comment methods
+    async getComments(feedbackId) {
+        return await this.get(`${CONFIG.API.ENDPOINTS.FEEDBACK.LIST}/${feedbackId}${CONFIG.API.ENDPOINTS.FEEDBACK.COMMENTS}`);
+    }
+
+    // Official responses are limited to staff roles
+    async createComment(feedbackId, commentData) {
+        if (commentData.type === 'official' && !this.isStaffRole(commentData.authorRole)) {
+            throw new Error('Only faculty and staff can post official responses');
+        }
+
+        return await this.post(
+            `${CONFIG.API.ENDPOINTS.FEEDBACK.LIST}/${feedbackId}${CONFIG.API.ENDPOINTS.FEEDBACK.COMMENTS}`,
+            commentData
+        );
+    }
+
+    async updateComment(feedbackId, commentId, commentData) {
+        return await this.put(
+            `${CONFIG.API.ENDPOINTS.FEEDBACK.LIST}/${feedbackId}${CONFIG.API.ENDPOINTS.FEEDBACK.COMMENTS}/${commentId}`,
+            commentData
+        );
+    }
+
+    isStaffRole(role) {
+        return CONFIG.ROLES.STAFF.includes(role);
+    }
+
     // Report methods
     async createReport(reportData, files = null) {
         if (files && files.length > 0) {
@@ -258,12 +299,86 @@ class APIManager {
         }
     }
 
+    // Paginated like getFeedbacks
     async getReports(params = {}) {
         return await this.get(CONFIG.API.ENDPOINTS.REPORTS.LIST, params);
     }
 
-    async updateReport(id, reportData) {
-        return await this.put(`${CONFIG.API.ENDPOINTS.REPORTS.UPDATE}/${id}`, reportData);
+    async getReport(id) {
+        return await this.get(`${CONFIG.API.ENDPOINTS.REPORTS.LIST}/${id}`);
+    }
+
+    // Status changes must follow CONFIG.REPORTS.LIFECYCLE and are appended to the report history.
+    // A note goes with the status change, or into the internal notes when the status stays.
+    async updateReport(id, reportData, options = {}) {
+        let payload = { ...reportData };
+
+        if (payload.status || options.note) {
+            const response = await this.getReport(id);
+            const current = response?.data?.report;
+            if (!current) {
+                throw new Error(`Report ${id} not found`);
+            }
+
+            const actor = options.actor || this.getActorName();
+            if (payload.status) {
+                payload = {
+                    ...payload,
+                    ...UTILS.lifecycle.transition(current, payload.status, { actor, note: options.note })
+                };
+            } else {
+                payload.internalNotes = [...(payload.internalNotes || current.internalNotes || []), {
+                    id: UTILS.generateId(),
+                    text: options.note,
+                    by: actor,
+                    at: Date.now()
+                }];
+            }
+        }
+
+        // A report resolved as valid tops up its author's reward in the server's ledger, not in the
+        // ledger of the staff member resolving it
+        return await this.put(`${CONFIG.API.ENDPOINTS.REPORTS.UPDATE}/${id}`, payload);
+    }
+
+    async deleteReport(id) {
+        return await this.delete(`${CONFIG.API.ENDPOINTS.REPORTS.DELETE}/${id}`);
+    }
+
+    getActorName() {
+        const user = UTILS.storage.get('user') || window.app?.user;
+        return user?.name || 'system';
+    }
+
+    getActorRole() {
+        const user = UTILS.storage.get('user') || window.app?.user;
+        return user?.role || CONFIG.ROLES.DEFAULT;
+    }
+
+    // Who a submission counts against for rate limiting
+    getClientContext() {
+        const user = UTILS.storage.get('user') || window.app?.user;
+        const wallet = typeof web3Manager !== 'undefined' && web3Manager && web3Manager.isConnected ? web3Manager.account : null;
+
+        return {
+            userId: user?.id || null,
+            wallet: wallet,
+            device: typeof SubmissionRateLimiter !== 'undefined' ? SubmissionRateLimiter.getDeviceFingerprint() : null
+        };
+    }
+
+    // Abuse methods, the server answers 429 when a submission is over its limits or a near-duplicate
+    async registerSubmission(action, text) {
+        return await this.post(CONFIG.API.ENDPOINTS.ABUSE.SUBMISSIONS, { action, text });
+    }
+
+    // Privacy methods, the server only returns originals to CONFIG.PRIVACY.PII.ORIGINALS_ROLES
+    async storeRedactedOriginal(record) {
+        return await this.post(CONFIG.API.ENDPOINTS.PRIVACY.ORIGINALS, record);
+    }
+
+    async getRedactedOriginal(targetType, targetId) {
+        return await this.get(`${CONFIG.API.ENDPOINTS.PRIVACY.ORIGINALS}/${targetType}/${encodeURIComponent(targetId)}`);
     }
 
     // AI methods
@@ -271,6 +386,30 @@ class APIManager {
         return await this.post(CONFIG.API.ENDPOINTS.AI.MODERATE, { text });
     }
 
+    async getModerationRules() {
+        return await this.get(CONFIG.API.ENDPOINTS.AI.RULES);
+    }
+
+    async publishModerationRules(ruleSet) {
+        return await this.post(CONFIG.API.ENDPOINTS.AI.RULES, ruleSet);
+    }
+
+    async getLanguagePacks() {
+        return await this.get(CONFIG.API.ENDPOINTS.AI.LANGUAGE_PACKS);
+    }
+
+    async installLanguagePack(pack) {
+        return await this.post(CONFIG.API.ENDPOINTS.AI.LANGUAGE_PACKS, pack);
+    }
+
+    async removeLanguagePack(code) {
+        return await this.delete(`${CONFIG.API.ENDPOINTS.AI.LANGUAGE_PACKS}/${encodeURIComponent(code)}`);
+    }
+
+    async recordModerationDecision(entry) {
+        return await this.post(CONFIG.API.ENDPOINTS.MODERATION.AUDIT, entry);
+    }
+
     async analyzeSentiment(text) {
         return await this.post(CONFIG.API.ENDPOINTS.AI.SENTIMENT, { text });
     }
@@ -292,6 +431,14 @@ class APIManager {
         return await this.get(CONFIG.API.ENDPOINTS.GAMIFICATION.POINTS);
     }
 
+    async castVote(vote) {
+        return await this.post(CONFIG.API.ENDPOINTS.GAMIFICATION.VOTES, vote);
+    }
+
+    async removeVote(voteId) {
+        return await this.delete(`${CONFIG.API.ENDPOINTS.GAMIFICATION.VOTES}/${voteId}`);
+    }
+
     // Blockchain methods
     async transferReward(recipientAddress, amount, txHash) {
         return await this.post(CONFIG.API.ENDPOINTS.BLOCKCHAIN.TRANSFER, {
@@ -304,6 +451,15 @@ class APIManager {
     async getBalance(address) {
         return await this.get(CONFIG.API.ENDPOINTS.BLOCKCHAIN.BALANCE, { address });
     }
+
+    // The server signs a voucher for an approved submission, the amount is its decision
+    async requestRewardVoucher(request) {
+        return await this.post(CONFIG.API.ENDPOINTS.BLOCKCHAIN.VOUCHERS, request);
+    }
+
+    async getRewardVouchers(recipient) {
+        return await this.get(CONFIG.API.ENDPOINTS.BLOCKCHAIN.VOUCHERS, { recipient });
+    }
 }
 
 // Initialize API Manager
@@ -315,6 +471,7 @@ const MOCK_DATA = {
         id: '1',
         name: 'John Doe',
         email: 'john@example.com',
+        role: 'student',
         points: 150.450,
         level: 2,
         achievements: ['first-feedback', 'helpful-contributor'],
@@ -366,7 +523,10 @@ const MOCK_DATA = {
             urgency: 'medium',
             author: 'Mike Johnson',
             timestamp: Date.now() - 43200000,
-            status: 'pending',
+            status: 'submitted',
+            history: [
+                { from: null, to: 'submitted', by: 'Mike Johnson', note: '', at: Date.now() - 43200000 }
+            ],
             images: []
         },
         {
@@ -379,9 +539,37 @@ const MOCK_DATA = {
             author: 'Sarah Wilson',
             timestamp: Date.now() - 86400000,
             status: 'in_progress',
+            history: [
+                { from: null, to: 'submitted', by: 'Sarah Wilson', note: '', at: Date.now() - 86400000 },
+                { from: 'submitted', to: 'triaged', by: 'Facilities Desk', note: '', at: Date.now() - 82800000 },
+                { from: 'triaged', to: 'assigned', by: 'Facilities Desk', note: 'Grounds crew', at: Date.now() - 79200000 },
+                { from: 'assigned', to: 'in_progress', by: 'Grounds crew', note: '', at: Date.now() - 43200000 }
+            ],
             images: []
         }
     ],
+    comments: [
+        {
+            id: 'c1',
+            feedbackId: '2',
+            parentId: null,
+            author: 'Dining Services',
+            authorRole: 'staff',
+            type: 'official',
+            content: 'Thanks for the feedback! A new salad bar and daily vegetarian specials start next month.',
+            timestamp: Date.now() - 86400000
+        },
+        {
+            id: 'c2',
+            feedbackId: '2',
+            parentId: 'c1',
+            author: 'Jane Smith',
+            authorRole: 'student',
+            type: 'comment',
+            content: 'Great news, looking forward to it!',
+            timestamp: Date.now() - 43200000
+        }
+    ],
     leaderboard: [
         { id: '1', name: 'Alice Smith', points: 500.123, level: 5, rank: 1 },
         { id: '2', name: 'Bob Johnson', points: 350.456, level: 3, rank: 2 },
@@ -435,16 +623,325 @@ const MOCK_DATA = {
 
 // Enhanced Mock API responses for development
 const MOCK_API = {
+    // Feedback posted in this browser is served alongside the mock feedback
+    getFeedbackStore() {
+        const stored = (typeof UTILS !== 'undefined' && UTILS.storage) ? UTILS.storage.getFeedbacks() : [];
+        const storedIds = new Set(stored.map(f => f.id));
+        return [...stored, ...MOCK_DATA.feedbacks.filter(f => !storedIds.has(f.id))];
+    },
+
+    encodeCursor(item) {
+        return btoa(JSON.stringify({ t: item.timestamp || 0, id: String(item.id) }));
+    },
+
+    decodeCursor(cursor) {
+        try {
+            return JSON.parse(atob(cursor));
+        } catch (error) {
+            throw new Error('Invalid pagination cursor');
+        }
+    },
+
+    // Newest-first keyset pagination, the cursor marks the last item already served.
+    // Without a limit every item is returned in one page.
+    paginate(items, params = {}) {
+        const keyOf = (item) => ({ t: item.timestamp || 0, id: String(item.id) });
+        const compare = (a, b) => (b.t - a.t) || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+        const sorted = [...items].sort((a, b) => compare(keyOf(a), keyOf(b)));
+        const limit = parseInt(params.limit) || 0;
+
+        if (!limit) {
+            return { items: sorted, nextCursor: null, hasMore: false, total: sorted.length };
+        }
+
+        let start = 0;
+        if (params.cursor) {
+            const after = this.decodeCursor(params.cursor);
+            start = sorted.findIndex(item => compare(after, keyOf(item)) < 0);
+            if (start < 0) start = sorted.length;
+        }
+
+        const page = sorted.slice(start, start + limit);
+        const hasMore = start + limit < sorted.length;
+
+        return {
+            items: page,
+            nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+            hasMore: hasMore,
+            total: sorted.length
+        };
+    },
+
+    // Reports filed in this browser are served alongside the mock reports
+    getReportStore() {
+        const stored = (typeof UTILS !== 'undefined' && UTILS.storage) ? UTILS.storage.getReports() : [];
+        const storedIds = new Set(stored.map(r => r.id));
+        return [...stored, ...MOCK_DATA.reports.filter(r => !storedIds.has(r.id))];
+    },
+
+    // Server-side limiter with its own log, enforcing the same CONFIG.RATE_LIMITS as the client
+    getRateLimiter() {
+        if (!this.rateLimiter) {
+            this.rateLimiter = new SubmissionRateLimiter({ storageKey: 'mock_submission_log' });
+        }
+        return this.rateLimiter;
+    },
+
+    // Server-side ledger, enforcing the same caps and pool budget as the client
+    getRewardLedger() {
+        if (!this.rewardLedger) {
+            this.rewardLedger = new RewardLedger({ storageKey: 'mock_reward_ledger' });
+        }
+        return this.rewardLedger;
+    },
+
+    getVoucherStore() {
+        const stored = UTILS.storage.get('mock_reward_vouchers');
+        return Array.isArray(stored) ? stored : [];
+    },
+
+    // The first wallet an account receives a reward with stays its payout wallet, the way a
+    // backend would keep the wallet linked to the account
+    bindAuthorWallet(userId, wallet) {
+        const bindings = UTILS.storage.get('mock_author_wallets') || {};
+        if (!bindings[userId] && wallet) {
+            bindings[userId] = wallet;
+            UTILS.storage.set('mock_author_wallets', bindings);
+        }
+        return bindings[userId] || null;
+    },
+
+    // Derived from the submission, so however often a voucher is issued for it the claim
+    // contract pays it only once
+    getVoucherNonce(submissionType, submissionId, kind = 'reward') {
+        const key = `campusfeedback:${kind === 'reward' ? '' : `${kind}:`}${submissionType}:${submissionId}`;
+        if (typeof Web3 !== 'undefined' && Web3.utils) {
+            return BigInt(Web3.utils.sha3(key)).toString();
+        }
+        return [...key].reduce((n, char) => (n * 131n + BigInt(char.charCodeAt(0))) % (1n << 256n), 0n).toString();
+    },
+
+    // Stands in for the backend signer. The reward node signs for the pool account when one is
+    // configured (Anvil and Hardhat unlock it), otherwise the voucher is an unsigned demo voucher.
+    async issueRewardVoucher({ submissionId, submissionType, recipient, kind = 'reward' }) {
+        if (!UTILS.blockchain.isValidAddress(recipient)) {
+            throw new Error('A valid recipient address is required');
+        }
+
+        const submissions = submissionType === 'report' ? this.getReportStore() : this.getFeedbackStore();
+        const submission = submissions.find(item => item.id === submissionId);
+        const moderation = CONFIG.AI.MODERATION;
+        if (!submission || [moderation.REVIEW_STATUS, moderation.REJECTED_STATUS].includes(submission.status)) {
+            throw new Error('Vouchers are only issued for approved submissions');
+        }
+
+        // Only the author is paid, and only to the wallet bound to their account
+        const client = api.getClientContext();
+        if (!client.userId || client.userId !== submission.authorId) {
+            const error = new Error('Only the author of a submission can receive its reward');
+            error.status = 403;
+            throw error;
+        }
+        const authorWallet = this.bindAuthorWallet(client.userId, client.wallet);
+        if (!authorWallet || recipient.toLowerCase() !== authorWallet.toLowerCase()) {
+            const error = new Error(authorWallet ?
+                `Rewards for this account are paid to ${authorWallet}` :
+                'Connect the wallet that should receive your rewards');
+            error.status = 403;
+            throw error;
+        }
+
+        const vouchers = this.getVoucherStore();
+        const existing = vouchers.find(voucher =>
+            voucher.submissionId === submissionId &&
+            voucher.submissionType === submissionType &&
+            (voucher.kind || 'reward') === kind
+        );
+        if (existing) return existing;
+
+        const ledger = this.getRewardLedger();
+        const rewardRecipient = RewardLedger.getRecipientKey(client);
+        ledger.releaseDue(rewardRecipient);
+
+        // Bonuses come from a resolution recorded in the ledger, rewards are priced by quality here
+        let reward;
+        if (kind === 'bonus') {
+            reward = ledger.getEntry(submissionType, submissionId, 'bonus');
+            if (!reward || reward.status === 'failed') {
+                throw new Error('No bonus is due for this submission');
+            }
+        } else {
+            const quality = typeof qualityScorer !== 'undefined' ? qualityScorer.score(submission, submissionType).quality : 'normal';
+            reward = ledger.authorize({
+                submissionId,
+                submissionType,
+                recipient: rewardRecipient,
+                amount: UTILS.rewards.calculateReward(submissionType, quality),
+                quality
+            });
+        }
+        if (reward.status !== 'granted') {
+            const error = new Error(reward.reason);
+            error.status = 409;
+            error.code = reward.code;
+            error.rewardStatus = reward.status;
+            error.deferredUntil = reward.deferredUntil;
+            throw error;
+        }
+
+        const contract = CONFIG.BLOCKCHAIN.CONTRACT;
+        const voucher = {
+            submissionId: submissionId,
+            submissionType: submissionType,
+            kind: kind,
+            recipient: authorWallet,
+            amount: Web3ManagerStable.toTokenUnits(reward.amount, contract.TOKEN_DECIMALS),
+            tokenAmount: reward.amount,
+            quality: reward.quality,
+            nonce: this.getVoucherNonce(submissionType, submissionId, kind),
+            expiry: Math.floor((Date.now() + CONFIG.BLOCKCHAIN.VOUCHERS.TTL) / 1000),
+            chainId: parseInt(CONFIG.BLOCKCHAIN.NETWORK.chainId, 16),
+            verifyingContract: contract.CLAIM_ADDRESS,
+            issuedAt: Date.now(),
+            signature: null,
+            demo: true,
+            status: 'issued'
+        };
+
+        if (contract.REWARD_RPC_URL && contract.CLAIM_ADDRESS && typeof Web3 !== 'undefined') {
+            const signer = new Web3(contract.REWARD_RPC_URL);
+            voucher.chainId = Number(await signer.eth.getChainId());
+            voucher.signature = await signer.eth.signTypedData(
+                contract.SENDER_ADDRESS,
+                Web3ManagerStable.getVoucherTypedData(voucher)
+            );
+            voucher.demo = false;
+        }
+
+        UTILS.storage.set('mock_reward_vouchers', [...vouchers, voucher]);
+        return voucher;
+    },
+
+    // Held content earns its reward once a moderator approves it. The reward is owed to the author,
+    // not to the moderator making the change, and waits here until the author asks for vouchers.
+    queueApprovalReward(submissionType, before, after) {
+        const held = [CONFIG.AI.MODERATION.REVIEW_STATUS, CONFIG.AI.MODERATION.REJECTED_STATUS];
+        if (!held.includes(before.status) || held.includes(after.status)) return;
+
+        const recipient = RewardLedger.getRecipientKey({ userId: after.authorId });
+        if (!recipient) return;
+
+        const quality = typeof qualityScorer !== 'undefined' ? qualityScorer.score(after, submissionType).quality : 'normal';
+        this.getRewardLedger().queue({
+            submissionId: after.id,
+            submissionType: submissionType,
+            recipient: recipient,
+            amount: UTILS.rewards.calculateReward(submissionType, quality),
+            quality: quality,
+            reason: 'Approved by a moderator, paid when you next connect your wallet'
+        });
+    },
+
+    // Rewards and bonuses waiting for the author are issued as vouchers when they fetch theirs.
+    // Ones still over a cap stay deferred and are tried again next time.
+    async issueOwedVouchers(recipient) {
+        const client = api.getClientContext();
+        if (!client.userId || !UTILS.blockchain.isValidAddress(recipient || '')) return;
+
+        const now = Date.now();
+        const owed = this.getRewardLedger().getEntries().filter(entry =>
+            entry.recipient === RewardLedger.getRecipientKey(client) &&
+            entry.status === 'deferred' &&
+            entry.deferredUntil <= now
+        );
+        for (const entry of owed) {
+            try {
+                await this.issueRewardVoucher({
+                    submissionId: entry.submissionId,
+                    submissionType: entry.submissionType,
+                    recipient: recipient,
+                    kind: entry.kind
+                });
+            } catch (error) {
+                console.warn('⚠️ Owed reward not issued:', entry.id, error.message);
+            }
+        }
+    },
+
+    // Stands in for the server-side restricted store of redacted originals
+    getOriginalStore() {
+        const data = UTILS.storage.get('pii_originals');
+        return data && typeof data === 'object' ? data : {};
+    },
+
+    notFound(resource) {
+        const error = new Error(`${resource} not found`);
+        error.status = 404;
+        return error;
+    },
+
+    getResourceId(endpoint, resource) {
+        const match = endpoint.match(new RegExp(`/${resource}/([^/?]+)`));
+        return match ? decodeURIComponent(match[1]) : null;
+    },
+
+    // Comments posted in this browser are served alongside the mock comments
+    getCommentStore(feedbackId) {
+        const stored = (typeof UTILS !== 'undefined' && UTILS.storage) ? UTILS.storage.getComments(feedbackId) : [];
+        const storedIds = new Set(stored.map(c => c.id));
+        return [
+            ...MOCK_DATA.comments.filter(c => c.feedbackId === feedbackId && !storedIds.has(c.id)),
+            ...stored
+        ];
+    },
+
     async get(endpoint, params) {
         console.log('🔄 Mock GET:', endpoint, params);
         
         // Simulate network delay
         await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 300));
         
-        if (endpoint.includes('feedback')) {
-            return { success: true, data: { feedbacks: MOCK_DATA.feedbacks, total: MOCK_DATA.feedbacks.length } };
+        if (endpoint.includes('blockchain/vouchers')) {
+            await this.issueOwedVouchers(params.recipient);
+            const recipient = (params.recipient || '').toLowerCase();
+            const vouchers = this.getVoucherStore().filter(voucher => voucher.recipient.toLowerCase() === recipient);
+            return { success: true, data: { vouchers } };
+        } else if (endpoint.includes('privacy/originals')) {
+            if (!CONFIG.PRIVACY.PII.ORIGINALS_ROLES.includes(api.getActorRole())) {
+                throw new Error('Not authorised to read original content');
+            }
+            const [, , , targetType, targetId] = endpoint.split('/');
+            const original = this.getOriginalStore()[`${targetType}:${decodeURIComponent(targetId)}`] || null;
+            return { success: true, data: { original } };
+        } else if (endpoint.includes('moderation-rules')) {
+            // Published rule sets live in storage, the mock serves them back
+            return { success: true, data: { ruleSets: UTILS.storage.get('moderation_rule_sets') || [] } };
+        } else if (endpoint.includes('language-packs')) {
+            // Installed packs live in storage, the mock serves them back
+            return { success: true, data: { packs: UTILS.storage.get('language_packs') || [] } };
+        } else if (endpoint.includes('/comments')) {
+            const comments = this.getCommentStore(this.getResourceId(endpoint, 'feedback'));
+            return { success: true, data: { comments, total: comments.length } };
+        } else if (endpoint.includes('feedback')) {
+            const feedbacks = this.getFeedbackStore();
+            const feedbackId = this.getResourceId(endpoint, 'feedback');
+            if (feedbackId) {
+                const feedback = feedbacks.find(f => f.id === feedbackId);
+                if (!feedback) throw this.notFound('Feedback');
+                return { success: true, data: { feedback } };
+            }
+            const { items, nextCursor, hasMore, total } = this.paginate(feedbacks, params);
+            return { success: true, data: { feedbacks: items, total, nextCursor, hasMore } };
         } else if (endpoint.includes('reports')) {
-            return { success: true, data: { reports: MOCK_DATA.reports, total: MOCK_DATA.reports.length } };
+            const reports = this.getReportStore();
+            const reportId = this.getResourceId(endpoint, 'reports');
+            if (reportId) {
+                const report = reports.find(r => r.id === reportId);
+                if (!report) throw this.notFound('Report');
+                return { success: true, data: { report } };
+            }
+            const { items, nextCursor, hasMore, total } = this.paginate(reports, params);
+            return { success: true, data: { reports: items, total, nextCursor, hasMore } };
         } else if (endpoint.includes('leaderboard')) {
             return { success: true, data: { leaderboard: MOCK_DATA.leaderboard } };
         } else if (endpoint.includes('achievements')) {
@@ -464,15 +961,36 @@ const MOCK_API = {
         // Simulate network delay
         await new Promise(resolve => setTimeout(resolve, Math.random() * 1500 + 500));
         
-        if (endpoint.includes('moderate')) {
-            // Enhanced AI moderation simulation
+        if (endpoint.includes('abuse/submissions')) {
+            this.getRateLimiter().enforce(data.action, api.getClientContext(), data.text);
+            return { success: true, data: { accepted: true }, message: 'Submission accepted' };
+        } else if (endpoint.includes('blockchain/vouchers')) {
+            const voucher = await this.issueRewardVoucher(data);
+            return { success: true, data: { voucher }, message: 'Reward voucher issued' };
+        } else if (endpoint.includes('privacy/originals')) {
+            const originals = this.getOriginalStore();
+            originals[`${data.targetType}:${data.targetId}`] = data;
+            UTILS.storage.set('pii_originals', originals);
+            return { success: true, data: {}, message: 'Original stored' };
+        } else if (endpoint.includes('moderation-rules')) {
+            return { success: true, data: { ruleSet: data }, message: `Rule set v${data.version} published` };
+        } else if (endpoint.includes('language-packs')) {
+            return { success: true, data: { pack: data }, message: `Language pack "${data.code}" installed` };
+        } else if (endpoint.includes('moderation/audit')) {
+            // The audit log is kept client-side, the mock only acknowledges entries
+            return { success: true, data: { entry: data }, message: 'Decision recorded' };
+        } else if (endpoint.includes('moderate')) {
+            // Enhanced AI moderation simulation, English word list plus the detected language's pack rules
             const text = data.text.toLowerCase();
+            const language = data.language || languagePacks.detect(data.text).code;
             const badWords = ['bad', 'hate', 'stupid', 'awful', 'terrible', 'sucks', 'damn', 'crap'];
-            const isFoul = badWords.some(word => text.includes(word));
+            const isFoul = badWords.some(word => text.includes(word)) ||
+                languagePacks.getRules(language).some(rule => LocalRulesModerationProvider.findMatches(rule, data.text).length > 0);
             
             return {
                 success: true,
                 data: {
+                    language,
                     is_appropriate: !isFoul,
                     confidence: 0.95,
                     flags: isFoul ? ['inappropriate_language'] : [],
@@ -483,13 +1001,13 @@ const MOCK_API = {
                 }
             };
         } else if (endpoint.includes('sentiment')) {
-            // Enhanced sentiment analysis simulation
+            // Enhanced sentiment analysis simulation with the detected language's lexicon
             const text = data.text.toLowerCase();
+            const language = languagePacks.detect(data.text);
             let sentiment = 'neutral';
             let confidence = 0.85;
             
-            const positiveWords = ['great', 'good', 'excellent', 'amazing', 'wonderful', 'fantastic', 'love', 'like'];
-            const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'dislike', 'poor', 'worst'];
+            const { positive: positiveWords, negative: negativeWords } = languagePacks.getLexicon(language.code);
             
             const positiveCount = positiveWords.filter(word => text.includes(word)).length;
             const negativeCount = negativeWords.filter(word => text.includes(word)).length;
@@ -507,6 +1025,7 @@ const MOCK_API = {
                 data: {
                     sentiment,
                     confidence,
+                    language: language.code,
                     scores: {
                         positive: sentiment === 'positive' ? confidence : (1 - confidence) / 2,
                         neutral: sentiment === 'neutral' ? confidence : (1 - confidence) / 2,
@@ -514,27 +1033,50 @@ const MOCK_API = {
                     }
                 }
             };
+        } else if (endpoint.includes('/comments')) {
+            // Add comment
+            if (data.type === 'official' && !CONFIG.ROLES.STAFF.includes(data.authorRole)) {
+                throw new Error('Only faculty and staff can post official responses');
+            }
+
+            const newComment = {
+                id: Date.now().toString(36),
+                parentId: null,
+                type: 'comment',
+                ...data,
+                feedbackId: this.getResourceId(endpoint, 'feedback'),
+                timestamp: Date.now()
+            };
+            UTILS.storage.saveComment(newComment);
+
+            return { success: true, data: { comment: newComment }, message: 'Comment posted successfully!' };
+        } else if (endpoint.includes('/votes')) {
+            // Votes are stored client-side, the mock only acknowledges them
+            return { success: true, data: { vote: data }, message: 'Vote recorded!' };
         } else if (endpoint.includes('feedback')) {
             // Add feedback
+            this.getRateLimiter().enforce('feedback', api.getClientContext(), `${data.title}\n${data.content}`);
             const newFeedback = {
                 id: Date.now().toString(),
                 ...data,
                 author: data.isAnonymous ? 'Anonymous' : MOCK_DATA.user.name,
                 timestamp: Date.now(),
-                status: 'approved',
-                sentiment: 'positive'
+                status: data.status || 'approved',
+                sentiment: data.sentiment || 'neutral'
             };
             MOCK_DATA.feedbacks.unshift(newFeedback);
             
             return { success: true, data: { feedback: newFeedback }, message: 'Feedback submitted successfully!' };
         } else if (endpoint.includes('reports')) {
             // Add report
+            this.getRateLimiter().enforce('report', api.getClientContext(), `${data.title}\n${data.description}`);
             const newReport = {
                 id: Date.now().toString(),
                 ...data,
                 author: MOCK_DATA.user.name,
                 timestamp: Date.now(),
-                status: 'pending'
+                status: CONFIG.REPORTS.LIFECYCLE.INITIAL,
+                history: [UTILS.lifecycle.createEntry(null, CONFIG.REPORTS.LIFECYCLE.INITIAL, MOCK_DATA.user.name)]
             };
             MOCK_DATA.reports.unshift(newReport);
             
@@ -572,12 +1114,81 @@ const MOCK_API = {
     async put(endpoint, data) {
         console.log('🔄 Mock PUT:', endpoint, data);
         await new Promise(resolve => setTimeout(resolve, 800));
+
+        if (endpoint.includes('reports')) {
+            const reportId = this.getResourceId(endpoint, 'reports');
+            const current = this.getReportStore().find(r => r.id === reportId);
+            if (!current) {
+                throw new Error(`Report ${reportId} not found`);
+            }
+
+            const updated = { ...current, ...data, id: reportId, updatedAt: Date.now() };
+            if (data.status && typeof qualityScorer !== 'undefined') {
+                qualityScorer.applyResolution(this.getRewardLedger(), updated);
+            }
+            this.queueApprovalReward('report', current, updated);
+            const mockIndex = MOCK_DATA.reports.findIndex(r => r.id === reportId);
+            if (mockIndex >= 0) {
+                MOCK_DATA.reports[mockIndex] = updated;
+            }
+            // Reports submitted in this browser are also in storage, which takes precedence on reads
+            if (mockIndex < 0 || UTILS.storage.getReports().some(r => r.id === reportId)) {
+                UTILS.storage.saveReport(updated);
+            }
+
+            return { success: true, data: { report: updated }, message: 'Report updated successfully!' };
+        }
+
+        if (endpoint.includes('/comments')) {
+            const commentId = this.getResourceId(endpoint, 'comments');
+            const current = UTILS.storage.getComments().find(c => c.id === commentId);
+            if (!current) {
+                throw new Error(`Comment ${commentId} not found`);
+            }
+
+            UTILS.storage.saveComment({ ...current, ...data, id: commentId });
+            const updated = UTILS.storage.getComments().find(c => c.id === commentId);
+
+            return { success: true, data: { comment: updated }, message: 'Comment updated successfully!' };
+        }
+
+        if (endpoint.includes('feedback')) {
+            const feedbackId = this.getResourceId(endpoint, 'feedback');
+            const current = UTILS.storage.getFeedbacks().find(f => f.id === feedbackId);
+            if (!current) {
+                throw new Error(`Feedback ${feedbackId} not found`);
+            }
+
+            UTILS.storage.saveFeedback({ ...data, id: feedbackId });
+            const updated = UTILS.storage.getFeedbacks().find(f => f.id === feedbackId);
+            this.queueApprovalReward('feedback', current, updated);
+
+            return { success: true, data: { feedback: updated }, message: 'Feedback updated successfully!' };
+        }
+
         return { success: true, data: {}, message: 'Update successful!' };
     },
 
     async delete(endpoint) {
         console.log('🗑️ Mock DELETE:', endpoint);
         await new Promise(resolve => setTimeout(resolve, 500));
+
+        if (endpoint.includes('reports')) {
+            const reportId = this.getResourceId(endpoint, 'reports');
+            const mockIndex = MOCK_DATA.reports.findIndex(r => r.id === reportId);
+            if (mockIndex >= 0) {
+                MOCK_DATA.reports.splice(mockIndex, 1);
+            } else {
+                UTILS.storage.deleteReport(reportId);
+            }
+        }
+
+        if (endpoint.includes('feedback')) {
+            const feedbackId = this.getResourceId(endpoint, 'feedback');
+            UTILS.storage.deleteFeedback(feedbackId);
+            UTILS.storage.getComments(feedbackId).forEach(comment => UTILS.storage.deleteComment(comment.id));
+        }
+
         return { success: true, message: 'Deletion successful!' };
     },
 
@@ -600,4 +1211,4 @@ const MOCK_API = {
 window.api = api;
 window.MOCK_DATA = MOCK_DATA;
 
-console.log('📡 API Manager initialized', CONFIG.APP.DEVELOPMENT_MODE ? '(Development Mode)' : '(Production Mode)');
\ No newline at end of file
+console.log('📡 API Manager initialized', CONFIG.API.DEVELOPMENT_MODE ? '(Development Mode)' : '(Production Mode)');
\ No newline at end of file
@@ -10,10 +10,32 @@ class CampusFeedbackApp {
         this.data = {
             feedbacks: [],
             reports: [],
+            comments: {}, // Loaded per feedback thread through the API
             leaderboard: [],
             achievements: [],
             stats: {}
         };
+        this.listSort = {
+            feedbacks: 'newest',
+            reports: 'newest'
+        };
+        this.leaderboardPeriod = 'all';
+        this.searchState = {
+            feedbacks: { query: '', filters: {} },
+            reports: { query: '', filters: {} }
+        };
+        this.listTerms = {
+            feedbacks: null,
+            reports: null
+        };
+        this.pagination = {
+            feedbacks: { cursor: null, hasMore: true, loading: false },
+            reports: { cursor: null, hasMore: true, loading: false }
+        };
+        this.scrollPositions = {};
+        this.moderationReviews = {};
+        this.redactionConfirmations = new WeakMap();
+        this.cooldownTimers = new WeakMap();
     }
 
     async init() {
@@ -250,32 +272,13 @@ class CampusFeedbackApp {
     }
 
     async loadStoredData() {
-        try {
-            console.log('📂 Loading stored data from localStorage...');
-            
-            // Safely load stored feedbacks
-            if (typeof UTILS !== 'undefined' && UTILS.storage) {
-                this.data.feedbacks = UTILS.storage.getFeedbacks() || [];
-                this.data.reports = UTILS.storage.getReports() || [];
-                
-                console.log('📝 Loaded', this.data.feedbacks.length, 'feedbacks from storage');
-                console.log('🚩 Loaded', this.data.reports.length, 'reports from storage');
-            } else {
-                console.warn('⚠️ UTILS.storage not available, using empty data');
-                this.data.feedbacks = [];
-                this.data.reports = [];
-            }
-            
-            // Update display
-            this.displayFeedbacks();
-            this.displayReports();
-            
-        } catch (error) {
-            console.error('Error loading stored data:', error);
-            // Continue with empty data
-            this.data.feedbacks = [];
-            this.data.reports = [];
-        }
+        console.log('📂 Loading the first page of feedback and reports...');
+        
+        // Each list starts from page 1 of the API and pages on with its cursor as it scrolls
+        await Promise.all([this.reloadList('feedbacks'), this.reloadList('reports')]);
+        
+        console.log('📝 Loaded', this.data.feedbacks.length, 'feedbacks');
+        console.log('🚩 Loaded', this.data.reports.length, 'reports');
     }
 
     setupNavigation() {
@@ -336,6 +339,9 @@ class CampusFeedbackApp {
         try {
             console.log('📄 Navigating to page:', pageName);
             
+            // Hidden lists lose their scroll offset, so remember it for the way back
+            this.saveListScroll();
+            
             // Update navigation state
             document.querySelectorAll('.nav-link').forEach(link => {
                 link.classList.remove('active');
@@ -352,6 +358,22 @@ class CampusFeedbackApp {
             });
             
             const targetPage = document.getElementById(`${pageName}Page`);
+            if (targetPage && targetPage.dataset.role === 'staff' && !this.isStaffUser()) {
+                console.warn('⚠️ Staff-only page requested by non-staff user:', pageName);
+                if (typeof showNotification === 'function') {
+                    showNotification('This page is only available to campus staff', 'warning');
+                }
+                return;
+            }
+
+            if (targetPage && targetPage.dataset.role === 'admin' && !this.isAdminUser()) {
+                console.warn('⚠️ Admin-only page requested by non-admin user:', pageName);
+                if (typeof showNotification === 'function') {
+                    showNotification('This page is only available to administrators', 'warning');
+                }
+                return;
+            }
+
             if (targetPage) {
                 targetPage.classList.add('active');
                 this.currentPage = pageName;
@@ -387,6 +409,15 @@ class CampusFeedbackApp {
                 case 'reports':
                     await this.loadReportsData();
                     break;
+                case 'triage':
+                    await this.loadTriageData();
+                    break;
+                case 'moderation':
+                    await this.loadModerationQueueData();
+                    break;
+                case 'moderationRules':
+                    this.loadModerationRulesData();
+                    break;
                 case 'leaderboard':
                     await this.loadLeaderboardData();
                     break;
@@ -415,6 +446,21 @@ class CampusFeedbackApp {
             // Setup star ratings
             this.setupStarRatings();
             
+            // Setup feedback comment threads
+            this.setupFeedbackComments();
+            
+            // Setup voting and vote sorting on the lists
+            this.setupVoting();
+            
+            // Setup editing and withdrawing own feedback
+            this.setupFeedbackEditing();
+            
+            // Setup appeals against moderation rejections
+            this.setupAppeals();
+            
+            // Setup search and facet filters on the lists
+            this.setupSearch();
+            
             console.log('✅ Forms setup complete');
             
         } catch (error) {
@@ -514,6 +560,432 @@ class CampusFeedbackApp {
         });
     }
 
+    setupFeedbackComments() {
+        const container = document.getElementById('feedbacksList');
+        if (!container) return;
+        
+        // Remember which threads are open across re-renders
+        this.openCommentThreads = new Set();
+        container.addEventListener('toggle', (e) => {
+            const thread = e.target.closest('.feedback-comments');
+            if (!thread) return;
+            if (thread.open) {
+                this.openCommentThreads.add(thread.dataset.feedbackId);
+            } else {
+                this.openCommentThreads.delete(thread.dataset.feedbackId);
+            }
+        }, true);
+        
+        container.addEventListener('submit', (e) => {
+            const commentForm = e.target.closest('.comment-form');
+            if (commentForm) {
+                e.preventDefault();
+                this.handleCommentSubmit(commentForm);
+            }
+        });
+        
+        container.addEventListener('click', (e) => {
+            const replyBtn = e.target.closest('.comment-reply-btn');
+            if (!replyBtn) return;
+            
+            const thread = replyBtn.closest('.feedback-comments');
+            const commentForm = thread?.querySelector('.comment-form');
+            if (!commentForm) return;
+            
+            commentForm.dataset.parentId = replyBtn.dataset.commentId;
+            const replyTarget = commentForm.querySelector('.comment-reply-target');
+            if (replyTarget) {
+                replyTarget.innerHTML = `
+                    Replying to ${replyBtn.dataset.author}
+                    <button type="button" class="btn-ghost comment-cancel-reply" onclick="this.closest('.comment-form').dataset.parentId = ''; this.parentElement.innerHTML = '';">
+                        <i class="fas fa-times"></i>
+                    </button>
+                `;
+            }
+            commentForm.querySelector('textarea')?.focus();
+        });
+    }
+
+    async handleCommentSubmit(commentForm) {
+        const feedbackId = commentForm.dataset.feedbackId;
+        const textarea = commentForm.querySelector('textarea');
+        const content = textarea ? textarea.value.trim() : '';
+        const isOfficial = commentForm.querySelector('.comment-official')?.checked || false;
+        
+        if (content.length < 2 || content.length > 1000) {
+            showNotification('Comments must be between 2 and 1000 characters', 'warning');
+            return;
+        }
+        
+        // Personal details are previewed first and removed on the second submit
+        if (!this.confirmRedaction(commentForm, content)) {
+            return;
+        }
+        
+        const redaction = this.redactSubmission({ content }, ['content']);
+        if (!this.checkSubmissionLimit('comment', commentForm, redaction.data.content)) {
+            return;
+        }
+        
+        const submitBtn = commentForm.querySelector('button[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        try {
+            const moderation = await this.moderateSubmission(redaction.data.content);
+            const held = !moderation.approved;
+            
+            if (!await this.registerSubmission('comment', commentForm, redaction.data.content)) {
+                return;
+            }
+            
+            const response = await api.createComment(feedbackId, {
+                parentId: commentForm.dataset.parentId || null,
+                author: this.user?.name || 'Campus User',
+                authorId: this.user?.id,
+                authorRole: this.user?.role || CONFIG.ROLES.DEFAULT,
+                type: isOfficial ? 'official' : 'comment',
+                content: redaction.data.content,
+                status: held ? CONFIG.AI.MODERATION.REVIEW_STATUS : 'approved',
+                sentiment: moderation.sentiment || 'neutral',
+                moderation: ModerationSystem.toRecord(moderation),
+                redactions: redaction.summary
+            });
+            
+            if (response.success && response.data.comment) {
+                this.data.comments[feedbackId] = [...(this.data.comments[feedbackId] || []), response.data.comment];
+                await this.storeRedactedOriginals('comment', response.data.comment.id, redaction);
+                this.openCommentThreads.add(feedbackId);
+                this.displayFeedbacks();
+                if (held) {
+                    showNotification(`🛡️ Comment held for moderator review: ${(moderation.issues || []).join(', ') || moderation.reason}`, 'warning', 8000);
+                } else {
+                    showNotification(isOfficial ? '📣 Official response posted' : '💬 Comment posted', 'success');
+                }
+            }
+        } catch (error) {
+            const verdict = this.getRateLimitVerdict(error);
+            if (verdict) {
+                this.showCooldown(commentForm, verdict);
+            } else {
+                UTILS.handleError(error, 'Feedback Comments');
+            }
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    setupFeedbackEditing() {
+        const container = document.getElementById('feedbacksList');
+        if (!container) return;
+        
+        container.addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.feedback-edit-btn');
+            if (editBtn) {
+                this.editingFeedbackId = editBtn.dataset.feedbackId;
+                this.displayFeedbacks();
+                return;
+            }
+            
+            if (e.target.closest('.feedback-edit-cancel')) {
+                this.editingFeedbackId = null;
+                this.displayFeedbacks();
+                return;
+            }
+            
+            const withdrawBtn = e.target.closest('.feedback-withdraw-btn');
+            if (withdrawBtn) {
+                this.withdrawFeedback(withdrawBtn.dataset.feedbackId);
+            }
+        });
+        
+        // Word diffs are only worked out for the edit histories someone opens
+        container.addEventListener('toggle', (e) => {
+            const history = e.target.closest('.feedback-versions');
+            if (!history || !history.open || history.dataset.rendered) return;
+            
+            const feedback = this.data.feedbacks.find(f => f.id === history.dataset.feedbackId);
+            if (!feedback) return;
+            history.insertAdjacentHTML('beforeend', this.renderFeedbackChanges(feedback));
+            history.dataset.rendered = 'true';
+        }, true);
+        
+        container.addEventListener('submit', (e) => {
+            const editForm = e.target.closest('.feedback-edit-form');
+            if (!editForm) return;
+            
+            e.preventDefault();
+            this.handleFeedbackEdit(editForm);
+        });
+    }
+
+    async handleFeedbackEdit(editForm) {
+        const feedbackId = editForm.dataset.feedbackId;
+        const feedback = this.data.feedbacks.find(f => f.id === feedbackId);
+        if (!feedback) return;
+        
+        if (!UTILS.revisions.canModify(feedback, this.user?.id)) {
+            showNotification('The edit window for this feedback has closed', 'warning');
+            this.editingFeedbackId = null;
+            this.displayFeedbacks();
+            return;
+        }
+        
+        const changes = {
+            title: editForm.querySelector('.feedback-edit-title').value.trim(),
+            content: editForm.querySelector('.feedback-edit-content').value.trim()
+        };
+        
+        if (!this.validateFeedbackData({ ...feedback, ...changes }, editForm)) {
+            return;
+        }
+        
+        if (changes.title === feedback.title && changes.content === feedback.content) {
+            this.editingFeedbackId = null;
+            this.displayFeedbacks();
+            return;
+        }
+        
+        if (!this.confirmRedaction(editForm, `${changes.title}\n${changes.content}`)) {
+            return;
+        }
+        
+        this.setFormLoading(editForm, true);
+        
+        try {
+            // Edited text goes through moderation again, flagged edits are held for review
+            const redaction = this.redactSubmission(changes, ['title', 'content']);
+            const moderation = await this.moderateSubmission(`${redaction.data.title}\n${redaction.data.content}`);
+            const held = !moderation.approved;
+            
+            await api.updateFeedback(feedbackId, {
+                ...UTILS.revisions.applyEdit(feedback, redaction.data),
+                status: held ? CONFIG.AI.MODERATION.REVIEW_STATUS : 'approved',
+                sentiment: moderation.sentiment || feedback.sentiment,
+                moderation: ModerationSystem.toRecord(moderation),
+                aspects: this.analyzeAspects({ ...feedback, ...redaction.data }, moderation.language),
+                redactions: redaction.summary
+            });
+            await this.storeRedactedOriginals('feedback', feedbackId, redaction);
+            
+            this.editingFeedbackId = null;
+            await this.reloadList('feedbacks');
+            
+            if (held) {
+                showNotification(`🛡️ Your edit is held for moderator review: ${(moderation.issues || []).join(', ') || moderation.reason}`, 'warning', 8000);
+            } else {
+                showNotification('✏️ Feedback updated', 'success');
+            }
+        } catch (error) {
+            UTILS.handleError(error, 'Edit Feedback');
+        } finally {
+            this.setFormLoading(editForm, false);
+        }
+    }
+
+    async withdrawFeedback(feedbackId) {
+        const feedback = this.data.feedbacks.find(f => f.id === feedbackId);
+        if (!feedback) return;
+        
+        if (!UTILS.revisions.canModify(feedback, this.user?.id)) {
+            showNotification('This feedback can no longer be withdrawn', 'warning');
+            return;
+        }
+        
+        if (!confirm(`Withdraw "${feedback.title}"? This removes it and its comments.`)) {
+            return;
+        }
+        
+        try {
+            await api.deleteFeedback(feedbackId);
+            
+            await this.reloadList('feedbacks');
+            await this.loadStats();
+            await this.loadRecentActivity();
+            
+            showNotification('🗑️ Feedback withdrawn', 'info');
+        } catch (error) {
+            UTILS.handleError(error, 'Withdraw Feedback');
+        }
+    }
+
+    setupSearch() {
+        const panels = {
+            feedbacks: { input: 'feedbackSearch', facets: 'feedbackSearchFacets' },
+            reports: { input: 'reportSearch', facets: 'reportSearchFacets' }
+        };
+        
+        Object.entries(panels).forEach(([list, ids]) => {
+            const refresh = () => list === 'reports' ? this.displayReports() : this.displayFeedbacks();
+            
+            const input = document.getElementById(ids.input);
+            if (input) {
+                input.addEventListener('input', UTILS.debounce(() => {
+                    this.searchState[list].query = input.value.trim();
+                    refresh();
+                }, 200));
+            }
+            
+            const facets = document.getElementById(ids.facets);
+            if (facets) {
+                facets.addEventListener('change', (e) => {
+                    const select = e.target.closest('select[data-facet]');
+                    if (!select) return;
+                    this.searchState[list].filters[select.dataset.facet] = select.value;
+                    refresh();
+                });
+            }
+        });
+    }
+
+    // Items to show in a list after search, facet filters and sorting
+    getListItems(list) {
+        const type = list === 'reports' ? 'report' : 'feedback';
+        const items = this.data[list].filter(item => this.isVisibleToUser(item));
+        
+        if (typeof searchIndex === 'undefined') {
+            return { items: this.sortByVotes(items, type, this.listSort[list]), terms: null };
+        }
+        
+        const state = this.searchState[list];
+        const { results, facets, terms } = searchIndex.search(state.query, { type, filters: state.filters });
+        this.renderSearchFacets(list, facets);
+        
+        const filtering = Object.values(state.filters).some(Boolean);
+        
+        let visible;
+        if (!state.query && !filtering) {
+            visible = items;
+        } else if (state.query) {
+            // Best matches first while a query is entered
+            const byId = new Map(items.map(item => [item.id, item]));
+            visible = results
+                .map(result => byId.get(result.item.id) || result.item)
+                .filter(item => this.isVisibleToUser(item));
+        } else {
+            const ids = new Set(results.map(result => result.item.id));
+            visible = items.filter(item => ids.has(item.id));
+        }
+        
+        return { items: this.sortByVotes(visible, type, this.listSort[list]), terms };
+    }
+
+    renderSearchFacets(list, facets) {
+        const container = document.getElementById(list === 'reports' ? 'reportSearchFacets' : 'feedbackSearchFacets');
+        if (!container) return;
+        
+        const filters = this.searchState[list].filters;
+        const labels = { category: 'categories', rating: 'ratings', sentiment: 'sentiments', status: 'statuses', date: 'dates' };
+        const dates = { today: 'Today', week: 'This week', month: 'This month', older: 'Older' };
+        const describe = (facet, value) => {
+            if (facet === 'date') return dates[value] || value;
+            if (facet === 'rating') return `${value} ★`;
+            if (facet === 'status' && list === 'reports') return UTILS.lifecycle.getState(value).label;
+            return value;
+        };
+        
+        container.innerHTML = Object.entries(facets).map(([facet, counts]) => {
+            const selected = filters[facet] || '';
+            const values = Object.keys(counts).sort();
+            if (selected && !values.includes(selected)) values.push(selected);
+            
+            return `
+                <select data-facet="${facet}" aria-label="Filter by ${facet}">
+                    <option value="">All ${labels[facet] || facet}</option>
+                    ${values.map(value => `
+                        <option value="${value}" ${value === selected ? 'selected' : ''}>
+                            ${describe(facet, value)} (${counts[value] || 0})
+                        </option>
+                    `).join('')}
+                </select>
+            `;
+        }).join('');
+    }
+
+    highlightText(text, terms) {
+        if (!terms || terms.size === 0 || typeof searchIndex === 'undefined') return text;
+        return searchIndex.highlight(text, terms);
+    }
+
+    setupVoting() {
+        document.addEventListener('click', (e) => {
+            const voteBtn = e.target.closest('.vote-btn');
+            if (voteBtn) {
+                this.handleVote(voteBtn);
+            }
+        });
+        
+        const sortFields = {
+            feedbacks: document.getElementById('feedbackSort'),
+            reports: document.getElementById('reportSort')
+        };
+        Object.entries(sortFields).forEach(([list, field]) => {
+            if (!field) return;
+            field.addEventListener('change', () => {
+                this.listSort[list] = field.value;
+                if (list === 'reports') {
+                    this.displayReports();
+                } else {
+                    this.displayFeedbacks();
+                }
+            });
+        });
+    }
+
+    handleVote(button) {
+        try {
+            const { vote: voteType, targetType, targetId } = button.dataset;
+            const items = targetType === 'report' ? this.data.reports : this.data.feedbacks;
+            const item = items.find(i => i.id === targetId);
+            
+            if (item && item.authorId && item.authorId === this.user?.id) {
+                showNotification('You can\'t vote on your own submissions', 'info');
+                return;
+            }
+            
+            voteManager.toggleVote(this.user?.id, targetType, targetId, voteType);
+            
+            if (targetType === 'report') {
+                this.displayReports();
+            } else {
+                this.displayFeedbacks();
+            }
+            
+            voteManager.sync();
+        } catch (error) {
+            UTILS.handleError(error, 'Voting');
+        }
+    }
+
+    // Most votes first when sorting by votes, otherwise keep the newest-first order
+    sortByVotes(items, targetType, order) {
+        if (order !== 'votes') return items;
+        
+        return items
+            .map(item => ({ item, votes: voteManager.getCounts(targetType, item.id).total }))
+            .sort((a, b) => b.votes - a.votes || (b.item.timestamp || 0) - (a.item.timestamp || 0))
+            .map(entry => entry.item);
+    }
+
+    renderVoteButtons(targetType, item) {
+        const counts = voteManager.getCounts(targetType, item.id);
+        const button = (voteType, icon, label) => {
+            const voted = !!this.user && voteManager.hasVoted(this.user.id, targetType, item.id, voteType);
+            return `
+                <button type="button" class="btn-ghost vote-btn ${voted ? 'active' : ''}" aria-pressed="${voted}"
+                        data-vote="${voteType}" data-target-type="${targetType}" data-target-id="${item.id}">
+                    <i class="${icon}"></i> ${label} <span class="vote-count">${counts[voteType]}</span>
+                </button>
+            `;
+        };
+        
+        return `
+            <div class="${targetType}-actions vote-actions">
+                ${button('upvote', 'fas fa-thumbs-up', 'Me too')}
+                ${button('helpful', 'fas fa-lightbulb', 'Helpful')}
+            </div>
+        `;
+    }
+
     initializeComponents() {
         try {
             console.log('🧩 Initializing components...');
@@ -531,6 +1003,97 @@ class CampusFeedbackApp {
                         }
                     }
                 });
+
+                // The preview's remove buttons look the component up on the form container
+                const formContainer = reportImages.closest('.form-container');
+                if (formContainer) {
+                    formContainer.fileUpload = this.components.fileUpload;
+                }
+            }
+            
+            // Initialize campus map picker and open reports map
+            if (typeof CampusMap !== 'undefined') {
+                this.components.locationPicker = new CampusMap(document.getElementById('reportLocationMap'), {
+                    mode: 'picker',
+                    onSelect: ({ building }) => this.handleMapLocationSelect(building)
+                });
+                this.components.reportsMap = new CampusMap(document.getElementById('reportsMap'), {
+                    mode: 'view'
+                });
+                CampusMap.renderLegend(document.getElementById('reportsMapLegend'));
+                
+                const roomSelect = document.getElementById('reportRoom');
+                if (roomSelect) {
+                    roomSelect.addEventListener('change', () => this.updateLocationFromMap());
+                }
+                
+                // Typed locations take precedence over map suggestions
+                const locationField = document.getElementById('reportLocation');
+                if (locationField) {
+                    locationField.addEventListener('input', () => {
+                        delete locationField.dataset.fromMap;
+                    });
+                }
+            }
+            
+            // Virtualized feedback and report lists that page in more items at the end
+            if (typeof VirtualList !== 'undefined') {
+                this.components.feedbackList = new VirtualList(document.getElementById('feedbacksList'), {
+                    renderItem: (feedback) => this.renderFeedbackItem(feedback),
+                    onEndReached: () => this.loadMoreItems('feedbacks')
+                });
+                this.components.reportList = new VirtualList(document.getElementById('reportsList'), {
+                    renderItem: (report) => this.renderReportItem(report),
+                    onEndReached: () => this.loadMoreItems('reports')
+                });
+            }
+            
+            // Dashboard aspect sentiment category
+            document.getElementById('aspectCategory')?.addEventListener('change', () => this.renderAspectInsights());
+            
+            // Leaderboard period filters
+            document.querySelectorAll('.leaderboard-filters .filter-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    document.querySelectorAll('.leaderboard-filters .filter-btn').forEach(b => b.classList.remove('active'));
+                    button.classList.add('active');
+                    this.leaderboardPeriod = button.dataset.filter || 'all';
+                    this.loadLeaderboardData();
+                });
+            });
+            
+            // Inline highlights of flagged text in the feedback editor
+            const feedbackContent = document.getElementById('feedbackContent');
+            if (feedbackContent && typeof ModerationHighlighter !== 'undefined') {
+                this.components.moderationHighlighters = {
+                    feedback: new ModerationHighlighter(feedbackContent, {
+                        onFix: () => this.onModerationFix('feedback')
+                    })
+                };
+            }
+            
+            // Initialize staff triage console
+            const triagePage = document.getElementById('triagePage');
+            if (triagePage && typeof TriageConsole !== 'undefined') {
+                this.components.triageConsole = new TriageConsole(triagePage, {
+                    onChange: () => this.reloadReports()
+                });
+            }
+            
+            // Initialize moderator review queue
+            const moderationPage = document.getElementById('moderationPage');
+            if (moderationPage && typeof ModerationQueueConsole !== 'undefined') {
+                this.components.moderationQueueConsole = new ModerationQueueConsole(moderationPage, {
+                    getUser: () => this.user,
+                    onChange: (targetType) => this.reloadModeratedItems(targetType)
+                });
+            }
+            
+            // Initialize admin moderation rules console
+            const rulesPage = document.getElementById('moderationRulesPage');
+            if (rulesPage && typeof ModerationRulesConsole !== 'undefined') {
+                this.components.moderationRulesConsole = new ModerationRulesConsole(rulesPage, {
+                    getUser: () => this.user
+                });
             }
             
             console.log('✅ Components initialized');
@@ -572,6 +1135,8 @@ class CampusFeedbackApp {
 
             this.updateStatsDisplay(stats);
             this.data.stats = stats;
+            this.renderAspectInsights();
+            this.renderRewardAllowance();
             
             console.log('📈 Stats loaded:', stats);
             
@@ -587,29 +1152,153 @@ class CampusFeedbackApp {
         }
     }
 
-    calculateAverageRating() {
-        if (this.data.feedbacks.length === 0) return '0.0';
-        
-        const totalRating = this.data.feedbacks.reduce((sum, feedback) => {
-            return sum + (feedback.rating || 0);
-        }, 0);
-        
-        return (totalRating / this.data.feedbacks.length).toFixed(1);
-    }
+    // Aspect sentiment for the feedback category picked on the dashboard
+    renderAspectInsights() {
+        const container = document.getElementById('aspectInsights');
+        const select = document.getElementById('aspectCategory');
+        if (!container || !select || typeof aspectAnalyzer === 'undefined') return;
 
-    getUniqueUsers() {
-        const users = new Set();
-        this.data.feedbacks.forEach(f => users.add(f.author || 'Anonymous'));
-        this.data.reports.forEach(r => users.add(r.author || 'Anonymous'));
-        return users.size;
-    }
+        const category = select.value;
+        const published = this.data.feedbacks.filter(feedback => feedback.status === 'approved');
+        const summary = aspectAnalyzer.summarize(published, category);
 
-    calculateTotalRewards() {
-        const totalSubmissions = this.data.feedbacks.length + this.data.reports.length;
-        if (typeof UTILS !== 'undefined' && UTILS.formatCurrency) {
-            return UTILS.formatCurrency(totalSubmissions * 0.01);
-        }
-        return `${(totalSubmissions * 0.01).toFixed(3)} SHM`;
+        if (summary.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-chart-bar"></i>
+                    <p>No feedback in this category mentions a tracked aspect yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = summary.map(aspect => `
+            <div class="aspect-row">
+                <div class="aspect-row-header">
+                    <strong>${aspect.label}</strong>
+                    <span class="badge ${this.getAspectBadgeClass(aspect.average)}">${aspect.average > 0 ? '+' : ''}${aspect.average.toFixed(2)}</span>
+                </div>
+                <div class="aspect-bar" title="${aspect.positive} positive, ${aspect.neutral} neutral, ${aspect.negative} negative">
+                    <span class="aspect-bar-positive" style="width: ${aspect.positive / aspect.feedbacks * 100}%"></span>
+                    <span class="aspect-bar-neutral" style="width: ${aspect.neutral / aspect.feedbacks * 100}%"></span>
+                    <span class="aspect-bar-negative" style="width: ${aspect.negative / aspect.feedbacks * 100}%"></span>
+                </div>
+                <small>${aspect.feedbacks} feedback${aspect.feedbacks === 1 ? '' : 's'} • ${aspect.positive} positive • ${aspect.neutral} neutral • ${aspect.negative} negative</small>
+            </div>
+        `).join('');
+    }
+
+    // Reward amounts from config, and what is left of the caps for the current user
+    renderRewardAllowance() {
+        const rewards = CONFIG.BLOCKCHAIN.REWARDS;
+        const recipient = typeof rewardLedger !== 'undefined' ? this.getRewardRecipient() : null;
+        const allowance = recipient ? rewardLedger.getAllowance(recipient) : null;
+
+        const announcement = document.getElementById('rewardAnnouncement');
+        if (announcement) {
+            const amounts = rewards.FEEDBACK_AMOUNT === rewards.REPORT_AMOUNT ?
+                `Earn ${rewards.FEEDBACK_AMOUNT} ${rewards.CURRENCY} per submission` :
+                `Earn ${rewards.FEEDBACK_AMOUNT} ${rewards.CURRENCY} per feedback and ${rewards.REPORT_AMOUNT} ${rewards.CURRENCY} per report`;
+            announcement.textContent = allowance ?
+                `${amounts} • ${allowance.remaining} ${rewards.CURRENCY} left for you now` :
+                `${amounts}, up to ${rewards.MAX_DAILY_REWARDS} ${rewards.CURRENCY} a day`;
+        }
+
+        const feedbackAmount = document.getElementById('rewardFeedbackAmount');
+        const reportAmount = document.getElementById('rewardReportAmount');
+        if (feedbackAmount) feedbackAmount.textContent = `${rewards.FEEDBACK_AMOUNT} ${rewards.CURRENCY} per feedback`;
+        if (reportAmount) reportAmount.textContent = `${rewards.REPORT_AMOUNT} ${rewards.CURRENCY} per report`;
+
+        const container = document.getElementById('rewardAllowance');
+        if (!container) return;
+
+        if (!allowance) {
+            container.innerHTML = `
+                <p class="reward-allowance-note">Sign in or connect your wallet to see how much you can still earn.</p>
+            `;
+            return;
+        }
+
+        const held = rewardLedger.getHeld(recipient);
+        container.innerHTML = `
+            ${allowance.caps.map(cap => `
+                <div class="allowance-row">
+                    <div class="aspect-row-header">
+                        <strong>${cap.label}</strong>
+                        <span>${cap.remaining} of ${cap.cap} ${rewards.CURRENCY} left</span>
+                    </div>
+                    <div class="allowance-bar">
+                        <span style="width: ${Math.min(100, cap.used / cap.cap * 100)}%"></span>
+                    </div>
+                    <small>Resets ${new Date(cap.resetsAt).toLocaleString()}</small>
+                </div>
+            `).join('')}
+            <small class="reward-allowance-note">
+                <i class="fas fa-coins"></i>
+                Reward pool: ${allowance.pool.remaining} of ${allowance.pool.budget} ${rewards.CURRENCY} left
+            </small>
+            ${held.length > 0 ? `
+                <div class="held-rewards">
+                    <strong>Rewards not paid yet</strong>
+                    ${held.map(entry => `
+                        <div class="held-reward">
+                            <span class="badge ${entry.status === 'deferred' ? 'badge-warning' : 'badge-danger'}">
+                                ${entry.status === 'deferred' ? 'Deferred' : 'Rejected'}
+                            </span>
+                            <span>${entry.amount} ${rewards.CURRENCY} for a ${entry.submissionType}: ${UTILS.validation.sanitizeHTML(entry.reason || '')}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    getAspectBadgeClass(score) {
+        const sentiment = typeof aspectAnalyzer !== 'undefined' ? aspectAnalyzer.describe(score) : 'neutral';
+        return sentiment === 'positive' ? 'badge-success' : sentiment === 'negative' ? 'badge-danger' : 'badge-secondary';
+    }
+
+    // Stored on new and edited feedback, older feedback is analysed when shown
+    analyzeAspects(feedback, language = null) {
+        if (typeof aspectAnalyzer === 'undefined') return [];
+        return aspectAnalyzer.analyze(`${feedback.title || ''}\n${feedback.content || ''}`, feedback.category, language);
+    }
+
+    renderAspectBadges(feedback) {
+        if (typeof aspectAnalyzer === 'undefined') return '';
+        const aspects = aspectAnalyzer.getFeedbackAspects(feedback);
+        if (aspects.length === 0) return '';
+
+        return `
+            <div class="feedback-aspects">
+                ${aspects.map(aspect => `
+                    <span class="badge ${this.getAspectBadgeClass(aspect.score)}" title="${aspect.sentiment}, score ${aspect.score}">
+                        ${aspect.label}: ${aspect.sentiment}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    calculateAverageRating() {
+        if (this.data.feedbacks.length === 0) return '0.0';
+        
+        const totalRating = this.data.feedbacks.reduce((sum, feedback) => {
+            return sum + (feedback.rating || 0);
+        }, 0);
+        
+        return (totalRating / this.data.feedbacks.length).toFixed(1);
+    }
+
+    getUniqueUsers() {
+        const users = new Set();
+        this.data.feedbacks.forEach(f => users.add(f.author || 'Anonymous'));
+        this.data.reports.forEach(r => users.add(r.author || 'Anonymous'));
+        return users.size;
+    }
+
+    calculateTotalRewards() {
+        return UTILS.formatCurrency(UTILS.rewards.getTotalRewards(), CONFIG.BLOCKCHAIN.REWARDS.CURRENCY);
     }
 
     updateStatsDisplay(stats) {
@@ -719,18 +1408,39 @@ class CampusFeedbackApp {
                 return;
             }
 
+            const publishedText = this.getPublishedText(`${feedbackData.title}\n${feedbackData.content}`);
+            if (!this.checkSubmissionLimit('feedback', form, publishedText)) {
+                return;
+            }
+
+            // Moderate first and let the user see the result before it is posted
+            const moderation = await this.reviewBeforeSubmit('feedback', form, `${feedbackData.title}\n${feedbackData.content}`);
+            if (!moderation) {
+                return;
+            }
+
             // Show loading state
             this.setFormLoading(form, true);
 
             try {
-                // Create feedback object
+                if (!await this.registerSubmission('feedback', form, publishedText)) {
+                    return;
+                }
+
+                // Create feedback object with personal details removed
+                const held = !moderation.approved;
+                const redaction = this.redactSubmission(feedbackData, ['title', 'content']);
                 const newFeedback = {
                     id: this.generateId(),
-                    ...feedbackData,
+                    ...redaction.data,
                     author: feedbackData.anonymous ? 'Anonymous' : (this.user?.name || 'Campus User'),
+                    authorId: this.user?.id,
                     timestamp: Date.now(),
-                    status: 'approved',
-                    sentiment: 'positive',
+                    status: held ? CONFIG.AI.MODERATION.REVIEW_STATUS : 'approved',
+                    sentiment: moderation.sentiment || 'neutral',
+                    moderation: ModerationSystem.toRecord(moderation),
+                    aspects: this.analyzeAspects(redaction.data, moderation.language),
+                    redactions: redaction.summary,
                     blockchain_reward: null
                 };
 
@@ -738,19 +1448,27 @@ class CampusFeedbackApp {
                 
                 // Save feedback
                 this.saveFeedback(newFeedback);
+                await this.storeRedactedOriginals('feedback', newFeedback.id, redaction);
                 
                 // Update displays
                 this.displayFeedbacks();
                 await this.loadStats();
                 await this.loadRecentActivity();
+                await this.loadAchievements();
                 
                 // Show success
                 if (typeof showNotification === 'function') {
-                    showNotification('✅ Feedback submitted successfully!', 'success');
+                    if (held) {
+                        showNotification('🛡️ Feedback submitted and held for moderator review', 'warning', 8000);
+                    } else {
+                        showNotification('✅ Feedback submitted successfully!', 'success');
+                    }
                 }
                 
-                // Send blockchain reward if available
-                this.sendBlockchainReward(newFeedback);
+                // Held submissions are rewarded once a moderator approves them (MOCK_API.queueApprovalReward)
+                if (!held) {
+                    this.sendBlockchainReward(newFeedback);
+                }
                 
                 // Clear form
                 this.clearFeedbackForm(form);
@@ -773,6 +1491,442 @@ class CampusFeedbackApp {
         }
     }
 
+    async moderateSubmission(text) {
+        if (typeof moderationSystem === 'undefined' || !moderationSystem) {
+            return {
+                approved: true,
+                confidence: 1.0,
+                sentiment: 'neutral',
+                issues: [],
+                suggestions: [],
+                reason: 'Moderation system not available'
+            };
+        }
+        return await moderationSystem.moderateContent(text);
+    }
+
+    // Resolves with the moderation result once the user has confirmed this exact text, otherwise
+    // moderates it, shows the result and resolves with null
+    async reviewBeforeSubmit(formKey, form, text) {
+        const review = this.moderationReviews[formKey];
+        if (review && review.confirmed && review.text === text) {
+            delete this.moderationReviews[formKey];
+            return review.result;
+        }
+        
+        this.setFormLoading(form, true);
+        try {
+            // Moderation sees the text as it will be published, with personal details removed
+            const redaction = this.redactSubmission({ text }, ['text']);
+            const result = await this.moderateSubmission(redaction.data.text);
+            const spans = this.locateModerationSpans(formKey, text, result.spans || [], redaction);
+            this.moderationReviews[formKey] = { text, result, spans, confirmed: false };
+            this.renderModerationReview(formKey, result, text, spans);
+        } finally {
+            this.setFormLoading(form, false);
+        }
+        return null;
+    }
+
+    getModerationField(formKey) {
+        return document.getElementById(formKey === 'report' ? 'reportDescription' : 'feedbackContent');
+    }
+
+    // Moderation offsets point into the redacted "title\ncontent" text; map the spans that fall
+    // in the main text field back to offsets in that field's raw value
+    locateModerationSpans(formKey, text, spans, redaction) {
+        const field = this.getModerationField(formKey);
+        if (!field) return [];
+
+        const value = field.value;
+        const trimmed = value.trim();
+        const base = text.length - trimmed.length;
+        const leading = value.indexOf(trimmed);
+        const toOriginal = (offset) => (redaction.redacted ?
+            piiDetector.toOriginalOffset(redaction.matches, offset) :
+            offset);
+
+        return spans.map(span => {
+            const start = toOriginal(span.start);
+            const last = toOriginal(span.end - 1);
+            if (start === null || last === null || start < base) return null;
+            return { ...span, start: start - base + leading, end: last + 1 - base + leading };
+        }).filter(Boolean);
+    }
+
+    getModerationPanel(formKey) {
+        return document.getElementById(formKey === 'report' ? 'reportAiSuggestions' : 'aiSuggestions');
+    }
+
+    renderModerationReview(formKey, result, text = '', spans = []) {
+        const panel = this.getModerationPanel(formKey);
+        if (!panel) return;
+        
+        const highlighter = this.components.moderationHighlighters?.[formKey];
+        if (highlighter) highlighter.setSpans(spans);
+        
+        const held = !result.approved;
+        const redaction = this.redactSubmission({ text }, ['text']);
+        const issues = result.issues || [];
+        const suggestions = result.suggestions || [];
+        const toxicity = typeof result.toxicityScore === 'number' ? `${Math.round(result.toxicityScore * 100)}%` : 'n/a';
+        
+        panel.innerHTML = `
+            <div class="${held ? 'moderation-warning' : 'moderation-suggestions'} moderation-review">
+                <div class="${held ? 'warning-header' : 'suggestions-header'}">
+                    <i class="fas ${held ? 'fa-exclamation-triangle' : 'fa-robot'}"></i>
+                    <span>${held ? 'This will be held for moderator review' : 'AI check passed'}</span>
+                </div>
+                <div class="${held ? 'warning-content' : 'suggestions-content'}">
+                    <p><small>Toxicity: ${toxicity} • Sentiment: ${result.sentiment || 'neutral'} • Confidence: ${Math.round((result.confidence || 0) * 100)}%${result.language ? ` • Language: ${this.getLanguageName(result.language)}` : ''}</small></p>
+                    ${issues.length > 0 ? `
+                        <p><strong>Issues found:</strong></p>
+                        <ul>${issues.map(issue => `<li>${issue}</li>`).join('')}</ul>
+                    ` : ''}
+                    ${this.renderModerationSpans(formKey, spans)}
+                    ${suggestions.length > 0 ? `
+                        <p><strong>Suggestions:</strong></p>
+                        <ul>${suggestions.map(suggestion => `<li>${suggestion}</li>`).join('')}</ul>
+                    ` : ''}
+                    ${redaction.redacted ? this.renderRedactionPreview(text, redaction.summary) : ''}
+                    <div class="moderation-review-actions">
+                        <button type="button" class="btn btn-secondary" onclick="app.cancelModerationReview('${formKey}')">
+                            <i class="fas fa-edit"></i>
+                            Keep Editing
+                        </button>
+                        <button type="button" class="btn btn-primary" onclick="app.confirmModeratedSubmit('${formKey}')">
+                            <i class="fas fa-check"></i>
+                            ${held ? 'Submit for Review' : 'Confirm & Submit'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        panel.style.display = 'block';
+    }
+
+    getLanguageName(code) {
+        return typeof languagePacks !== 'undefined' ? languagePacks.getName(code) : code;
+    }
+
+    renderModerationSpans(formKey, spans) {
+        if (spans.length === 0) return '';
+
+        const escape = UTILS.validation.sanitizeHTML;
+        return `
+            <p><strong>Flagged text:</strong> <small>hover the highlights in your text for details</small></p>
+            <ul class="moderation-spans">
+                ${spans.map((span, index) => `
+                    <li>
+                        <mark class="highlight-mark highlight-${span.category || 'other'}">${escape(span.text)}</mark>
+                        <small>${escape(span.issue)}</small>
+                        ${span.fix ? `
+                            <button type="button" class="btn btn-sm btn-secondary" onclick="app.applyModerationFix('${formKey}', ${index})" title="${escape(span.fix.label)}">
+                                <i class="fas fa-magic"></i>
+                                ${span.fix.replacement ? 'Fix' : 'Remove'}
+                            </button>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // One-click fix from the review panel, applied through the field's highlighter when it has one
+    applyModerationFix(formKey, index) {
+        const review = this.moderationReviews[formKey];
+        const span = review?.spans?.[index];
+        if (!span) return;
+
+        const highlighter = this.components.moderationHighlighters?.[formKey];
+        if (highlighter) {
+            const position = highlighter.spans.findIndex(s => s.start === span.start && s.end === span.end);
+            if (position >= 0) {
+                highlighter.applyFix(position);
+                return;
+            }
+        }
+
+        const field = this.getModerationField(formKey);
+        if (!field || field.value.slice(span.start, span.end) !== span.text) return;
+        field.value = field.value.slice(0, span.start) + (span.fix.replacement || '') + field.value.slice(span.end);
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        this.onModerationFix(formKey);
+    }
+
+    // The text changed, so the verdict no longer applies; the next submit moderates it again
+    onModerationFix(formKey) {
+        delete this.moderationReviews[formKey];
+        this.hideModerationReview(formKey);
+        showNotification('Fix applied. Submit again to re-check your feedback.', 'info');
+    }
+
+    getPublishedText(text) {
+        return this.redactSubmission({ text }, ['text']).data.text;
+    }
+
+    // Local pre-check against the submissions this browser made, so the form can explain the
+    // cooldown before the author goes through moderation
+    checkSubmissionLimit(action, form, text) {
+        if (typeof submissionLimiter === 'undefined') return true;
+
+        const verdict = submissionLimiter.check(action, api.getClientContext(), text);
+        if (verdict.allowed) {
+            this.clearCooldown(form);
+            return true;
+        }
+        this.showCooldown(form, verdict);
+        return false;
+    }
+
+    // The server has the final say, accepted submissions are mirrored in the local log
+    async registerSubmission(action, form, text) {
+        try {
+            await api.registerSubmission(action, text);
+        } catch (error) {
+            const verdict = this.getRateLimitVerdict(error);
+            if (!verdict) throw error;
+            this.showCooldown(form, verdict);
+            return false;
+        }
+        this.recordSubmission(action, text);
+        return true;
+    }
+
+    recordSubmission(action, text) {
+        if (typeof submissionLimiter !== 'undefined') {
+            submissionLimiter.record(action, api.getClientContext(), text);
+        }
+    }
+
+    // 429s from MOCK_API carry the verdict on the error, real ones in the response body
+    getRateLimitVerdict(error) {
+        const status = error.status || error.response?.status;
+        if (status !== 429) return null;
+
+        const body = error.response?.data;
+        const retryAfterHeader = parseInt(error.response?.headers?.['retry-after'], 10);
+        return {
+            allowed: false,
+            reason: body ? (body.reason || 'rate_limited') : error.code,
+            retryAfter: body?.retryAfter ?? error.retryAfter ?? (Number.isNaN(retryAfterHeader) ? null : retryAfterHeader * 1000),
+            limitMessage: body?.limitMessage || error.limitMessage,
+            message: body?.message || error.message
+        };
+    }
+
+    showCooldown(form, verdict) {
+        this.clearCooldown(form);
+
+        const message = document.createElement('div');
+        message.className = `cooldown-message cooldown-${verdict.reason}`;
+        message.setAttribute('role', 'status');
+        const actions = form.querySelector('.form-actions, .comment-form-actions');
+        if (actions) {
+            actions.parentElement.insertBefore(message, actions);
+        } else {
+            form.appendChild(message);
+        }
+
+        const icon = verdict.reason === 'duplicate' ? 'fa-clone' : 'fa-hourglass-half';
+        const text = UTILS.validation.sanitizeHTML(verdict.limitMessage || verdict.message);
+        if (!verdict.retryAfter) {
+            message.innerHTML = `<i class="fas ${icon}"></i> <span>${text}</span>`;
+            return;
+        }
+
+        // Count down to the end of the cooldown, then clear the message
+        const until = Date.now() + verdict.retryAfter;
+        const render = () => {
+            const remaining = until - Date.now();
+            if (remaining <= 0) {
+                this.clearCooldown(form);
+                return;
+            }
+            message.innerHTML = `
+                <i class="fas ${icon}"></i>
+                <span>${text}</span>
+                <strong class="cooldown-timer">Ready in ${SubmissionRateLimiter.formatCooldown(remaining)}</strong>
+            `;
+        };
+        render();
+        this.cooldownTimers.set(form, setInterval(render, 1000));
+    }
+
+    clearCooldown(form) {
+        clearInterval(this.cooldownTimers.get(form));
+        this.cooldownTimers.delete(form);
+        form.querySelectorAll('.cooldown-message').forEach(element => element.remove());
+    }
+
+    // Removes personal details from the given fields, a no-op when pii.js is not loaded
+    redactSubmission(data, fields) {
+        if (typeof piiDetector === 'undefined') {
+            return { data: data, originals: {}, matches: [], summary: [], redacted: false };
+        }
+        return piiDetector.redactFields(data, fields);
+    }
+
+    async storeRedactedOriginals(targetType, targetId, redaction) {
+        if (!redaction.redacted || typeof piiVault === 'undefined') return;
+
+        await piiVault.store(targetType, targetId, redaction.originals, this.user?.id);
+        showNotification(`🔒 Removed before publishing: ${piiDetector.describe(redaction.summary)}`, 'info', 6000);
+    }
+
+    renderRedactionBadge(item) {
+        if (!item.redactions || item.redactions.length === 0 || typeof piiDetector === 'undefined') return '';
+        return `
+            <span class="badge badge-secondary" title="Removed: ${piiDetector.describe(item.redactions)}">
+                <i class="fas fa-user-secret"></i> Personal details removed
+            </span>
+        `;
+    }
+
+    renderRedactionPreview(text, summary) {
+        return `
+            <div class="redaction-preview">
+                <p><strong><i class="fas fa-user-secret"></i> Personal details will be removed before publishing</strong></p>
+                <p><small>${piiDetector.describe(summary)}. Only administrators can see the original.</small></p>
+                <p class="redaction-preview-text">${piiDetector.renderPreview(text)}</p>
+            </div>
+        `;
+    }
+
+    // Forms without the moderation review panel show the redaction preview inline first;
+    // returns true once the author has seen the preview for this exact text
+    confirmRedaction(form, text) {
+        const redaction = this.redactSubmission({ text }, ['text']);
+        if (!redaction.redacted || this.redactionConfirmations.get(form) === text) {
+            this.redactionConfirmations.delete(form);
+            form.querySelector('.redaction-preview')?.remove();
+            return true;
+        }
+
+        this.redactionConfirmations.set(form, text);
+        const preview = document.createElement('div');
+        preview.innerHTML = this.renderRedactionPreview(text, redaction.summary);
+        form.querySelector('.redaction-preview')?.remove();
+        form.insertBefore(preview.firstElementChild, form.querySelector('.comment-form-actions'));
+        showNotification('Check the personal details that will be removed, then submit again', 'info');
+        return false;
+    }
+
+    confirmModeratedSubmit(formKey) {
+        const review = this.moderationReviews[formKey];
+        const form = document.getElementById(formKey === 'report' ? 'reportForm' : 'feedbackForm');
+        if (!review || !form) return;
+        
+        review.confirmed = true;
+        this.hideModerationReview(formKey);
+        form.requestSubmit();
+    }
+
+    cancelModerationReview(formKey) {
+        delete this.moderationReviews[formKey];
+        this.hideModerationReview(formKey);
+        
+        const field = this.getModerationField(formKey);
+        if (field) field.focus();
+    }
+
+    hideModerationReview(formKey) {
+        const panel = this.getModerationPanel(formKey);
+        if (panel) {
+            panel.innerHTML = '';
+            panel.style.display = 'none';
+        }
+    }
+
+    // Held and moderator-rejected content is only shown to its author and to staff
+    isVisibleToUser(item) {
+        const withheld = item.status === CONFIG.AI.MODERATION.REVIEW_STATUS ||
+            (typeof moderationQueue !== 'undefined' && moderationQueue.isRejected(item));
+        if (!withheld) return true;
+        return this.isStaffUser() || (!!item.authorId && item.authorId === this.user?.id);
+    }
+
+    renderReviewBadge(item) {
+        if (typeof moderationQueue !== 'undefined' && moderationQueue.isRejected(item)) {
+            return `
+                <span class="badge badge-danger" title="Only you and moderators can see this">
+                    <i class="fas fa-ban"></i> Rejected by moderator
+                </span>
+            `;
+        }
+        if (item.status !== CONFIG.AI.MODERATION.REVIEW_STATUS) return '';
+        return `
+            <span class="badge badge-warning" title="Only you and moderators can see this until it is reviewed">
+                <i class="fas fa-user-shield"></i> Pending review
+            </span>
+        `;
+    }
+
+    // The moderator's reason and the appeal form or appeal outcome, shown to the author
+    renderModerationDecision(targetType, item) {
+        if (typeof moderationQueue === 'undefined' || !item.review) return '';
+        if (!item.authorId || item.authorId !== this.user?.id) return '';
+
+        const escape = UTILS.validation.sanitizeHTML;
+        const appeal = item.appeal;
+        const appealLabels = {
+            open: 'Your appeal is waiting for a moderator',
+            upheld: 'Your appeal was reviewed and the rejection upheld',
+            overturned: 'Your appeal was accepted'
+        };
+
+        if (!moderationQueue.isRejected(item) && appeal?.status !== 'overturned') return '';
+
+        return `
+            <div class="moderation-decision">
+                ${moderationQueue.isRejected(item) ? `
+                    <p><i class="fas fa-ban"></i> Rejected by ${escape(item.review.by)}: ${escape(item.review.reason)}</p>
+                ` : ''}
+                ${appeal ? `
+                    <p class="appeal-status"><i class="fas fa-balance-scale"></i> ${appealLabels[appeal.status] || ''}</p>
+                ` : ''}
+                ${moderationQueue.canAppeal(item, this.user) ? `
+                    <details class="appeal">
+                        <summary>Appeal this decision</summary>
+                        <form class="appeal-form" data-target-type="${targetType}" data-target-id="${item.id}">
+                            <textarea placeholder="Why should a moderator look at this again?" maxlength="1000" required></textarea>
+                            <button type="submit" class="btn btn-secondary btn-sm">
+                                <i class="fas fa-paper-plane"></i> Send appeal
+                            </button>
+                        </form>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    setupAppeals() {
+        document.addEventListener('submit', async (e) => {
+            const appealForm = e.target.closest && e.target.closest('.appeal-form');
+            if (!appealForm) return;
+            
+            e.preventDefault();
+            const targetType = appealForm.dataset.targetType;
+            const targetId = appealForm.dataset.targetId;
+            const items = targetType === 'report' ? this.data.reports :
+                targetType === 'comment' ? Object.values(this.data.comments).flat() : this.data.feedbacks;
+            const item = items.find(i => i.id === targetId);
+            if (!item) return;
+            
+            this.setFormLoading(appealForm, true);
+            
+            try {
+                await moderationQueue.fileAppeal({ targetType, item }, appealForm.querySelector('textarea').value, this.user);
+                showNotification('⚖️ Appeal sent to the moderators', 'success');
+                this.reloadModeratedItems(targetType);
+            } catch (error) {
+                UTILS.handleError(error, 'Moderation Appeal');
+            } finally {
+                this.setFormLoading(appealForm, false);
+            }
+        });
+    }
+
     // Helper methods for safer operations
     getFieldValue(fieldId) {
         const field = document.getElementById(fieldId);
@@ -816,20 +1970,30 @@ class CampusFeedbackApp {
         }
     }
 
-    async sendBlockchainReward(submission) {
+    async sendBlockchainReward(submission, type = 'feedback') {
         try {
             if (typeof web3Manager !== 'undefined' && web3Manager && web3Manager.isConnected) {
-                console.log('💰 Attempting to send blockchain reward...');
-                const txHash = await web3Manager.sendReward(web3Manager.account);
-                
-                if (txHash) {
-                    submission.blockchain_reward = txHash;
-                    this.saveFeedback(submission); // Re-save with tx hash
-                    
-                    if (typeof showNotification === 'function') {
-                        showNotification(`🎉 Reward sent! You earned 0.01 SHM tokens!`, 'success', 8000);
-                    }
+                // Rewards waiting for a cap to reset go first
+                await this.releaseDeferredRewards();
+
+                const quality = this.scoreQuality(submission, type);
+                const amount = UTILS.rewards.calculateReward(type, quality);
+                const reward = typeof rewardLedger !== 'undefined' ?
+                    rewardLedger.authorize({
+                        submissionId: submission.id,
+                        submissionType: type,
+                        recipient: this.getRewardRecipient(),
+                        amount: amount,
+                        quality: quality
+                    }) :
+                    { status: 'granted', amount: amount, quality: quality };
+
+                if (reward.status !== 'granted') {
+                    this.holdReward(submission, type, reward);
+                    return;
                 }
+
+                await this.payReward(submission, type, reward);
             } else {
                 if (typeof showNotification === 'function') {
                     showNotification('💡 Connect your wallet to earn blockchain rewards!', 'info');
@@ -840,70 +2004,283 @@ class CampusFeedbackApp {
         }
     }
 
-    setFormLoading(form, isLoading) {
-        const submitBtn = form.querySelector('button[type="submit"]');
-        if (!submitBtn) return;
-        
-        if (isLoading) {
-            submitBtn.disabled = true;
-            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Submitting...';
-        } else {
-            submitBtn.disabled = false;
-            const originalText = submitBtn.dataset.originalText || '<i class="fas fa-paper-plane"></i> Submit';
-            submitBtn.innerHTML = originalText;
-        }
+    // Classifies the contribution and keeps the result on it, high quality earns BONUS_MULTIPLIER
+    scoreQuality(submission, type) {
+        if (typeof qualityScorer === 'undefined') return 'normal';
+
+        const result = qualityScorer.score(submission, type);
+        submission.quality = { level: result.quality, score: result.score };
+        return result.quality;
     }
 
-    clearFeedbackForm(form) {
-        form.reset();
-        
-        // Reset star rating
-        const starRating = document.querySelector('.star-rating');
-        if (starRating) {
-            starRating.dataset.rating = '0';
-            starRating.querySelectorAll('.star').forEach(star => star.classList.remove('active'));
+    getRewardRecipient() {
+        return RewardLedger.getRecipientKey(api.getClientContext());
+    }
+
+    async payReward(submission, type, reward) {
+        if (web3Manager.usesRewardVouchers()) {
+            return await this.issueRewardVoucher(submission, type, reward);
         }
-        
-        // Reset rating text
-        const ratingText = document.querySelector('.rating-text');
-        if (ratingText) {
-            ratingText.textContent = 'Click to rate';
+
+        console.log('💰 Attempting to send blockchain reward...');
+        const txHash = await web3Manager.sendReward(web3Manager.account, reward.amount);
+
+        if (!txHash) {
+            if (reward.id) rewardLedger.fail(reward.id, 'The transfer did not go through');
+            return;
+        }
+
+        if (reward.kind === 'bonus') {
+            submission.bonus_reward = txHash;
+        } else {
+            submission.blockchain_reward = txHash;
+            submission.reward_status = null;
+        }
+        this.saveRewardedSubmission(submission, type);
+
+        if (typeof showNotification === 'function') {
+            showNotification(this.describeReward(reward), 'success', 8000);
         }
     }
 
-    // Similar implementations for other methods...
-    displayFeedbacks() {
-        const container = document.getElementById('feedbacksList');
-        if (!container) return;
+    describeReward(reward) {
+        if (reward.kind === 'bonus') {
+            return `⭐ Quality bonus! +${reward.amount} SHM for your ${reward.submissionType}`;
+        }
+        const bonus = reward.quality === 'high' ? ' High-quality bonus included ⭐' : '';
+        return `🎉 Reward sent! You earned ${reward.amount} SHM tokens!${bonus}`;
+    }
 
-        if (this.data.feedbacks.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-comments"></i>
-                    <p>No feedbacks yet. Be the first to share your thoughts!</p>
-                </div>
-            `;
+    // Deferred and rejected rewards stay on the submission with the reason
+    holdReward(submission, type, reward) {
+        if (reward.kind === 'bonus') {
+            // The submission keeps its paid reward, the bonus waits in the ledger
+            this.renderRewardAllowance();
             return;
         }
 
-        const formatDate = (timestamp) => {
-            if (typeof UTILS !== 'undefined' && UTILS.formatDate) {
-                return UTILS.formatDate(timestamp);
-            }
-            return new Date(timestamp).toLocaleDateString();
+        submission.reward_status = {
+            status: reward.status,
+            reason: reward.reason,
+            deferredUntil: reward.deferredUntil || null
         };
+        this.saveRewardedSubmission(submission, type);
 
-        container.innerHTML = this.data.feedbacks.map(feedback => `
-            <div class="feedback-item">
-                <div class="feedback-header">
-                    <h4>${feedback.title || 'Untitled Feedback'}</h4>
-                    <div class="feedback-meta">
-                        <span class="badge badge-primary">${feedback.category || 'General'}</span>
-                        <span>${feedback.author || 'Anonymous'}</span>
-                        <span>${formatDate(feedback.timestamp)}</span>
-                        ${feedback.blockchain_reward ? `
-                            <span class="badge badge-success">
-                                <i class="fas fa-check-circle"></i> Rewarded
+        if (typeof showNotification === 'function') {
+            const title = reward.status === 'deferred' ? '⏳ Reward deferred' : '🚫 No reward';
+            showNotification(`${title}: ${reward.reason}`, 'warning', 8000);
+        }
+    }
+
+    // Pays deferred rewards whose cap has reset. Bonuses and rewards for approved content are
+    // owed by the server and arrive with the vouchers (MOCK_API.issueOwedVouchers).
+    async releaseDeferredRewards() {
+        if (typeof rewardLedger === 'undefined' || typeof web3Manager === 'undefined' || !web3Manager?.isConnected) return;
+
+        const released = rewardLedger.releaseDue(this.getRewardRecipient());
+        for (const reward of released) {
+            let submission;
+            try {
+                submission = await this.findRewardedSubmission(reward.submissionType, reward.submissionId);
+            } catch (error) {
+                // Back in the queue for the next release, the submission may still exist
+                console.warn('⚠️ Could not load the submission for a deferred reward:', error);
+                rewardLedger.update(reward.id, { status: 'deferred', deferredUntil: Date.now(), grantedAt: null });
+                continue;
+            }
+            if (!submission) {
+                rewardLedger.fail(reward.id, 'The submission no longer exists');
+                continue;
+            }
+
+            try {
+                await this.payReward(submission, reward.submissionType, reward);
+            } catch (error) {
+                console.error('Error paying deferred reward:', error);
+            }
+        }
+    }
+
+    // The lists only hold the pages loaded so far, anything else is fetched.
+    // Null only when the server says the submission is gone.
+    async findRewardedSubmission(type, id) {
+        const list = type === 'report' ? this.data.reports : this.data.feedbacks;
+        const loaded = list.find(item => item.id === id);
+        if (loaded) return loaded;
+
+        try {
+            const response = type === 'report' ? await api.getReport(id) : await api.getFeedback(id);
+            const submission = response?.data?.[type === 'report' ? 'report' : 'feedback'];
+            if (!submission) throw new Error(`Could not load ${type} ${id}`);
+            return submission;
+        } catch (error) {
+            if ((error.status || error.response?.status) === 404) return null;
+            throw error;
+        }
+    }
+
+    // The reward is paid when the author claims the voucher from their profile
+    async issueRewardVoucher(submission, type, reward) {
+        let voucher;
+        try {
+            voucher = await web3Manager.requestVoucher(submission, type, reward.kind || 'reward');
+        } catch (error) {
+            // The server keeps its own ledger and can defer or reject a reward this browser allowed
+            const body = error.response?.data;
+            const status = error.rewardStatus || body?.rewardStatus;
+            if (status && reward.id) {
+                const changes = {
+                    status: status,
+                    code: body?.code || error.code,
+                    reason: body?.reason || error.message,
+                    deferredUntil: body?.deferredUntil || error.deferredUntil || null,
+                    grantedAt: null
+                };
+                rewardLedger.update(reward.id, changes);
+                this.holdReward(submission, type, { ...reward, ...changes });
+                return;
+            }
+            if (reward.id) rewardLedger.fail(reward.id, error.message);
+            throw error;
+        }
+
+        if (voucher.kind === 'bonus') {
+            submission.bonus_voucher = voucher.nonce;
+        } else {
+            submission.reward_voucher = voucher.nonce;
+            submission.reward_status = null;
+        }
+        this.saveRewardedSubmission(submission, type);
+
+        if (typeof showNotification === 'function') {
+            const label = voucher.kind === 'bonus' ? 'Quality bonus voucher' : 'Reward voucher';
+            showNotification(`🎟️ ${label} for ${voucher.tokenAmount} SHM issued. Claim it from your profile!`, 'success', 8000);
+        }
+    }
+
+    saveRewardedSubmission(submission, type) {
+        // Submission is the in-memory record, so only storage needs the reward
+        if (typeof UTILS !== 'undefined' && UTILS.storage) {
+            if (type === 'report') {
+                UTILS.storage.saveReport(submission);
+            } else {
+                UTILS.storage.saveFeedback(submission);
+            }
+        }
+
+        if (type === 'report') {
+            this.displayReports();
+        } else {
+            this.displayFeedbacks();
+        }
+        this.renderRewardAllowance();
+    }
+
+    setFormLoading(form, isLoading) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        if (!submitBtn) return;
+        
+        if (isLoading) {
+            submitBtn.disabled = true;
+            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Submitting...';
+        } else {
+            submitBtn.disabled = false;
+            const originalText = submitBtn.dataset.originalText || '<i class="fas fa-paper-plane"></i> Submit';
+            submitBtn.innerHTML = originalText;
+        }
+    }
+
+    clearFeedbackForm(form) {
+        form.reset();
+        delete this.moderationReviews.feedback;
+        this.hideModerationReview('feedback');
+        this.components.moderationHighlighters?.feedback.clear();
+        
+        // Reset star rating
+        const starRating = document.querySelector('.star-rating');
+        if (starRating) {
+            starRating.dataset.rating = '0';
+            starRating.querySelectorAll('.star').forEach(star => star.classList.remove('active'));
+        }
+        
+        // Reset rating text
+        const ratingText = document.querySelector('.rating-text');
+        if (ratingText) {
+            ratingText.textContent = 'Click to rate';
+        }
+    }
+
+    // Similar implementations for other methods...
+    displayFeedbacks() {
+        const { items: feedbacks, terms } = this.getListItems('feedbacks');
+        this.listTerms.feedbacks = terms;
+
+        this.renderList('feedbacks', feedbacks, `
+            <div class="empty-state">
+                <i class="fas ${this.data.feedbacks.length === 0 ? 'fa-comments' : 'fa-search'}"></i>
+                <p>${this.data.feedbacks.length === 0 ?
+                    'No feedbacks yet. Be the first to share your thoughts!' :
+                    'No feedback matches your search.'}</p>
+            </div>
+        `);
+    }
+
+    // Long lists are virtualized, so only rows near the viewport are in the DOM
+    renderList(list, items, emptyHtml) {
+        const virtualList = list === 'reports' ? this.components.reportList : this.components.feedbackList;
+        if (virtualList) {
+            virtualList.setItems(items, { emptyHtml });
+            return;
+        }
+
+        const container = document.getElementById(list === 'reports' ? 'reportsList' : 'feedbacksList');
+        if (!container) return;
+        container.innerHTML = items.length === 0 ? emptyHtml :
+            items.map(item => list === 'reports' ? this.renderReportItem(item) : this.renderFeedbackItem(item)).join('');
+    }
+
+    renderFeedbackItem(feedback) {
+        const terms = this.listTerms.feedbacks;
+        const formatDate = (timestamp) => {
+            if (typeof UTILS !== 'undefined' && UTILS.formatDate) {
+                return UTILS.formatDate(timestamp);
+            }
+            return new Date(timestamp).toLocaleDateString();
+        };
+
+        return `
+            <div class="feedback-item">
+                <div class="feedback-header">
+                    <h4>${this.highlightText(feedback.title || 'Untitled Feedback', terms)}</h4>
+                    <div class="feedback-meta">
+                        <span class="badge badge-primary">${feedback.category || 'General'}</span>
+                        <span>${feedback.author || 'Anonymous'}</span>
+                        <span>${formatDate(feedback.timestamp)}</span>
+                        ${this.renderReviewBadge(feedback)}
+                        ${this.renderRedactionBadge(feedback)}
+                        ${feedback.editedAt ? `
+                            <span class="badge badge-secondary edited-marker" title="Edited ${formatDate(feedback.editedAt)}">
+                                <i class="fas fa-pen"></i> Edited
+                            </span>
+                        ` : ''}
+                        ${feedback.blockchain_reward ? `
+                            <span class="badge badge-success">
+                                <i class="fas fa-check-circle"></i> Rewarded
+                            </span>
+                        ` : feedback.reward_voucher ? `
+                            <span class="badge badge-primary">
+                                <i class="fas fa-ticket-alt"></i> Reward voucher
+                            </span>
+                        ` : ''}
+                        ${feedback.quality?.level === 'high' ? `
+                            <span class="badge badge-success" title="Quality score ${feedback.quality.score}">
+                                <i class="fas fa-star"></i> High quality
+                            </span>
+                        ` : ''}
+                        ${!feedback.blockchain_reward && !feedback.reward_voucher && feedback.reward_status ? `
+                            <span class="badge ${feedback.reward_status.status === 'deferred' ? 'badge-warning' : 'badge-secondary'}" title="${UTILS.validation.sanitizeHTML(feedback.reward_status.reason || '').replace(/"/g, '&quot;')}">
+                                <i class="fas ${feedback.reward_status.status === 'deferred' ? 'fa-hourglass-half' : 'fa-ban'}"></i>
+                                Reward ${feedback.reward_status.status}
                             </span>
                         ` : ''}
                     </div>
@@ -911,13 +2288,204 @@ class CampusFeedbackApp {
                 <div class="feedback-rating">
                     ${this.renderStars(feedback.rating)}
                 </div>
-                <div class="feedback-content">
-                    ${this.truncateText(feedback.content, 200)}
+                ${this.renderAspectBadges(feedback)}
+                ${this.editingFeedbackId === feedback.id ? this.renderFeedbackEditForm(feedback) : `
+                    <div class="feedback-content">
+                        ${this.highlightText(this.truncateText(feedback.content, 200), terms)}
+                    </div>
+                    ${this.renderFeedbackOwnerActions(feedback)}
+                `}
+                ${this.renderModerationDecision('feedback', feedback)}
+                ${this.renderVoteButtons('feedback', feedback)}
+                ${this.renderFeedbackVersions(feedback)}
+                ${this.renderFeedbackComments(feedback)}
+            </div>
+        `;
+    }
+
+    renderFeedbackOwnerActions(feedback) {
+        if (!UTILS.revisions.canModify(feedback, this.user?.id)) return '';
+        
+        const createdAt = feedback.timestamp || feedback.createdAt || Date.now();
+        const closesAt = createdAt + CONFIG.FEEDBACK.EDIT_WINDOW;
+        
+        return `
+            <div class="feedback-actions feedback-owner-actions">
+                <button type="button" class="btn-ghost feedback-edit-btn" data-feedback-id="${feedback.id}">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                <button type="button" class="btn-ghost feedback-withdraw-btn" data-feedback-id="${feedback.id}">
+                    <i class="fas fa-trash-alt"></i> Withdraw
+                </button>
+                <small title="${UTILS.formatDate(closesAt, 'full')}">
+                    Editable for ${UTILS.sla.formatDuration(closesAt - Date.now())}
+                </small>
+            </div>
+        `;
+    }
+
+    renderFeedbackEditForm(feedback) {
+        const escape = (value) => UTILS.validation.sanitizeHTML(value || '').replace(/"/g, '&quot;');
+        
+        return `
+            <form class="feedback-edit-form" data-feedback-id="${feedback.id}">
+                <input type="text" class="feedback-edit-title" value="${escape(feedback.title)}" minlength="5" maxlength="100" required>
+                <textarea class="feedback-edit-content" minlength="10" maxlength="2000" required>${escape(feedback.content)}</textarea>
+                <div class="comment-form-actions">
+                    <button type="button" class="btn btn-secondary feedback-edit-cancel">Cancel</button>
+                    <button type="submit" class="btn btn-primary" data-original-text="<i class='fas fa-save'></i> Save Changes">
+                        <i class="fas fa-save"></i>
+                        Save Changes
+                    </button>
                 </div>
+            </form>
+        `;
+    }
+
+    // The versions are diffed when the history is opened, see setupFeedbackEditing
+    renderFeedbackVersions(feedback) {
+        const versions = UTILS.revisions.getVersions(feedback);
+        if (versions.length === 0) return '';
+        
+        return `
+            <details class="feedback-versions" data-feedback-id="${feedback.id}">
+                <summary><i class="fas fa-history"></i> Edit history (${versions.length})</summary>
+            </details>
+        `;
+    }
+    
+    renderFeedbackChanges(feedback) {
+        const versions = UTILS.revisions.getVersions(feedback);
+        
+        // Each revision is compared with the one that replaced it
+        const revisions = [...versions, { ...feedback, version: versions.length + 1, at: feedback.editedAt }];
+        const changes = revisions.slice(1).map((revision, index) => ({
+            previous: revisions[index],
+            revision: revision
+        })).reverse();
+        
+        return changes.map(({ previous, revision }) => `
+            <div class="feedback-version">
+                <small>Version ${revision.version} • ${UTILS.formatDate(revision.at, 'full')}</small>
+                ${previous.title !== revision.title ? `
+                    <p class="diff"><strong>Title:</strong> ${this.renderDiff(previous.title, revision.title)}</p>
+                ` : ''}
+                <p class="diff">${this.renderDiff(previous.content, revision.content)}</p>
             </div>
         `).join('');
     }
 
+    renderDiff(before, after) {
+        return UTILS.revisions.diff(before, after).map(part => {
+            const text = UTILS.validation.sanitizeHTML(part.text);
+            if (part.type === 'added') return `<ins>${text}</ins>`;
+            if (part.type === 'removed') return `<del>${text}</del>`;
+            return text;
+        }).join('');
+    }
+
+    // Threads load on first render, in one batch for all rows rendered together
+    getFeedbackComments(feedbackId) {
+        if (this.data.comments[feedbackId]) {
+            return this.data.comments[feedbackId];
+        }
+
+        this.pendingCommentLoads = this.pendingCommentLoads || new Set();
+        if (this.pendingCommentLoads.size === 0) {
+            setTimeout(() => this.loadPendingComments(), 0);
+        }
+        this.pendingCommentLoads.add(feedbackId);
+        return [];
+    }
+
+    async loadPendingComments() {
+        const feedbackIds = [...this.pendingCommentLoads];
+        this.pendingCommentLoads.clear();
+
+        await Promise.all(feedbackIds.map(async (feedbackId) => {
+            try {
+                const response = await api.getComments(feedbackId);
+                this.data.comments[feedbackId] = response?.data?.comments || [];
+            } catch (error) {
+                console.warn('⚠️ Could not load comments for feedback', feedbackId, error);
+                this.data.comments[feedbackId] = [];
+            }
+        }));
+
+        this.displayFeedbacks();
+    }
+
+    renderFeedbackComments(feedback) {
+        const comments = this.getFeedbackComments(feedback.id)
+            .filter(comment => this.isVisibleToUser(comment))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const officialCount = comments.filter(c => c.type === 'official').length;
+        const isOpen = this.openCommentThreads && this.openCommentThreads.has(feedback.id);
+        
+        const renderComment = (comment) => `
+            <div class="comment ${comment.type === 'official' ? 'comment-official-response' : ''}">
+                <div class="comment-meta">
+                    <strong>${comment.author || 'Anonymous'}</strong>
+                    ${comment.type === 'official' ? `
+                        <span class="badge badge-success"><i class="fas fa-check-circle"></i> Official Response</span>
+                    ` : ''}
+                    ${this.renderReviewBadge(comment)}
+                    <small>${UTILS.formatDate(comment.timestamp)}</small>
+                </div>
+                <p>${UTILS.validation.sanitizeHTML(comment.content)}</p>
+                ${this.renderModerationDecision('comment', comment)}
+                <button type="button" class="btn-ghost comment-reply-btn" data-comment-id="${comment.id}" data-author="${comment.author || 'Anonymous'}">
+                    <i class="fas fa-reply"></i> Reply
+                </button>
+            </div>
+        `;
+        
+        // Replies nest under the comment they answer, replies to hidden or deleted comments start a thread
+        const topLevel = comments.filter(c => !c.parentId || !comments.some(p => p.id === c.parentId));
+        const repliesTo = (comment) => comments.filter(c => c.parentId === comment.id);
+        const renderThread = (comment, seen = new Set()) => {
+            seen.add(comment.id);
+            const replies = repliesTo(comment).filter(reply => !seen.has(reply.id));
+            return `
+                ${renderComment(comment)}
+                ${replies.length > 0 ? `
+                    <div class="comment-replies">
+                        ${replies.map(reply => renderThread(reply, seen)).join('')}
+                    </div>
+                ` : ''}
+            `;
+        };
+        
+        return `
+            <details class="feedback-comments" data-feedback-id="${feedback.id}" ${isOpen ? 'open' : ''}>
+                <summary>
+                    <i class="fas fa-comments"></i> Comments (${comments.length})
+                    ${officialCount > 0 ? '<span class="badge badge-success">Official response</span>' : ''}
+                </summary>
+                <div class="comment-thread">
+                    ${topLevel.map(comment => renderThread(comment)).join('')}
+                </div>
+                <form class="comment-form" data-feedback-id="${feedback.id}">
+                    <div class="comment-reply-target"></div>
+                    <textarea placeholder="Add a comment..." maxlength="1000" required></textarea>
+                    <div class="comment-form-actions">
+                        ${this.isStaffUser() ? `
+                            <label class="checkbox-label">
+                                <input type="checkbox" class="comment-official">
+                                <span class="checkmark"></span>
+                                Post as official response
+                            </label>
+                        ` : ''}
+                        <button type="submit" class="btn btn-primary">
+                            <i class="fas fa-paper-plane"></i>
+                            Post
+                        </button>
+                    </div>
+                </form>
+            </details>
+        `;
+    }
+
     renderStars(rating) {
         let stars = '';
         for (let i = 1; i <= 5; i++) {
@@ -935,71 +2503,600 @@ class CampusFeedbackApp {
     }
 
     displayReports() {
-        const container = document.getElementById('reportsList');
-        if (!container) return;
-
-        if (this.data.reports.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-flag"></i>
-                    <p>No reports yet. Report issues to help improve our campus!</p>
-                </div>
-            `;
-            return;
-        }
+        this.displayReportsMap();
 
         // Similar implementation as displayFeedbacks but for reports
-        container.innerHTML = this.data.reports.map(report => `
-            <div class="report-item">
+        const { items: reports, terms } = this.getListItems('reports');
+        this.listTerms.reports = terms;
+
+        this.renderList('reports', reports, `
+            <div class="empty-state">
+                <i class="fas ${this.data.reports.length === 0 ? 'fa-flag' : 'fa-search'}"></i>
+                <p>${this.data.reports.length === 0 ?
+                    'No reports yet. Report issues to help improve our campus!' :
+                    'No reports match your search.'}</p>
+            </div>
+        `);
+    }
+
+    renderReportItem(report) {
+        const terms = this.listTerms.reports;
+        const state = UTILS.lifecycle.getState(report.status);
+        const sla = UTILS.sla.getStatus(report);
+
+        return `
+            <div class="report-item ${sla.overdue ? 'overdue' : ''}">
                 <div class="report-header">
-                    <h4>${report.title || 'Untitled Report'}</h4>
+                    <h4>${this.highlightText(report.title || 'Untitled Report', terms)}</h4>
                     <div class="report-meta">
+                        <span class="badge badge-${state.badge}">
+                            <i class="${state.icon}"></i> ${state.label}
+                        </span>
+                        ${this.renderSlaBadge(report)}
+                        ${this.renderRedactionBadge(report)}
                         <span class="badge badge-warning">${report.urgency || 'medium'} urgency</span>
                         <span class="badge badge-secondary">${report.type || 'general'}</span>
-                        <span>${report.location || 'Unknown location'}</span>
+                        <span>${this.highlightText(report.location || 'Unknown location', terms)}</span>
+                        ${report.reporters && report.reporters.length > 1 ? `
+                            <span class="badge badge-primary">
+                                <i class="fas fa-users"></i> ${report.reporters.length} reporters
+                            </span>
+                        ` : ''}
                     </div>
                 </div>
                 <div class="report-content">
-                    ${this.truncateText(report.description, 200)}
+                    ${this.highlightText(this.truncateText(report.description, 200), terms)}
                 </div>
+                ${report.images && report.images.some(img => img.dataUrl) ? `
+                    <div class="report-images">
+                        ${report.images.filter(img => img.dataUrl).map(img => `
+                            <img src="${img.dataUrl}" alt="${img.name || 'Report image'}" loading="lazy">
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${this.renderModerationDecision('report', report)}
+                ${this.renderVoteButtons('report', report)}
+                ${this.renderReportTimeline(report)}
             </div>
-        `).join('');
+        `;
+    }
+
+    // The list only holds the pages loaded so far, the map shows every open report
+    async displayReportsMap() {
+        if (!this.components.reportsMap) return;
+        
+        const request = this.reportsMapRequest = (this.reportsMapRequest || 0) + 1;
+        let reports;
+        try {
+            const response = await api.getReports();
+            reports = response?.data?.reports || [];
+        } catch (error) {
+            console.warn('⚠️ Could not load reports for the map, showing the loaded ones:', error);
+            reports = this.data.reports;
+        }
+        // A newer refresh started while this one was loading
+        if (request !== this.reportsMapRequest) return;
+        
+        const stoppedStates = CONFIG.REPORTS.SLA.STOPPED_STATES;
+        const openReports = reports.filter(report =>
+            !stoppedStates.includes(UTILS.lifecycle.normalizeStatus(report.status))
+        );
+        this.components.reportsMap.showReports(openReports);
+        CampusMap.renderLegend(document.getElementById('reportsMapLegend'), openReports);
+    }
+
+    renderSlaBadge(report) {
+        const sla = UTILS.sla.describe(report);
+        if (!sla) return '';
+        
+        const status = UTILS.sla.getStatus(report);
+        const tier = status.level > 0 ? ` • ${status.tier}` : '';
+        return `
+            <span class="badge badge-${sla.badge} sla-badge" title="SLA due ${UTILS.formatDate(status.dueAt, 'full')}">
+                <i class="${sla.icon}"></i> ${sla.label}${tier}
+            </span>
+        `;
+    }
+
+    renderReportTimeline(report) {
+        const history = UTILS.lifecycle.getHistory(report);
+        
+        return `
+            <details class="report-history">
+                <summary>Status history (${history.length})</summary>
+                <div class="timeline">
+                    ${history.slice().reverse().map(entry => {
+                        const state = UTILS.lifecycle.getState(entry.to);
+                        return `
+                            <div class="timeline-item">
+                                <div class="timeline-marker"></div>
+                                <div class="timeline-content">
+                                    <div class="timeline-date">${UTILS.formatDate(entry.at, 'full')}</div>
+                                    <div class="timeline-title">${state.label}</div>
+                                    <div class="timeline-description">
+                                        by ${entry.by || 'system'}${entry.note ? ` — ${entry.note}` : ''}
+                                    </div>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </details>
+        `;
     }
 
     setupRealtimeUpdates() {
+        // Rewards owed to the user are paid as soon as their wallet is connected
+        window.addEventListener('campusfeedback:wallet', () => this.releaseDeferredRewards());
+        this.releaseDeferredRewards();
+
         // Setup periodic data refresh
         setInterval(() => {
             if (this.currentPage === 'dashboard') {
                 this.loadStats();
             }
+            // Keeps the SLA countdown badges current
+            if (this.currentPage === 'reports') {
+                this.displayReports();
+            }
+            this.releaseDeferredRewards();
         }, 30000); // Refresh every 30 seconds
+
+        // Push votes cast offline to the API
+        if (typeof voteManager !== 'undefined') {
+            voteManager.startSync();
+        }
+
+        // Moderation rule sets published elsewhere take effect on load
+        if (typeof moderationRules !== 'undefined') {
+            moderationRules.load();
+        }
+        if (typeof languagePacks !== 'undefined') {
+            languagePacks.load();
+        }
     }
 
     async loadUserData() {
         try {
-            // Create default user if none exists
+            // Use the signed-in user if there is one, otherwise a default student
+            const storedUser = typeof UTILS !== 'undefined' && UTILS.storage ? UTILS.storage.get('user') : null;
+            
+            // Votes and achievements need the same id across reloads
+            let userId = UTILS.storage.get('user_id');
+            if (!userId) {
+                userId = this.generateId();
+                UTILS.storage.set('user_id', userId);
+            }
+            
             this.user = {
-                id: this.generateId(),
+                id: userId,
                 name: 'Campus User',
                 email: 'user@campus.edu',
+                role: CONFIG.ROLES.DEFAULT,
                 points: 0,
                 level: 1,
                 achievements: [],
-                joinDate: Date.now()
+                joinDate: Date.now(),
+                ...(storedUser || {})
             };
             
+            this.applyRoleVisibility();
+            this.updateSlaMonitor();
+            
+            // Role-dependent controls and vote states in the lists need the loaded user
+            this.displayFeedbacks();
+            this.displayReports();
+            await this.loadAchievements();
+            
             console.log('👤 User data loaded:', this.user);
         } catch (error) {
             console.error('Error loading user data:', error);
         }
     }
 
-    // Placeholder methods for other functionality
+    isStaffUser() {
+        return !!this.user && CONFIG.ROLES.STAFF.includes(this.user.role);
+    }
+
+    isAdminUser() {
+        return !!this.user && CONFIG.ROLES.ADMIN.includes(this.user.role);
+    }
+
+    applyRoleVisibility() {
+        const isStaff = this.isStaffUser();
+        document.querySelectorAll('.staff-only').forEach(element => {
+            element.hidden = !isStaff;
+        });
+
+        const isAdmin = this.isAdminUser();
+        document.querySelectorAll('.admin-only').forEach(element => {
+            element.hidden = !isAdmin;
+        });
+    }
+
+    // Escalations reassign reports, so only staff browsers watch the SLAs
+    updateSlaMonitor() {
+        if (typeof SLAMonitor === 'undefined') return;
+
+        if (!this.isStaffUser()) {
+            if (this.components.slaMonitor) {
+                this.components.slaMonitor.stop();
+                this.components.slaMonitor = null;
+            }
+            return;
+        }
+
+        if (!this.components.slaMonitor) {
+            this.components.slaMonitor = new SLAMonitor({
+                onEscalate: async () => {
+                    await this.reloadReports();
+                    if (this.currentPage === 'triage') {
+                        await this.loadTriageData();
+                    }
+                }
+            });
+            this.components.slaMonitor.start();
+        }
+    }
+
     async handleReportSubmit(e) {
         e.preventDefault();
-        console.log('🚩 Report submission placeholder - implement similar to feedback');
-        if (typeof showNotification === 'function') {
-            showNotification('Report submission functionality will be implemented', 'info');
+        
+        try {
+            const form = e.target;
+            
+            // Get form data safely
+            const reportData = {
+                type: this.getFieldValue('reportType'),
+                title: this.getFieldValue('reportTitle').trim(),
+                location: this.getFieldValue('reportLocation').trim(),
+                urgency: this.getFieldValue('urgencyLevel') || 'medium',
+                description: this.getFieldValue('reportDescription').trim()
+            };
+
+            console.log('🚩 Submitting report:', reportData);
+
+            // Validate form
+            if (!this.validateReportData(reportData, form)) {
+                return;
+            }
+
+            // Structured location from the campus map
+            const mapLocation = this.getReportMapLocation();
+
+            // Suggest supporting an existing report instead of filing a duplicate. "Submit anyway"
+            // holds for this exact report only and is used up here.
+            const draft = JSON.stringify({ ...reportData, ...mapLocation });
+            const allowDuplicate = this.allowDuplicateReport === draft;
+            this.allowDuplicateReport = null;
+            if (!allowDuplicate && typeof duplicateDetector !== 'undefined') {
+                const duplicates = duplicateDetector.findDuplicates({ ...reportData, ...mapLocation });
+                if (duplicates.length > 0) {
+                    this.duplicateReportDraft = draft;
+                    this.showReportDuplicates(duplicates);
+                    return;
+                }
+            }
+            this.hideReportDuplicates();
+
+            const publishedText = this.getPublishedText(`${reportData.title}\n${reportData.description}`);
+            if (!this.checkSubmissionLimit('report', form, publishedText)) {
+                return;
+            }
+
+            // Moderate first and let the user see the result before it is filed
+            const moderation = await this.reviewBeforeSubmit('report', form, `${reportData.title}\n${reportData.description}`);
+            if (!moderation) {
+                // Confirming the moderation review submits the same report again
+                if (allowDuplicate) this.allowDuplicateReport = draft;
+                return;
+            }
+
+            // Show loading state
+            this.setFormLoading(form, true);
+
+            try {
+                if (!await this.registerSubmission('report', form, publishedText)) {
+                    return;
+                }
+
+                // Attach images held by the upload component
+                const images = await this.getReportImages();
+
+                // Create report object
+                const author = this.user?.name || 'Campus User';
+                const held = !moderation.approved;
+                const initialStatus = held ? CONFIG.AI.MODERATION.REVIEW_STATUS : CONFIG.REPORTS.LIFECYCLE.INITIAL;
+                // Location stays as entered, facilities need the room to act on the report
+                const redaction = this.redactSubmission(reportData, ['title', 'description']);
+                const newReport = {
+                    id: this.generateId(),
+                    ...redaction.data,
+                    ...mapLocation,
+                    images: images,
+                    author: author,
+                    authorId: this.user?.id,
+                    timestamp: Date.now(),
+                    status: initialStatus,
+                    history: [UTILS.lifecycle.createEntry(null, initialStatus, author, held ? 'Held by content moderation' : '')],
+                    sentiment: moderation.sentiment || 'neutral',
+                    moderation: ModerationSystem.toRecord(moderation),
+                    redactions: redaction.summary,
+                    blockchain_reward: null
+                };
+
+                console.log('💾 Saving report...');
+                
+                // Save report
+                this.saveReport(newReport);
+                await this.storeRedactedOriginals('report', newReport.id, redaction);
+                
+                // Update displays
+                this.displayReports();
+                await this.loadStats();
+                await this.loadRecentActivity();
+                await this.loadAchievements();
+                
+                // Show success
+                if (typeof showNotification === 'function') {
+                    if (held) {
+                        showNotification('🛡️ Report submitted and held for moderator review before facilities see it', 'warning', 8000);
+                    } else {
+                        showNotification('✅ Report submitted successfully! Campus facilities have been notified.', 'success');
+                    }
+                }
+                
+                // Held submissions are rewarded once a moderator approves them (MOCK_API.queueApprovalReward)
+                if (!held) {
+                    this.sendBlockchainReward(newReport, 'report');
+                }
+                
+                // Clear form
+                this.clearReportForm(form);
+                
+            } catch (error) {
+                console.error('❌ Error submitting report:', error);
+                if (typeof showNotification === 'function') {
+                    showNotification('Error submitting report. Please try again.', 'error');
+                }
+            } finally {
+                // Restore button state
+                this.setFormLoading(form, false);
+            }
+            
+        } catch (error) {
+            console.error('❌ Critical error in report submission:', error);
+            if (typeof showNotification === 'function') {
+                showNotification('A critical error occurred. Please refresh and try again.', 'error');
+            }
+        }
+    }
+
+    validateReportData(data, form) {
+        const urgencyLevels = ['low', 'medium', 'high', 'critical'];
+        const errors = [];
+        
+        if (!data.type) errors.push('Issue type is required');
+        if (!data.title || data.title.length < 5) errors.push('Title must be at least 5 characters');
+        if (data.title && data.title.length > 100) errors.push('Title must not exceed 100 characters');
+        if (!data.location || data.location.length < 3) errors.push('Location must be at least 3 characters');
+        if (data.location && data.location.length > 200) errors.push('Location must not exceed 200 characters');
+        if (!urgencyLevels.includes(data.urgency)) errors.push('Please select a valid urgency level');
+        if (!data.description || data.description.length < 10) errors.push('Description must be at least 10 characters');
+        if (data.description && data.description.length > 2000) errors.push('Description must not exceed 2000 characters');
+        
+        if (errors.length > 0) {
+            if (typeof showNotification === 'function') {
+                showNotification('Please fix the form errors: ' + errors.join(', '), 'warning');
+            }
+            return false;
+        }
+        
+        return true;
+    }
+
+    async getReportImages() {
+        const fileUpload = this.components.fileUpload;
+        if (!fileUpload || !fileUpload.files || fileUpload.files.length === 0) {
+            return [];
+        }
+
+        // Read images as data URLs so they survive a reload from localStorage
+        const readAsDataURL = (file) => new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(file);
+        });
+
+        return Promise.all(fileUpload.files.map(async (fileObj) => ({
+            id: String(fileObj.id),
+            name: fileObj.name,
+            size: fileObj.size,
+            type: fileObj.type,
+            dataUrl: await readAsDataURL(fileObj.file)
+        })));
+    }
+
+    showReportDuplicates(duplicates) {
+        const container = document.getElementById('reportDuplicates');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <div class="duplicates-header">
+                <i class="fas fa-clone"></i>
+                <span>This issue may already be reported</span>
+            </div>
+            <p>Adding your +1 to an existing report helps staff prioritise it faster.</p>
+            ${duplicates.map(({ report, score }) => `
+                <div class="duplicate-item">
+                    <div>
+                        <strong>${report.title || 'Untitled Report'}</strong>
+                        <small>${report.location || 'Unknown location'} • ${UTILS.formatDate(report.timestamp)} • ${Math.round(score * 100)}% match</small>
+                    </div>
+                    <button type="button" class="btn btn-primary" onclick="app.supportExistingReport('${report.id}')">
+                        <i class="fas fa-plus"></i>
+                        +1 This Report
+                    </button>
+                </div>
+            `).join('')}
+            <button type="button" class="btn btn-secondary" onclick="app.submitReportAnyway()">
+                <i class="fas fa-flag"></i>
+                It's Different, Submit as New
+            </button>
+        `;
+        container.style.display = 'block';
+        container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    hideReportDuplicates() {
+        const container = document.getElementById('reportDuplicates');
+        if (container) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        }
+    }
+
+    submitReportAnyway() {
+        const form = document.getElementById('reportForm');
+        if (!form) return;
+        
+        this.allowDuplicateReport = this.duplicateReportDraft;
+        this.hideReportDuplicates();
+        form.requestSubmit();
+    }
+
+    async supportExistingReport(reportId) {
+        try {
+            const report = UTILS.storage.getReports().find(r => r.id === reportId);
+            if (!report) {
+                showNotification('That report is no longer available', 'warning');
+                return;
+            }
+            
+            const reporter = { id: this.user?.id || null, name: this.user?.name || 'Campus User' };
+            const images = await this.getReportImages();
+            const { reporters, images: combinedImages, alreadyReported } = duplicateDetector.addReporter(report, reporter, images);
+            
+            if (!UTILS.storage.saveReport({ ...report, reporters, images: combinedImages })) {
+                showNotification('Could not add your report to the existing issue. Please try again.', 'error');
+                return;
+            }
+            
+            // Supporting an existing report is a "me too" vote on it
+            if (this.user && !voteManager.hasVoted(this.user.id, 'report', report.id, 'upvote')) {
+                voteManager.toggleVote(this.user.id, 'report', report.id, 'upvote');
+                voteManager.sync();
+            }
+            this.reloadReports();
+            
+            const form = document.getElementById('reportForm');
+            if (form) {
+                this.clearReportForm(form);
+            }
+            
+            if (alreadyReported) {
+                showNotification('You already reported this issue, your photos were added to it', 'info');
+            } else {
+                showNotification(`👍 Thanks! ${reporters.length} people have now reported this issue`, 'success');
+            }
+        } catch (error) {
+            UTILS.handleError(error, 'Support Existing Report');
+        }
+    }
+
+    handleMapLocationSelect(building) {
+        const roomSelect = document.getElementById('reportRoom');
+        if (roomSelect) {
+            roomSelect.innerHTML = `
+                <option value="">Anywhere in ${building.name}</option>
+                ${(building.rooms || []).map(room => `<option value="${room.id}">${room.name}</option>`).join('')}
+            `;
+            roomSelect.disabled = false;
+        }
+        
+        this.updateLocationFromMap();
+    }
+
+    updateLocationFromMap() {
+        const mapLocation = this.getReportMapLocation();
+        const locationField = document.getElementById('reportLocation');
+        if (!locationField || !mapLocation.buildingId) return;
+        
+        // Only replace text the map filled in, never what the user typed
+        const description = CampusMap.describeLocation(mapLocation.buildingId, mapLocation.roomId);
+        if (!locationField.value.trim() || locationField.dataset.fromMap === 'true') {
+            locationField.value = description;
+            locationField.dataset.fromMap = 'true';
+            if (typeof formValidator !== 'undefined' && formValidator) {
+                formValidator.clearFieldError('reportLocation');
+            }
+        }
+    }
+
+    getReportMapLocation() {
+        const selection = this.components.locationPicker?.selection;
+        if (!selection) {
+            return { buildingId: null, roomId: null, coordinates: null };
+        }
+        
+        return {
+            buildingId: selection.buildingId,
+            roomId: this.getFieldValue('reportRoom') || null,
+            coordinates: selection.coordinates
+        };
+    }
+
+    saveReport(report) {
+        // Add to current data
+        this.data.reports.unshift(report);
+        
+        // Save to storage if available
+        if (typeof UTILS !== 'undefined' && UTILS.storage) {
+            if (!UTILS.storage.saveReport(report) && report.images && report.images.length > 0) {
+                // Image data can exceed the storage quota, keep the metadata only
+                console.warn('⚠️ Report images too large for storage, saving metadata only');
+                UTILS.storage.saveReport({
+                    ...report,
+                    images: report.images.map(({ dataUrl, ...meta }) => meta)
+                });
+                if (typeof showNotification === 'function') {
+                    showNotification('Images were too large to store offline; only their details were saved.', 'warning');
+                }
+            }
+        } else {
+            console.warn('⚠️ UTILS.storage not available, report only stored in memory');
+        }
+    }
+
+    clearReportForm(form) {
+        form.reset();
+        this.allowDuplicateReport = null;
+        this.hideReportDuplicates();
+        delete this.moderationReviews.report;
+        this.hideModerationReview('report');
+        
+        // Reset the map picker
+        if (this.components.locationPicker) {
+            this.components.locationPicker.clear();
+        }
+        const roomSelect = document.getElementById('reportRoom');
+        if (roomSelect) {
+            roomSelect.innerHTML = '<option value="">Pick a building on the map first</option>';
+            roomSelect.disabled = true;
+        }
+        const locationField = document.getElementById('reportLocation');
+        if (locationField) {
+            delete locationField.dataset.fromMap;
+        }
+        
+        // Clear attached images
+        if (this.components.fileUpload) {
+            this.components.fileUpload.clear();
+        }
+        
+        if (typeof formValidator !== 'undefined' && formValidator) {
+            formValidator.clearFormErrors(form);
         }
     }
 
@@ -1010,22 +3107,224 @@ class CampusFeedbackApp {
 
     async loadFeedbackData() {
         this.displayFeedbacks();
+        this.restoreListScroll('feedbacks');
     }
 
     async loadReportsData() {
         this.displayReports();
+        this.restoreListScroll('reports');
+    }
+
+    saveListScroll() {
+        const lists = { feedback: 'feedbacks', reports: 'reports' };
+        const list = lists[this.currentPage];
+        const virtualList = list === 'reports' ? this.components.reportList : this.components.feedbackList;
+        if (list && virtualList) {
+            this.scrollPositions[list] = virtualList.getScrollTop();
+        }
+    }
+
+    restoreListScroll(list) {
+        const virtualList = list === 'reports' ? this.components.reportList : this.components.feedbackList;
+        if (virtualList && this.scrollPositions[list]) {
+            virtualList.scrollTo(this.scrollPositions[list]);
+        }
+    }
+
+    async fetchPage(list, cursor) {
+        const params = { limit: CONFIG.API.PAGE_SIZE };
+        if (cursor) {
+            params.cursor = cursor;
+        }
+        
+        const response = list === 'reports' ? await api.getReports(params) : await api.getFeedbacks(params);
+        return {
+            items: response?.data?.[list] || [],
+            cursor: response?.data?.nextCursor || null,
+            hasMore: !!response?.data?.hasMore
+        };
+    }
+
+    // Starts the list over from page 1 of the API
+    async reloadList(list) {
+        this.resetPagination(list);
+        const page = this.pagination[list];
+        page.loading = true;
+        
+        try {
+            const result = typeof api !== 'undefined' ? await this.fetchPage(list, null) : null;
+            if (this.pagination[list] !== page) return;
+            
+            if (result) {
+                this.data[list] = result.items;
+                page.cursor = result.cursor;
+                page.hasMore = result.hasMore;
+            } else {
+                this.data[list] = list === 'reports' ? UTILS.storage.getReports() : UTILS.storage.getFeedbacks();
+                page.hasMore = false;
+            }
+        } catch (error) {
+            // Offline, show what this browser has stored
+            console.warn(`⚠️ Could not load ${list}, showing stored items:`, error);
+            if (this.pagination[list] !== page) return;
+            this.data[list] = (list === 'reports' ? UTILS.storage.getReports() : UTILS.storage.getFeedbacks()) || [];
+            page.hasMore = false;
+        } finally {
+            page.loading = false;
+        }
+        
+        if (typeof searchIndex !== 'undefined') {
+            // Built first, building later would drop API items that are not stored locally
+            searchIndex.ensureBuilt();
+            this.data[list].forEach(item => searchIndex.add(list === 'reports' ? 'report' : 'feedback', item));
+        }
+        if (list === 'reports') {
+            this.displayReports();
+        } else {
+            this.displayFeedbacks();
+        }
+    }
+
+    // Appends the next API page after the cursor
+    async loadMoreItems(list) {
+        const page = this.pagination[list];
+        if (page.loading || !page.hasMore || typeof api === 'undefined') return;
+        
+        page.loading = true;
+        
+        try {
+            const result = await this.fetchPage(list, page.cursor);
+            // The list was reloaded meanwhile, this page belongs to the old one
+            if (this.pagination[list] !== page) return;
+            
+            page.cursor = result.cursor;
+            page.hasMore = result.hasMore;
+            
+            // Items posted since the first page loaded can come round again
+            const known = new Set(this.data[list].map(item => item.id));
+            const added = result.items.filter(item => !known.has(item.id));
+            if (added.length > 0) {
+                this.data[list].push(...added);
+                if (typeof searchIndex !== 'undefined') {
+                    searchIndex.ensureBuilt();
+                    added.forEach(item => searchIndex.add(list === 'reports' ? 'report' : 'feedback', item));
+                }
+                
+                if (list === 'reports') {
+                    this.displayReports();
+                } else {
+                    this.displayFeedbacks();
+                }
+            }
+            
+            console.log(`📄 Loaded ${added.length} more ${list}`, page.hasMore ? '(more available)' : '(end of list)');
+        } catch (error) {
+            // Stop paging on failure, a reload starts over
+            page.hasMore = false;
+            UTILS.handleError(error, 'Load More');
+        } finally {
+            page.loading = false;
+        }
+    }
+
+    resetPagination(list) {
+        this.pagination[list] = { cursor: null, hasMore: true, loading: false };
+    }
+
+    async loadTriageData() {
+        if (this.components.triageConsole) {
+            await this.components.triageConsole.load();
+        }
+    }
+
+    async loadModerationQueueData() {
+        if (this.components.moderationQueueConsole) {
+            await this.components.moderationQueueConsole.load();
+        }
+    }
+
+    reloadModeratedItems(targetType) {
+        if (targetType === 'report') {
+            this.reloadReports();
+            return;
+        }
+        if (targetType === 'comment') {
+            this.data.comments = {};
+        }
+        this.reloadList('feedbacks');
+    }
+
+    loadModerationRulesData() {
+        if (this.components.moderationRulesConsole) {
+            this.components.moderationRulesConsole.load();
+        }
+    }
+
+    reloadReports() {
+        return this.reloadList('reports');
     }
 
     async loadLeaderboardData() {
         console.log('🏆 Loading leaderboard data...');
+        
+        const container = document.getElementById('leaderboardList');
+        if (!container) return;
+        
+        const leaderboard = achievementEngine.getLeaderboard(this.leaderboardPeriod);
+        this.data.leaderboard = leaderboard;
+        
+        if (leaderboard.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-trophy"></i>
+                    <p>No contributions in this period yet.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const rankClasses = ['first', 'second', 'third'];
+        container.innerHTML = leaderboard.map(entry => `
+            <div class="leaderboard-item">
+                <div class="leaderboard-rank ${rankClasses[entry.rank - 1] || ''}">${entry.rank}</div>
+                <div class="leaderboard-info">
+                    <h4>${UTILS.validation.sanitizeHTML(entry.name)}${entry.id === this.user?.id ? ' (You)' : ''}</h4>
+                    <p>
+                        Level ${entry.level} • ${entry.contributions} contributions •
+                        ${entry.upvotes} me too • ${entry.helpfulVotes} helpful
+                    </p>
+                </div>
+                <div class="leaderboard-points">${entry.points} pts</div>
+            </div>
+        `).join('');
     }
 
     async loadProfileData() {
         console.log('👤 Loading profile data...');
+        await this.releaseDeferredRewards();
+        await this.loadAchievements();
     }
 
     async loadAchievements() {
         console.log('🏅 Loading achievements...');
+        if (!this.user) return;
+        
+        const achievements = achievementEngine.evaluate(this.user);
+        this.data.achievements = achievements;
+        
+        const container = document.getElementById('userAchievements');
+        if (!container) return;
+        
+        container.innerHTML = achievements.map(achievement => `
+            <div class="achievement-card ${achievement.earned ? 'earned' : 'locked'}">
+                <div class="achievement-icon">${achievement.icon}</div>
+                <h4>${achievement.title}</h4>
+                <p>${achievement.description}</p>
+                <small class="achievement-progress">
+                    ${achievement.earned ? `Earned • ${achievement.points} pts` : `${achievement.progress} / ${achievement.threshold}`}
+                </small>
+            </div>
+        `).join('');
     }
 }
 
@@ -1043,7 +3342,11 @@ function clearForm() {
 function clearReportForm() {
     const reportForm = document.getElementById('reportForm');
     if (reportForm) {
-        reportForm.reset();
+        if (window.app) {
+            window.app.clearReportForm(reportForm);
+        } else {
+            reportForm.reset();
+        }
         if (typeof showNotification === 'function') {
             showNotification('Report form cleared successfully', 'info');
         }
@@ -0,0 +1,157 @@
+// aspects.js - Aspect-based sentiment for feedback, scored per feedback category
+
+class AspectAnalyzer {
+    constructor() {
+        this.settings = CONFIG.AI.ASPECTS;
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Whole-word, case-insensitive match for any of the words, accented letters included
+    static wordPattern(words) {
+        const alternatives = words.map(AspectAnalyzer.escapeRegExp).join('|');
+        return new RegExp(`(?<![\\p{L}])(?:${alternatives})(?![\\p{L}])`, 'giu');
+    }
+
+    getLanguage(text, language) {
+        if (language) return language;
+        return typeof languagePacks !== 'undefined' ? languagePacks.detect(text).code : CONFIG.AI.LANGUAGES.DEFAULT;
+    }
+
+    // Configured aspects of a category with the language pack's keywords added
+    getAspects(category, language = null) {
+        const configured = this.settings.CATEGORIES[category] || {};
+        const extra = typeof languagePacks !== 'undefined' && language ? languagePacks.getAspectKeywords(language, category) : {};
+
+        return Object.entries(configured).map(([key, aspect]) => ({
+            key: key,
+            label: aspect.label,
+            keywords: [...new Set([...aspect.keywords, ...(extra[key] || [])])]
+        }));
+    }
+
+    getLabel(category, key) {
+        return this.settings.CATEGORIES[category]?.[key]?.label || key;
+    }
+
+    // Sentences, further split at contrast words so "great lectures but terrible grading"
+    // scores each half on its own
+    splitClauses(text, language) {
+        const grammar = typeof languagePacks !== 'undefined' ?
+            languagePacks.getGrammar(language) :
+            { contrast: [] };
+        const contrast = grammar.contrast.length > 0 ? AspectAnalyzer.wordPattern(grammar.contrast) : null;
+
+        return text
+            .split(/[.!?;\n]+/)
+            .flatMap(sentence => (contrast ? sentence.split(contrast) : [sentence]))
+            .map(clause => clause.trim())
+            .filter(Boolean);
+    }
+
+    // Lexicon words in the clause, flipped when one of the two words before them is a negation
+    scoreClause(clause, language) {
+        const lexicon = typeof languagePacks !== 'undefined' ?
+            languagePacks.getLexicon(language) :
+            CONFIG.AI.LANGUAGES.PACKS[0].sentiment;
+        const negations = new Set(typeof languagePacks !== 'undefined' ? languagePacks.getGrammar(language).negations : []);
+        const positive = new Set(lexicon.positive);
+        const negative = new Set(lexicon.negative);
+        const words = clause.toLowerCase().match(/[\p{L}']+/gu) || [];
+
+        let total = 0;
+        let hits = 0;
+        words.forEach((word, index) => {
+            let value = positive.has(word) ? 1 : negative.has(word) ? -1 : 0;
+            if (value === 0) return;
+
+            if (words.slice(Math.max(0, index - 2), index).some(previous => negations.has(previous))) {
+                value = -value;
+            }
+            total += value;
+            hits++;
+        });
+
+        return hits > 0 ? total / hits : 0;
+    }
+
+    describe(score) {
+        if (score > this.settings.NEUTRAL_BAND) return 'positive';
+        if (score < -this.settings.NEUTRAL_BAND) return 'negative';
+        return 'neutral';
+    }
+
+    // One entry per aspect mentioned in the text, score from -1 (negative) to 1 (positive)
+    analyze(text, category, language = null) {
+        if (!this.settings.ENABLED || !text) return [];
+
+        const code = this.getLanguage(text, language);
+        const aspects = this.getAspects(category, code).filter(aspect => aspect.keywords.length > 0);
+        if (aspects.length === 0) return [];
+
+        const clauses = this.splitClauses(text, code).map(clause => ({ clause, score: this.scoreClause(clause, code) }));
+
+        return aspects.map(aspect => {
+            const pattern = AspectAnalyzer.wordPattern(aspect.keywords);
+            const mentioned = clauses.filter(({ clause }) => {
+                pattern.lastIndex = 0;
+                return pattern.test(clause);
+            });
+            if (mentioned.length === 0) return null;
+
+            const score = Math.round(mentioned.reduce((sum, m) => sum + m.score, 0) / mentioned.length * 100) / 100;
+            return {
+                aspect: aspect.key,
+                label: aspect.label,
+                score: score,
+                sentiment: this.describe(score),
+                mentions: mentioned.length
+            };
+        }).filter(Boolean);
+    }
+
+    analyzeFeedback(feedback) {
+        const language = feedback.moderation?.language || null;
+        return this.analyze(`${feedback.title || ''}\n${feedback.content || ''}`, feedback.category, language);
+    }
+
+    // Stored aspects, or computed for feedback submitted before aspects were recorded
+    getFeedbackAspects(feedback) {
+        return Array.isArray(feedback.aspects) ? feedback.aspects : this.analyzeFeedback(feedback);
+    }
+
+    // Per-aspect averages and sentiment counts over the feedback of one category
+    summarize(feedbacks, category) {
+        const totals = {};
+
+        feedbacks.filter(feedback => feedback.category === category).forEach(feedback => {
+            this.getFeedbackAspects(feedback).forEach(entry => {
+                const total = totals[entry.aspect] || (totals[entry.aspect] = {
+                    aspect: entry.aspect,
+                    label: this.getLabel(category, entry.aspect),
+                    sum: 0,
+                    feedbacks: 0,
+                    positive: 0,
+                    neutral: 0,
+                    negative: 0
+                });
+                total.sum += entry.score;
+                total.feedbacks++;
+                total[entry.sentiment]++;
+            });
+        });
+
+        return Object.values(totals)
+            .map(({ sum, ...total }) => ({ ...total, average: Math.round(sum / total.feedbacks * 100) / 100 }))
+            .sort((a, b) => b.feedbacks - a.feedbacks);
+    }
+}
+
+// Initialize aspect analysis
+const aspectAnalyzer = new AspectAnalyzer();
+
+// Export for global use
+window.AspectAnalyzer = AspectAnalyzer;
+window.aspectAnalyzer = aspectAnalyzer;
@@ -0,0 +1,173 @@
+// campus-map.js - Offline campus map for picking and viewing report locations
+
+class CampusMap {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            mode: options.mode || 'view', // 'picker' or 'view'
+            onSelect: options.onSelect || (() => {}),
+            ...options
+        };
+        this.selection = null;
+        this.svg = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.render();
+
+        if (this.options.mode === 'picker') {
+            this.svg.addEventListener('click', (e) => this.handleMapClick(e));
+        }
+
+        console.log('🗺️ Campus map ready:', this.options.mode);
+    }
+
+    static getBuildings() {
+        return CONFIG.CAMPUS_MAP.BUILDINGS || [];
+    }
+
+    static findBuilding(buildingId) {
+        return CampusMap.getBuildings().find(b => b.id === buildingId) || null;
+    }
+
+    static findRoom(buildingId, roomId) {
+        const building = CampusMap.findBuilding(buildingId);
+        return building ? (building.rooms || []).find(r => r.id === roomId) || null : null;
+    }
+
+    static buildingAt(x, y) {
+        return CampusMap.getBuildings().find(b =>
+            x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height
+        ) || null;
+    }
+
+    // Reports without a pinned point fall back to the centre of their building
+    static getReportPoint(report) {
+        if (report.coordinates && typeof report.coordinates.x === 'number') {
+            return report.coordinates;
+        }
+        const building = CampusMap.findBuilding(report.buildingId);
+        if (building) {
+            return { x: building.x + building.width / 2, y: building.y + building.height / 2 };
+        }
+        return null;
+    }
+
+    static describeLocation(buildingId, roomId) {
+        const building = CampusMap.findBuilding(buildingId);
+        if (!building) return '';
+        const room = CampusMap.findRoom(buildingId, roomId);
+        return room ? `${building.name}, ${room.name}` : building.name;
+    }
+
+    render() {
+        const { width, height } = CONFIG.CAMPUS_MAP.VIEWBOX;
+        const imageUrl = CONFIG.CAMPUS_MAP.IMAGE_URL;
+
+        this.container.innerHTML = `
+            <svg class="campus-map-svg ${this.options.mode}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Campus map">
+                <rect class="campus-map-ground" x="0" y="0" width="${width}" height="${height}"></rect>
+                ${imageUrl ? `<image href="${imageUrl}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="xMidYMid meet"></image>` : ''}
+                <g class="campus-map-buildings">
+                    ${CampusMap.getBuildings().map(building => `
+                        <g class="campus-map-building" data-building="${building.id}">
+                            <rect x="${building.x}" y="${building.y}" width="${building.width}" height="${building.height}" rx="8"></rect>
+                            <text x="${building.x + building.width / 2}" y="${building.y + 24}" text-anchor="middle">${building.name}</text>
+                        </g>
+                    `).join('')}
+                </g>
+                <g class="campus-map-markers"></g>
+            </svg>
+        `;
+
+        this.svg = this.container.querySelector('svg');
+        this.markerLayer = this.container.querySelector('.campus-map-markers');
+    }
+
+    toMapPoint(e) {
+        const point = this.svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        const mapPoint = point.matrixTransform(this.svg.getScreenCTM().inverse());
+        return { x: Math.round(mapPoint.x), y: Math.round(mapPoint.y) };
+    }
+
+    handleMapClick(e) {
+        const coordinates = this.toMapPoint(e);
+        const building = CampusMap.buildingAt(coordinates.x, coordinates.y);
+
+        if (!building) {
+            if (typeof showNotification === 'function') {
+                showNotification('Pick a spot inside a campus building or area', 'warning');
+            }
+            return;
+        }
+
+        this.setSelection({ coordinates, buildingId: building.id });
+        this.options.onSelect({ coordinates, building });
+    }
+
+    setSelection(selection) {
+        this.selection = selection;
+
+        this.svg.querySelectorAll('.campus-map-building').forEach(el => {
+            el.classList.toggle('selected', !!selection && el.dataset.building === selection.buildingId);
+        });
+
+        if (!selection) {
+            this.markerLayer.innerHTML = '';
+            return;
+        }
+
+        const { x, y } = selection.coordinates;
+        this.markerLayer.innerHTML = `
+            <g class="campus-map-pin" transform="translate(${x}, ${y})">
+                <circle r="10"></circle>
+                <circle r="4" class="campus-map-pin-dot"></circle>
+            </g>
+        `;
+    }
+
+    clear() {
+        this.setSelection(null);
+    }
+
+    showReports(reports) {
+        if (!this.markerLayer) return;
+
+        const colors = CONFIG.CAMPUS_MAP.URGENCY_COLORS;
+        this.markerLayer.innerHTML = reports.map(report => {
+            const point = CampusMap.getReportPoint(report);
+            if (!point) return '';
+
+            const urgency = report.urgency || 'medium';
+            return `
+                <circle class="campus-map-report" cx="${point.x}" cy="${point.y}" r="9"
+                        fill="${colors[urgency] || colors.medium}" data-report="${report.id}">
+                    <title>${report.title || 'Untitled Report'} (${urgency} urgency)</title>
+                </circle>
+            `;
+        }).join('');
+    }
+
+    // Marker colours by urgency, from the same config as the markers, with counts once reports are shown
+    static renderLegend(container, reports = null) {
+        if (!container) return;
+
+        const colors = CONFIG.CAMPUS_MAP.URGENCY_COLORS;
+        // Unknown urgencies are drawn as medium, so they are counted there too
+        const urgencyOf = report => (colors[report.urgency] ? report.urgency : 'medium');
+        container.innerHTML = Object.entries(colors).map(([urgency, color]) => {
+            const count = reports ? ` (${reports.filter(report => urgencyOf(report) === urgency).length})` : '';
+            return `
+                <span><i class="fas fa-circle" style="color: ${color};"></i> ${urgency.charAt(0).toUpperCase() + urgency.slice(1)}${count}</span>
+            `;
+        }).join('');
+    }
+}
+
+// Export for global use
+window.CampusMap = CampusMap;
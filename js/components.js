@@ -455,7 +455,7 @@ class FileUpload {
     }
 
     removeFile(fileId) {
-        const index = this.files.findIndex(f => f.id === fileId);
+        const index = this.files.findIndex(f => String(f.id) === String(fileId));
         if (index > -1) {
             // Revoke object URL to free memory
             URL.revokeObjectURL(this.files[index].url);
@@ -516,6 +516,226 @@ class FileUpload {
     }
 }
 
+// Virtualized List Component
+// Renders only the rows near the viewport of a scrollable container
+class VirtualList {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            renderItem: options.renderItem || (() => ''),
+            getKey: options.getKey || (item => item.id),
+            estimatedHeight: options.estimatedHeight || 180,
+            overscan: options.overscan || 4,
+            endThreshold: options.endThreshold || 400,
+            onEndReached: options.onEndReached || (() => {}),
+            ...options
+        };
+        this.items = [];
+        this.heights = new Map();
+        this.rows = new Map();
+        this.range = null;
+        this.emptyHtml = '';
+        this.frame = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.container.classList.add('virtual-list');
+        this.container.addEventListener('scroll', () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        });
+
+        // Opening comments or history changes row heights
+        this.container.addEventListener('toggle', () => this.measure(), true);
+    }
+
+    setItems(items, options = {}) {
+        this.items = items || [];
+        this.emptyHtml = options.emptyHtml || '';
+        if (options.resetScroll) {
+            this.container.scrollTop = 0;
+        }
+        this.render(true);
+    }
+
+    getHeight(index) {
+        return this.heights.get(this.options.getKey(this.items[index])) || this.options.estimatedHeight;
+    }
+
+    render(force = false) {
+        if (!this.container) return;
+
+        if (this.items.length === 0) {
+            this.range = null;
+            this.rows = new Map();
+            this.container.innerHTML = this.emptyHtml;
+            return;
+        }
+
+        const scrollTop = this.container.scrollTop;
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const { overscan } = this.options;
+
+        let start = 0;
+        let offset = 0;
+        while (start < this.items.length && offset + this.getHeight(start) < scrollTop) {
+            offset += this.getHeight(start);
+            start++;
+        }
+
+        let end = start;
+        let visibleHeight = offset;
+        while (end < this.items.length && visibleHeight < scrollTop + viewport) {
+            visibleHeight += this.getHeight(end);
+            end++;
+        }
+
+        start = Math.max(0, start - overscan);
+        end = Math.min(this.items.length, end + overscan);
+
+        if (!force && this.range && this.range.start === start && this.range.end === end) {
+            this.checkEnd();
+            return;
+        }
+        this.range = { start, end };
+
+        let top = 0;
+        for (let i = 0; i < start; i++) top += this.getHeight(i);
+        let bottom = 0;
+        for (let i = end; i < this.items.length; i++) bottom += this.getHeight(i);
+
+        this.patch(this.items.slice(start, end), top, bottom, force);
+
+        this.measure();
+        this.checkEnd();
+    }
+
+    // Rows that stay in the window keep their elements, so half-typed text, open <details> and
+    // focus survive scrolling. Re-rendered rows are only replaced when their markup changed.
+    patch(items, top, bottom, rerender) {
+        if (!this.topSpacer || this.topSpacer.parentNode !== this.container) {
+            this.container.innerHTML = '<div class="virtual-spacer"></div><div class="virtual-spacer"></div>';
+            [this.topSpacer, this.bottomSpacer] = this.container.children;
+            this.rows = new Map();
+        }
+        this.topSpacer.style.height = `${top}px`;
+        this.bottomSpacer.style.height = `${bottom}px`;
+
+        const keys = new Set(items.map(item => this.options.getKey(item)));
+        this.rows.forEach((row, key) => {
+            if (!keys.has(key)) row.element.remove();
+        });
+
+        const rows = new Map();
+        let previous = this.topSpacer;
+        items.forEach(item => {
+            const key = this.options.getKey(item);
+            let row = this.rows.get(key);
+
+            if (!row || rerender) {
+                const html = this.options.renderItem(item).trim();
+                if (!row || row.html !== html) {
+                    const element = VirtualList.createRow(html);
+                    if (row) {
+                        const focus = VirtualList.carryOverState(row.element, element);
+                        row.element.replaceWith(element);
+                        if (focus) focus.focus();
+                    }
+                    row = { element, html };
+                }
+            }
+
+            if (previous.nextSibling !== row.element) {
+                previous.after(row.element);
+            }
+            previous = row.element;
+            rows.set(key, row);
+        });
+
+        this.rows = rows;
+    }
+
+    static createRow(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        if (template.content.children.length === 1) {
+            return template.content.firstElementChild;
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(template.content);
+        return wrapper;
+    }
+
+    // Copies what the user changed in a row that is being replaced: typed values, checkboxes and
+    // open <details>. Elements are matched by position, only when both rows have the same count.
+    static carryOverState(from, to) {
+        const pairs = (selector) => {
+            const before = from.querySelectorAll(selector);
+            const after = to.querySelectorAll(selector);
+            return before.length === after.length ? Array.from(before).map((element, i) => [element, after[i]]) : [];
+        };
+
+        pairs('details').forEach(([before, after]) => {
+            after.open = before.open;
+        });
+
+        const fields = 'textarea, input:not([type="checkbox"]):not([type="radio"]):not([type="file"])';
+        pairs(fields).forEach(([before, after]) => {
+            if (before.value !== before.defaultValue) after.value = before.value;
+        });
+
+        pairs('input[type="checkbox"], input[type="radio"]').forEach(([before, after]) => {
+            if (before.checked !== before.defaultChecked) after.checked = before.checked;
+        });
+
+        // The replacement of the focused field, to focus once it is in the document
+        const focused = pairs(fields).find(([before]) => before === document.activeElement);
+        return focused ? focused[1] : null;
+    }
+
+    // Records the real height of rendered rows so spacers match what was scrolled past
+    measure() {
+        if (!this.range) return;
+
+        const rows = Array.from(this.container.children).slice(1, -1);
+        rows.forEach((row, i) => {
+            const item = this.items[this.range.start + i];
+            if (item && row.offsetHeight > 0) {
+                const style = getComputedStyle(row);
+                const margin = parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+                this.heights.set(this.options.getKey(item), row.offsetHeight + margin);
+            }
+        });
+    }
+
+    checkEnd() {
+        // Hidden lists have no viewport to fill
+        if (!this.container.offsetParent) return;
+
+        const remaining = this.container.scrollHeight - this.container.scrollTop - this.container.clientHeight;
+        if (remaining < this.options.endThreshold) {
+            this.options.onEndReached();
+        }
+    }
+
+    getScrollTop() {
+        return this.container ? this.container.scrollTop : 0;
+    }
+
+    scrollTo(top) {
+        if (!this.container) return;
+        this.container.scrollTop = top;
+        this.render(true);
+    }
+}
+
 // Initialize global instances
 let notificationManager;
 let formValidator;
@@ -541,4 +761,5 @@ function showNotification(message, type = 'info', duration = 5000) {
 window.notificationManager = notificationManager;
 window.formValidator = formValidator;
 window.showNotification = showNotification;
-window.FileUpload = FileUpload;
\ No newline at end of file
+window.FileUpload = FileUpload;
+window.VirtualList = VirtualList;
\ No newline at end of file
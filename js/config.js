@@ -24,24 +24,203 @@ const CONFIG = {
             SENDER_ADDRESS: '0x694B31c92E618d24D254bb10e7BF22a4a3C1151b', // Updated reward sender account
             REWARD_AMOUNT: 0.01, // 0.01 SHM per contribution
             GAS_LIMIT: 21000,
-            GAS_PRICE_MULTIPLIER: 1.2 // 20% buffer for gas estimation
+            GAS_PRICE_MULTIPLIER: 1.2, // 20% buffer for gas estimation
+            // ERC-20 reward token held by SENDER_ADDRESS, rewards are not sent until it is set
+            TOKEN_ADDRESS: null,
+            TOKEN_DECIMALS: 18, // Used when the token does not answer decimals()
+            // Node that signs for SENDER_ADDRESS, e.g. 'http://127.0.0.1:8545' for an Anvil or Hardhat
+            // node with the pool account unlocked. Without it the connected wallet must be the pool account.
+            REWARD_RPC_URL: null,
+            // Claim contract that pays EIP-712 vouchers signed by SENDER_ADDRESS, each nonce once.
+            // When set, rewards are issued as vouchers the student claims instead of direct transfers.
+            CLAIM_ADDRESS: null
+        },
+        VOUCHERS: {
+            // EIP-712 domain, chainId and verifyingContract (CLAIM_ADDRESS) are added by the signer
+            DOMAIN: { name: 'CampusFeedback Rewards', version: '1' },
+            TTL: 7 * 24 * 60 * 60 * 1000, // Vouchers expire a week after they are issued
+            MAX_BATCH: 20 // Most vouchers claimed in one transaction
+        },
+        WALLETS: {
+            // WalletConnect Cloud project id for QR pairing with mobile wallets. Pairing also needs
+            // @walletconnect/ethereum-provider loaded so its EthereumProvider is a global.
+            WALLETCONNECT_PROJECT_ID: null,
+            DESCRIPTION: 'Campus feedback and issue reports with token rewards',
+            // Remembered wallet is reconnected on load if it was still connected when the page closed
+            REMEMBER_LAST: true
         },
         REWARDS: {
             FEEDBACK_AMOUNT: 0.01,
             REPORT_AMOUNT: 0.01,
             BONUS_MULTIPLIER: 1.5, // For high-quality contributions
             MAX_DAILY_REWARDS: 0.5, // Maximum SHM per user per day
-            CURRENCY: 'SHM'
+            MAX_WEEKLY_REWARDS: 2, // Maximum SHM per user per calendar week (from Monday)
+            MAX_MONTHLY_REWARDS: 6, // Maximum SHM per user per calendar month
+            POOL_BUDGET: 250, // Total SHM the reward pool pays out, rewards are rejected once it is spent
+            CURRENCY: 'SHM',
+            QUALITY: {
+                HIGH_SCORE: 0.7, // At or above this a contribution is high quality and earns BONUS_MULTIPLIER
+                LOW_SCORE: 0.35, // Below this it is low quality, which still earns the base amount
+                IDEAL_WORDS: 60, // Length that earns the full length score
+                SPECIFIC_DETAILS: 3, // Details (numbers, times, places, aspects) for the full specificity score
+                // Share of each signal in the score, evidence only applies to reports
+                WEIGHTS: {
+                    length: 0.2,
+                    structure: 0.15,
+                    moderation: 0.2,
+                    specificity: 0.25,
+                    evidence: 0.2
+                },
+                VALID_STATES: ['resolved', 'closed'], // Staff outcomes that make a report high quality
+                INVALID_STATES: ['rejected'] // Staff outcomes that make it low quality
+            }
         }
     },
     
     AI: {
         MODERATION: {
             ENABLED: true,
-            PROVIDER: 'openai',
+            PROVIDER: 'keyword', // 'keyword', 'http', 'rules' or a list tried in order, e.g. ['http', 'keyword']
+            CHAIN_MODE: 'fallback', // 'fallback' uses the first provider that answers, 'all' keeps the strictest verdict
+            HTTP: {
+                URL: null, // e.g. http://localhost:8787/moderate for tools/moderation-stub-server.js
+                API_KEY: null,
+                TIMEOUT: 5000
+            },
+            // Seed rule set (version 0), admins publish new versions from the moderation rules page.
+            // A match is ignored when it falls inside one of the rule's allow-list phrases.
+            LOCAL_RULES: [
+                ...['spam', 'scam', 'fake', 'hate', 'offensive', 'inappropriate', 'violent', 'harassment'].map(word => ({
+                    id: `word-${word}`,
+                    pattern: word,
+                    weight: 0.3,
+                    category: 'banned-word',
+                    message: `Contains potentially harmful word: "${word}"`,
+                    suggestion: 'Consider providing constructive feedback',
+                    allow: word === 'spam' ? ['spam folder', 'spam filter'] : []
+                })),
+                { id: 'repeated-characters', pattern: '(.)\\1{10,}', flags: '', weight: 0.2, category: 'formatting', message: 'Contains excessive repeated characters', suggestion: 'Remove repeated characters for better readability', allow: [] },
+                { id: 'excessive-capitals', pattern: '[A-Z]{20,}', flags: '', weight: 0.2, category: 'formatting', message: 'Contains excessive capital letters', suggestion: 'Consider using normal capitalization', allow: [] },
+                { id: 'email-address', pattern: '[\\w.+-]*@\\w+\\.(com|net|org)', flags: '', weight: 0.2, category: 'contact-info', message: 'Contains email addresses', suggestion: 'Personal contact information is not necessary', allow: [] },
+                { id: 'url', pattern: 'https?:\\/\\/\\S+', flags: '', weight: 0.2, category: 'contact-info', message: 'Contains URLs', suggestion: 'Personal contact information is not necessary', allow: [] },
+                { id: 'phone-number', pattern: '\\d{10,}', flags: '', weight: 0.2, category: 'contact-info', message: 'Contains phone numbers', suggestion: 'Personal contact information is not necessary', allow: [] },
+                { id: 'insult', pattern: '\\b(idiot|stupid|moron|useless)\\b', weight: 0.4, category: 'insult', message: 'Contains insulting language', suggestion: 'Describe the problem rather than the people involved', allow: [] },
+                { id: 'threat', pattern: '\\b(kill you|going to hurt|beat (you|him|her) up)\\b', weight: 0.5, category: 'threat', message: 'Contains threatening language', suggestion: 'Report safety concerns to campus security directly', allow: [] },
+                { id: 'advertising', pattern: '\\b(buy now|click here|free money)\\b', weight: 0.5, category: 'spam', message: 'Looks like spam', suggestion: 'Keep feedback about campus services', allow: [] }
+            ],
+            RULE_CATEGORIES: ['banned-word', 'insult', 'threat', 'spam', 'formatting', 'contact-info', 'other'],
             MAX_TOXICITY: 0.7,
             SENTIMENT_ANALYSIS: true,
-            AUTO_APPROVE_THRESHOLD: 0.8
+            AUTO_APPROVE_THRESHOLD: 0.8,
+            REVIEW_STATUS: 'pending_review', // Status of submissions held for a moderator
+            REJECTED_STATUS: 'rejected', // Status of submissions a moderator rejected
+            APPEAL_WINDOW: 1209600000 // Authors can appeal a rejection for 14 days
+        },
+        LANGUAGES: {
+            DEFAULT: 'en', // Used when the text is too short or matches no pack
+            MIN_WORDS: 3, // Fewer words than this are not worth guessing
+            // Built-in packs. Admins install more from the moderation rules page; a pack with
+            // the same code replaces the built-in one. stopwords drive detection, sentiment
+            // feeds sentiment analysis and rules are checked on top of the published rule set.
+            PACKS: [
+                {
+                    code: 'en',
+                    name: 'English',
+                    stopwords: ['the', 'and', 'is', 'are', 'was', 'were', 'this', 'that', 'with', 'for', 'not', 'have', 'it', 'of', 'to', 'in', 'on', 'my', 'very', 'too'],
+                    sentiment: {
+                        positive: ['good', 'great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'helpful', 'useful', 'love', 'like',
+                            'tasty', 'delicious', 'clean', 'friendly', 'affordable', 'cheap', 'quick', 'comfortable', 'quiet', 'engaging', 'reasonable'],
+                        negative: ['bad', 'terrible', 'awful', 'hate', 'dislike', 'horrible', 'poor', 'worst', 'disgusting',
+                            'bland', 'dirty', 'rude', 'expensive', 'overpriced', 'slow', 'delayed', 'crowded', 'noisy', 'broken', 'unfair', 'confusing', 'boring']
+                    },
+                    negations: ['not', 'no', 'never', "isn't", "wasn't", "aren't", "don't", "didn't", "doesn't"],
+                    contrast: ['but', 'however', 'although', 'though', 'whereas', 'while', 'yet'],
+                    rules: []
+                },
+                {
+                    code: 'es',
+                    name: 'Español',
+                    stopwords: ['el', 'la', 'los', 'las', 'es', 'son', 'muy', 'pero', 'para', 'con', 'que', 'de', 'del', 'en', 'una', 'un', 'y', 'no', 'por', 'está'],
+                    sentiment: {
+                        positive: ['bueno', 'buena', 'buenos', 'buenas', 'excelente', 'genial', 'increíble', 'útil', 'encanta', 'gusta', 'limpio', 'limpia', 'rápido', 'rico', 'barato'],
+                        negative: ['malo', 'mala', 'malos', 'malas', 'terrible', 'horrible', 'odio', 'pésimo', 'peor', 'sucio', 'sucia', 'asqueroso', 'lento', 'caro', 'caros', 'injusto']
+                    },
+                    negations: ['no', 'nunca', 'tampoco'],
+                    contrast: ['pero', 'aunque', 'sin embargo', 'mientras'],
+                    aspects: {
+                        academic: { teaching: ['clases', 'profesor', 'profesora', 'enseñanza'], workload: ['tareas', 'trabajos', 'carga'], grading: ['notas', 'calificación', 'examen', 'exámenes'] },
+                        food: { price: ['precio', 'precios', 'caro', 'barato'], taste: ['sabor', 'comida', 'rico'], hygiene: ['higiene', 'limpieza', 'cocina', 'mesas'] }
+                    },
+                    rules: [
+                        { id: 'es-insult', pattern: '\\b(idiota|estúpid[oa]s?|imbécil(es)?|inútil(es)?)\\b', weight: 0.4, category: 'insult', message: 'Contiene lenguaje insultante', suggestion: 'Describe el problema en lugar de a las personas', allow: [] },
+                        { id: 'es-spam', pattern: '\\b(estafa|fraude|compra ya|dinero gratis)\\b', weight: 0.4, category: 'spam', message: 'Parece spam', suggestion: 'Mantén los comentarios sobre los servicios del campus', allow: [] }
+                    ]
+                },
+                {
+                    code: 'fr',
+                    name: 'Français',
+                    stopwords: ['le', 'la', 'les', 'est', 'sont', 'très', 'mais', 'pour', 'avec', 'que', 'qui', 'de', 'des', 'du', 'une', 'un', 'et', 'pas', 'dans', 'je'],
+                    sentiment: {
+                        positive: ['bon', 'bonne', 'bons', 'bonnes', 'excellent', 'génial', 'super', 'utile', 'adore', 'aime', 'propre', 'rapide', 'délicieux'],
+                        negative: ['mauvais', 'mauvaise', 'mauvaises', 'terrible', 'horrible', 'déteste', 'nul', 'nuls', 'nulle', 'pire', 'sale', 'sales', 'dégoûtant', 'lent', 'cher', 'injuste']
+                    },
+                    negations: ['pas', 'jamais', 'aucun'],
+                    contrast: ['mais', 'cependant', 'pourtant', 'alors que'],
+                    aspects: {
+                        academic: { teaching: ['cours', 'professeur', 'enseignement'], workload: ['devoirs', 'travail', 'charge'], grading: ['notes', 'notation', 'examen', 'examens'] },
+                        food: { price: ['prix', 'cher', 'chère'], taste: ['goût', 'repas', 'nourriture'], hygiene: ['hygiène', 'propreté', 'propre', 'sale'] }
+                    },
+                    rules: [
+                        { id: 'fr-insult', pattern: '\\b(idiots?|stupides?|crétins?|débiles?|nuls?)\\b', weight: 0.4, category: 'insult', message: 'Contient des propos insultants', suggestion: 'Décrivez le problème plutôt que les personnes', allow: [] },
+                        { id: 'fr-spam', pattern: '\\b(arnaque|escroquerie|achetez maintenant|argent gratuit)\\b', weight: 0.4, category: 'spam', message: 'Ressemble à du spam', suggestion: 'Parlez des services du campus', allow: [] }
+                    ]
+                }
+            ]
+        },
+        // Aspects scored separately for each feedback category. Language packs can add
+        // keywords in their language under aspects[category][aspect].
+        ASPECTS: {
+            ENABLED: true,
+            NEUTRAL_BAND: 0.2, // Scores within ±0.2 count as neutral
+            CATEGORIES: {
+                academic: {
+                    teaching: { label: 'Teaching', keywords: ['lecture', 'lectures', 'lecturer', 'teaching', 'teacher', 'professor', 'class', 'classes', 'explanation', 'explains'] },
+                    workload: { label: 'Workload', keywords: ['workload', 'assignment', 'assignments', 'homework', 'deadline', 'deadlines', 'coursework', 'reading'] },
+                    grading: { label: 'Grading', keywords: ['grading', 'grade', 'grades', 'marking', 'marks', 'exam', 'exams', 'assessment'] }
+                },
+                faculty: {
+                    availability: { label: 'Availability', keywords: ['office hours', 'available', 'availability', 'reply', 'replies', 'email', 'response'] },
+                    attitude: { label: 'Attitude', keywords: ['friendly', 'rude', 'respectful', 'attitude', 'polite', 'helpful', 'approachable'] },
+                    expertise: { label: 'Expertise', keywords: ['knowledge', 'knowledgeable', 'expert', 'expertise', 'experience'] }
+                },
+                infrastructure: {
+                    maintenance: { label: 'Maintenance', keywords: ['broken', 'repair', 'repairs', 'maintenance', 'leak', 'leaking', 'fixed'] },
+                    cleanliness: { label: 'Cleanliness', keywords: ['clean', 'dirty', 'cleanliness', 'toilets', 'restrooms', 'bathroom', 'trash'] },
+                    wifi: { label: 'Wi-Fi', keywords: ['wifi', 'wi-fi', 'internet', 'network', 'connection'] }
+                },
+                food: {
+                    price: { label: 'Price', keywords: ['price', 'prices', 'expensive', 'cheap', 'cost', 'affordable', 'value'] },
+                    taste: { label: 'Taste', keywords: ['taste', 'tasty', 'flavour', 'flavor', 'delicious', 'bland', 'food', 'meal', 'meals'] },
+                    hygiene: { label: 'Hygiene', keywords: ['hygiene', 'clean', 'dirty', 'hygienic', 'tables', 'kitchen'] },
+                    service: { label: 'Service', keywords: ['service', 'staff', 'queue', 'queues', 'wait', 'waiting'] }
+                },
+                transportation: {
+                    punctuality: { label: 'Punctuality', keywords: ['late', 'delay', 'delays', 'delayed', 'on time', 'schedule', 'timetable'] },
+                    frequency: { label: 'Frequency', keywords: ['frequency', 'frequent', 'often', 'every', 'shuttle', 'buses'] },
+                    comfort: { label: 'Comfort', keywords: ['crowded', 'comfortable', 'seats', 'seat', 'air conditioning', 'packed'] }
+                },
+                accommodation: {
+                    rooms: { label: 'Rooms', keywords: ['room', 'rooms', 'bed', 'furniture', 'space', 'dorm'] },
+                    facilities: { label: 'Facilities', keywords: ['laundry', 'kitchen', 'shower', 'showers', 'heating', 'water'] },
+                    noise: { label: 'Noise', keywords: ['noise', 'noisy', 'quiet', 'loud'] }
+                },
+                sports: {
+                    equipment: { label: 'Equipment', keywords: ['equipment', 'machines', 'weights', 'gear', 'courts', 'pitch'] },
+                    opening_hours: { label: 'Opening Hours', keywords: ['hours', 'opening', 'open', 'closed', 'closes'] },
+                    coaching: { label: 'Coaching', keywords: ['coach', 'coaches', 'coaching', 'trainer', 'trainers', 'classes'] }
+                },
+                other: {}
+            }
         },
         VOICE: {
             ENABLED: true,
@@ -75,9 +254,281 @@ const CONFIG = {
     
     API: {
         BASE_URL: 'https://api.campusfeedback.com/v2',
+        DEVELOPMENT_MODE: true, // Serve requests from MOCK_API
         TIMEOUT: 10000,
         RETRY_ATTEMPTS: 3,
-        CACHE_DURATION: 300000 // 5 minutes
+        CACHE_DURATION: 300000, // 5 minutes
+        PAGE_SIZE: 20, // Items per page for cursor-paginated lists
+        ENDPOINTS: {
+            AUTH: {
+                LOGIN: '/auth/login',
+                REGISTER: '/auth/register',
+                LOGOUT: '/auth/logout',
+                PROFILE: '/auth/profile'
+            },
+            FEEDBACK: {
+                CREATE: '/feedback',
+                LIST: '/feedback',
+                UPDATE: '/feedback',
+                DELETE: '/feedback',
+                MODERATE: '/feedback/moderate',
+                COMMENTS: '/comments' // Nested under /feedback/:id
+            },
+            REPORTS: {
+                CREATE: '/reports',
+                LIST: '/reports',
+                UPDATE: '/reports',
+                DELETE: '/reports'
+            },
+            AI: {
+                MODERATE: '/ai/moderate',
+                RULES: '/ai/moderation-rules',
+                LANGUAGE_PACKS: '/ai/language-packs',
+                SENTIMENT: '/ai/sentiment',
+                CLASSIFY: '/ai/classify'
+            },
+            GAMIFICATION: {
+                LEADERBOARD: '/gamification/leaderboard',
+                ACHIEVEMENTS: '/gamification/achievements',
+                POINTS: '/gamification/points',
+                VOTES: '/votes'
+            },
+            MODERATION: {
+                AUDIT: '/moderation/audit'
+            },
+            PRIVACY: {
+                ORIGINALS: '/privacy/originals'
+            },
+            ABUSE: {
+                SUBMISSIONS: '/abuse/submissions'
+            },
+            BLOCKCHAIN: {
+                TRANSFER: '/blockchain/transfer',
+                VOUCHERS: '/blockchain/vouchers',
+                BALANCE: '/blockchain/balance'
+            }
+        }
+    },
+
+    CAMPUS_MAP: {
+        // Map units used for stored report coordinates
+        VIEWBOX: { width: 1000, height: 600 },
+        // Optional local floor plan image drawn under the buildings, e.g. 'images/campus-map.png'
+        IMAGE_URL: null,
+        BUILDINGS: [
+            {
+                id: 'library',
+                name: 'Main Library',
+                x: 60, y: 60, width: 220, height: 150,
+                rooms: [
+                    { id: 'library-reading-a', name: 'Reading Section A' },
+                    { id: 'library-reading-b', name: 'Reading Section B' },
+                    { id: 'library-study-rooms', name: 'Group Study Rooms' },
+                    { id: 'library-computer-lab', name: 'Computer Lab' }
+                ]
+            },
+            {
+                id: 'science',
+                name: 'Science Building',
+                x: 340, y: 60, width: 260, height: 150,
+                rooms: [
+                    { id: 'science-101', name: 'Lecture Hall 101' },
+                    { id: 'science-chem-lab', name: 'Chemistry Lab' },
+                    { id: 'science-bio-lab', name: 'Biology Lab' }
+                ]
+            },
+            {
+                id: 'engineering',
+                name: 'Engineering Hall',
+                x: 660, y: 60, width: 280, height: 150,
+                rooms: [
+                    { id: 'engineering-201', name: 'Room 201' },
+                    { id: 'engineering-workshop', name: 'Workshop' },
+                    { id: 'engineering-maker', name: 'Maker Space' }
+                ]
+            },
+            {
+                id: 'student-center',
+                name: 'Student Center',
+                x: 60, y: 270, width: 300, height: 140,
+                rooms: [
+                    { id: 'student-center-cafeteria', name: 'Main Cafeteria' },
+                    { id: 'student-center-lounge', name: 'Student Lounge' },
+                    { id: 'student-center-bookstore', name: 'Bookstore' }
+                ]
+            },
+            {
+                id: 'sports',
+                name: 'Sports Complex',
+                x: 420, y: 270, width: 240, height: 140,
+                rooms: [
+                    { id: 'sports-gym', name: 'Gymnasium' },
+                    { id: 'sports-pool', name: 'Swimming Pool' },
+                    { id: 'sports-lockers', name: 'Locker Rooms' }
+                ]
+            },
+            {
+                id: 'residence',
+                name: 'Residence Hall',
+                x: 720, y: 270, width: 220, height: 140,
+                rooms: [
+                    { id: 'residence-north', name: 'North Wing' },
+                    { id: 'residence-south', name: 'South Wing' },
+                    { id: 'residence-laundry', name: 'Laundry Room' }
+                ]
+            },
+            {
+                id: 'parking',
+                name: 'Student Parking Lot',
+                x: 60, y: 460, width: 880, height: 100,
+                rooms: [
+                    { id: 'parking-a', name: 'Section A' },
+                    { id: 'parking-b', name: 'Section B' },
+                    { id: 'parking-c', name: 'Section C' }
+                ]
+            }
+        ],
+        URGENCY_COLORS: {
+            low: '#10b981',
+            medium: '#f59e0b',
+            high: '#f97316',
+            critical: '#ef4444'
+        }
+    },
+
+    ROLES: {
+        DEFAULT: 'student',
+        STAFF: ['staff', 'faculty', 'admin'], // Roles allowed on staff-only pages
+        ADMIN: ['admin'] // Roles allowed on admin-only pages
+    },
+
+    REPORTS: {
+        LIFECYCLE: {
+            INITIAL: 'submitted',
+            STATES: {
+                pending_review: { label: 'Pending Review', badge: 'warning', icon: 'fas fa-user-shield' },
+                submitted: { label: 'Submitted', badge: 'secondary', icon: 'fas fa-inbox' },
+                triaged: { label: 'Triaged', badge: 'primary', icon: 'fas fa-filter' },
+                assigned: { label: 'Assigned', badge: 'primary', icon: 'fas fa-user-check' },
+                in_progress: { label: 'In Progress', badge: 'warning', icon: 'fas fa-tools' },
+                resolved: { label: 'Resolved', badge: 'success', icon: 'fas fa-check' },
+                closed: { label: 'Closed', badge: 'success', icon: 'fas fa-lock' },
+                reopened: { label: 'Reopened', badge: 'warning', icon: 'fas fa-redo' },
+                rejected: { label: 'Rejected', badge: 'danger', icon: 'fas fa-ban' }
+            },
+            // Allowed next states for each state
+            TRANSITIONS: {
+                pending_review: ['submitted', 'rejected'], // Held by content moderation
+                submitted: ['triaged', 'rejected'],
+                triaged: ['assigned', 'rejected'],
+                assigned: ['in_progress', 'triaged'],
+                in_progress: ['resolved', 'assigned'],
+                resolved: ['closed', 'reopened'],
+                closed: ['reopened'],
+                reopened: ['triaged', 'assigned'],
+                rejected: ['reopened']
+            },
+            // Statuses written before the lifecycle existed
+            LEGACY: {
+                pending: 'submitted'
+            }
+        },
+        SLA: {
+            // Time to resolve per urgency
+            TARGETS: {
+                critical: 14400000, // 4 hours
+                high: 86400000, // 1 day
+                medium: 259200000, // 3 days
+                low: 604800000 // 1 week
+            },
+            // Per-type overrides of the urgency targets
+            TYPE_TARGETS: {
+                safety: { critical: 7200000, high: 28800000 }, // 2 hours, 8 hours
+                security: { critical: 7200000, high: 28800000 }
+            },
+            // Staff tiers in escalation order, the first tier owns new reports
+            TIERS: ['Facilities Desk', 'Facilities Supervisor', 'Facilities Manager', 'Campus Operations'],
+            DUE_SOON_RATIO: 0.25, // Flag as due soon with 25% of the target left
+            STOPPED_STATES: ['resolved', 'closed', 'rejected', 'pending_review'],
+            CHECK_INTERVAL: 60000 // 1 minute
+        },
+        DUPLICATES: {
+            TIME_WINDOW: 604800000, // Only match reports filed in the last week
+            MIN_LOCATION_SCORE: 0.5,
+            LOCATION_WEIGHT: 0.5, // Share of the score from location, the rest is text similarity
+            MIN_SCORE: 0.55,
+            MAX_SUGGESTIONS: 3
+        }
+    },
+
+    FEEDBACK: {
+        EDIT_WINDOW: 86400000, // Authors can edit or withdraw for 24 hours
+        MAX_VERSIONS: 20 // Oldest revisions are dropped beyond this
+    },
+
+    PRIVACY: {
+        PII: {
+            ENABLED: true,
+            // Checked in this order, earlier types win where matches overlap
+            TYPES: {
+                email: { label: 'Email address', pattern: '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}', replacement: '[email removed]' },
+                phone: { label: 'Phone number', pattern: '(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{3}\\)|\\b\\d{3})[ .-]?\\d{3}[ .-]?\\d{4}\\b', replacement: '[phone removed]' },
+                studentId: { label: 'Student ID', pattern: '\\b(?:S|STU)[ -]?\\d{6,8}\\b', replacement: '[student ID removed]' },
+                name: { label: 'Name', replacement: '[name removed]' }, // Matched against the roster
+                room: { label: 'Room number', pattern: '\\b(?:room|rm\\.?|office|lab|suite)[ #]*[A-Z]?-?\\d{1,4}[A-Z]?\\b', replacement: '[room removed]' }
+            },
+            // Staff and students who must not be named, admins can extend it at runtime
+            ROSTER: ['Alex Morgan', 'Jordan Lee', 'Priya Sharma', 'Sam Okafor'],
+            TITLES: ['Dr', 'Prof', 'Professor', 'Mr', 'Mrs', 'Ms', 'Mx'], // Title + surname also counts as a name
+            ORIGINALS_ROLES: ['admin'] // Roles allowed to read unredacted originals
+        }
+    },
+
+    RATE_LIMITS: {
+        ENABLED: true,
+        // Each submission counts against the user, the connected wallet and the device
+        SUBJECTS: ['user', 'wallet', 'device'],
+        // At most MAX submissions of an action per WINDOW (ms) and per subject
+        ACTIONS: {
+            feedback: [
+                { WINDOW: 60000, MAX: 1 },
+                { WINDOW: 3600000, MAX: 5 },
+                { WINDOW: 86400000, MAX: 15 }
+            ],
+            report: [
+                { WINDOW: 60000, MAX: 1 },
+                { WINDOW: 3600000, MAX: 5 },
+                { WINDOW: 86400000, MAX: 10 }
+            ],
+            comment: [
+                { WINDOW: 30000, MAX: 2 },
+                { WINDOW: 3600000, MAX: 30 }
+            ]
+        },
+        NEAR_DUPLICATE: {
+            THRESHOLD: 0.8, // Jaccard similarity of word shingles
+            SHINGLE_SIZE: 3, // Words per shingle
+            WINDOW: 604800000 // Compared against the same subjects' submissions of the last 7 days
+        },
+        RETENTION: 604800000 // Submission log entries older than this are dropped
+    },
+
+    GAMIFICATION: {
+        POINTS: {
+            FEEDBACK: 10,
+            REPORT: 15,
+            UPVOTE_RECEIVED: 2, // "Me too" votes
+            HELPFUL_RECEIVED: 5
+        },
+        POINTS_PER_LEVEL: 100,
+        // metric is one of the counts from AchievementEngine.getMetrics
+        ACHIEVEMENTS: [
+            { id: 'first-feedback', title: 'First Feedback', description: 'Submitted your first feedback', icon: '🎉', points: 10, metric: 'feedbacks', threshold: 1 },
+            { id: 'helpful-contributor', title: 'Helpful Contributor', description: 'Received 5 helpful votes', icon: '⭐', points: 25, metric: 'helpfulVotes', threshold: 5 },
+            { id: 'voice-user', title: 'Voice User', description: 'Used voice input for feedback', icon: '🎤', points: 15, metric: 'voiceInputs', threshold: 1 },
+            { id: 'super-reporter', title: 'Super Reporter', description: 'Submit 10 reports', icon: '🚀', points: 50, metric: 'reports', threshold: 10 },
+            { id: 'blockchain-pioneer', title: 'Blockchain Pioneer', description: 'Connected wallet and received SHM rewards', icon: '⛓️', points: 100, metric: 'rewards', threshold: 1 }
+        ]
     }
 };
 
@@ -211,6 +662,14 @@ const UTILS = {
             }
         },
 
+        // Lets listeners such as the search index follow individual saves and deletes
+        notifyChange: (type, action, id) => {
+            if (typeof CustomEvent === 'undefined') return;
+            window.dispatchEvent(new CustomEvent('campusfeedback:change', {
+                detail: { type, action, id }
+            }));
+        },
+
         // Enhanced feedback storage
         getFeedbacks: () => {
             const data = UTILS.storage.get('feedbacks');
@@ -239,7 +698,9 @@ const UTILS = {
                 });
             }
             
-            return UTILS.storage.set('feedbacks', feedbacks);
+            const saved = UTILS.storage.set('feedbacks', feedbacks);
+            if (saved) UTILS.storage.notifyChange('feedback', 'save', feedback.id);
+            return saved;
         },
 
         deleteFeedback: (id) => {
@@ -247,7 +708,48 @@ const UTILS = {
             
             const feedbacks = UTILS.storage.getFeedbacks();
             const filteredFeedbacks = feedbacks.filter(f => f.id !== id);
-            return UTILS.storage.set('feedbacks', filteredFeedbacks);
+            const saved = UTILS.storage.set('feedbacks', filteredFeedbacks);
+            if (saved) UTILS.storage.notifyChange('feedback', 'delete', id);
+            return saved;
+        },
+
+        // Feedback comment storage
+        getComments: (feedbackId = null) => {
+            const data = UTILS.storage.get('comments');
+            const comments = Array.isArray(data) ? data : [];
+            return feedbackId ? comments.filter(c => c.feedbackId === feedbackId) : comments;
+        },
+
+        saveComment: (comment) => {
+            if (!comment || typeof comment !== 'object' || !comment.feedbackId) {
+                console.error('Invalid comment data');
+                return false;
+            }
+
+            const comments = UTILS.storage.getComments();
+            const existingIndex = comments.findIndex(c => c.id === comment.id);
+            
+            if (existingIndex >= 0) {
+                comments[existingIndex] = {
+                    ...comments[existingIndex],
+                    ...comment,
+                    updatedAt: Date.now()
+                };
+            } else {
+                comments.push({
+                    ...comment,
+                    createdAt: Date.now()
+                });
+            }
+            
+            return UTILS.storage.set('comments', comments);
+        },
+
+        deleteComment: (id) => {
+            if (!id) return false;
+            
+            const comments = UTILS.storage.getComments();
+            return UTILS.storage.set('comments', comments.filter(c => c.id !== id && c.parentId !== id));
         },
 
         // Enhanced report storage
@@ -278,7 +780,9 @@ const UTILS = {
                 });
             }
             
-            return UTILS.storage.set('reports', reports);
+            const saved = UTILS.storage.set('reports', reports);
+            if (saved) UTILS.storage.notifyChange('report', 'save', report.id);
+            return saved;
         },
 
         deleteReport: (id) => {
@@ -286,7 +790,9 @@ const UTILS = {
             
             const reports = UTILS.storage.getReports();
             const filteredReports = reports.filter(r => r.id !== id);
-            return UTILS.storage.set('reports', filteredReports);
+            const saved = UTILS.storage.set('reports', filteredReports);
+            if (saved) UTILS.storage.notifyChange('report', 'delete', id);
+            return saved;
         },
 
         // User statistics
@@ -581,12 +1087,18 @@ const UTILS = {
             return baseAmount;
         },
         
-        canReceiveReward: (userId, dailyTotal = 0) => {
-            return dailyTotal < CONFIG.BLOCKCHAIN.REWARDS.MAX_DAILY_REWARDS;
+        // Whether a reward of this amount can be paid now, RewardLedger.check explains why not
+        canReceiveReward: (userId, amount = CONFIG.BLOCKCHAIN.REWARDS.FEEDBACK_AMOUNT) => {
+            if (typeof rewardLedger === 'undefined') return true;
+            return rewardLedger.check(userId, amount).status === 'granted';
         },
         
         getTotalRewards: () => {
             try {
+                if (typeof rewardLedger !== 'undefined') {
+                    return rewardLedger.getTotal(rewardLedger.getGranted());
+                }
+
                 const feedbacks = UTILS.storage.getFeedbacks();
                 const reports = UTILS.storage.getReports();
                 
@@ -606,6 +1118,228 @@ const UTILS = {
         }
     },
 
+    // Report lifecycle utilities
+    lifecycle: {
+        normalizeStatus: (status) => {
+            const lifecycle = CONFIG.REPORTS.LIFECYCLE;
+            if (lifecycle.STATES[status]) return status;
+            return lifecycle.LEGACY[status] || lifecycle.INITIAL;
+        },
+
+        getState: (status) => {
+            const normalized = UTILS.lifecycle.normalizeStatus(status);
+            return { id: normalized, ...CONFIG.REPORTS.LIFECYCLE.STATES[normalized] };
+        },
+
+        getAllowedTransitions: (status) => {
+            const normalized = UTILS.lifecycle.normalizeStatus(status);
+            return CONFIG.REPORTS.LIFECYCLE.TRANSITIONS[normalized] || [];
+        },
+
+        canTransition: (from, to) => {
+            return UTILS.lifecycle.getAllowedTransitions(from).includes(to);
+        },
+
+        createEntry: (from, to, actor = 'system', note = '') => {
+            return {
+                from: from,
+                to: to,
+                by: actor || 'system',
+                note: note || '',
+                at: Date.now()
+            };
+        },
+
+        // Reports saved before the lifecycle existed have no history yet
+        getHistory: (report) => {
+            if (!report) return [];
+            if (Array.isArray(report.history) && report.history.length > 0) {
+                return report.history;
+            }
+            return [{
+                from: null,
+                to: UTILS.lifecycle.normalizeStatus(report.status),
+                by: report.author || 'system',
+                note: '',
+                at: report.timestamp || report.createdAt || Date.now()
+            }];
+        },
+
+        // Returns the status and history to apply, or throws on an illegal transition
+        transition: (report, to, { actor = 'system', note = '' } = {}) => {
+            if (!report) {
+                throw new Error('Report not found');
+            }
+
+            const from = UTILS.lifecycle.normalizeStatus(report.status);
+            if (!CONFIG.REPORTS.LIFECYCLE.STATES[to]) {
+                throw new Error(`Unknown report status: ${to}`);
+            }
+            if (!UTILS.lifecycle.canTransition(from, to)) {
+                const fromLabel = CONFIG.REPORTS.LIFECYCLE.STATES[from].label;
+                const toLabel = CONFIG.REPORTS.LIFECYCLE.STATES[to].label;
+                throw new Error(`Cannot move report from ${fromLabel} to ${toLabel}`);
+            }
+
+            return {
+                status: to,
+                history: [
+                    ...UTILS.lifecycle.getHistory(report),
+                    UTILS.lifecycle.createEntry(from, to, actor, note)
+                ]
+            };
+        }
+    },
+
+    // Report SLA utilities
+    sla: {
+        getTarget: (report) => {
+            const sla = CONFIG.REPORTS.SLA;
+            const urgency = report.urgency || 'medium';
+            const typeTargets = sla.TYPE_TARGETS[report.type] || {};
+            return typeTargets[urgency] || sla.TARGETS[urgency] || sla.TARGETS.medium;
+        },
+
+        // The clock restarts whenever a report is reopened
+        getClockStart: (report) => {
+            const starts = UTILS.lifecycle.getHistory(report)
+                .filter(entry => !entry.sourceReportId && (entry.to === 'submitted' || entry.to === 'reopened'));
+            return starts.length > 0 ?
+                starts[starts.length - 1].at :
+                (report.timestamp || report.createdAt || Date.now());
+        },
+
+        getStatus: (report, now = Date.now()) => {
+            const sla = CONFIG.REPORTS.SLA;
+            const target = UTILS.sla.getTarget(report);
+            const clockStart = UTILS.sla.getClockStart(report);
+            const escalation = report.escalation && report.escalation.clockStart === clockStart ?
+                report.escalation : null;
+            const level = escalation ? escalation.level : 0;
+            const dueAt = clockStart + target;
+            const stopped = sla.STOPPED_STATES.includes(UTILS.lifecycle.normalizeStatus(report.status));
+
+            return {
+                target: target,
+                clockStart: clockStart,
+                dueAt: dueAt,
+                remaining: dueAt - now,
+                stopped: stopped,
+                overdue: !stopped && now > dueAt,
+                dueSoon: !stopped && now <= dueAt && (dueAt - now) < target * sla.DUE_SOON_RATIO,
+                level: level,
+                tier: sla.TIERS[Math.min(level, sla.TIERS.length - 1)],
+                // Each further target period overdue moves the report up one tier
+                shouldEscalate: !stopped && level < sla.TIERS.length - 1 && now > clockStart + target * (level + 1)
+            };
+        },
+
+        formatDuration: (ms) => {
+            const minutes = Math.max(1, Math.floor(Math.abs(ms) / 60000));
+            const days = Math.floor(minutes / 1440);
+            const hours = Math.floor((minutes % 1440) / 60);
+            if (days > 0) return `${days}d ${hours}h`;
+            if (hours > 0) return `${hours}h ${minutes % 60}m`;
+            return `${minutes}m`;
+        },
+
+        describe: (report, now = Date.now()) => {
+            const status = UTILS.sla.getStatus(report, now);
+            if (status.stopped) {
+                return null;
+            }
+            if (status.overdue) {
+                return {
+                    label: `Overdue ${UTILS.sla.formatDuration(status.remaining)}`,
+                    badge: 'danger',
+                    icon: 'fas fa-exclamation-circle'
+                };
+            }
+            return {
+                label: `Due in ${UTILS.sla.formatDuration(status.remaining)}`,
+                badge: status.dueSoon ? 'warning' : 'secondary',
+                icon: 'fas fa-hourglass-half'
+            };
+        }
+    },
+
+    // Feedback revision utilities
+    revisions: {
+        // Only the author may edit or withdraw, and only within the edit window
+        canModify: (feedback, userId, now = Date.now()) => {
+            if (!feedback || !userId || feedback.authorId !== userId) return false;
+            const createdAt = feedback.timestamp || feedback.createdAt || 0;
+            return now - createdAt <= CONFIG.FEEDBACK.EDIT_WINDOW;
+        },
+
+        getVersions: (feedback) => {
+            return Array.isArray(feedback.versions) ? feedback.versions : [];
+        },
+
+        snapshot: (feedback) => {
+            return {
+                version: UTILS.revisions.getVersions(feedback).length + 1,
+                title: feedback.title,
+                content: feedback.content,
+                category: feedback.category,
+                rating: feedback.rating,
+                at: feedback.editedAt || feedback.timestamp || Date.now()
+            };
+        },
+
+        // Returns the changed fields with the previous revision appended to the history
+        applyEdit: (feedback, changes) => {
+            const versions = [...UTILS.revisions.getVersions(feedback), UTILS.revisions.snapshot(feedback)];
+            return {
+                ...changes,
+                versions: versions.slice(-CONFIG.FEEDBACK.MAX_VERSIONS),
+                editedAt: Date.now()
+            };
+        },
+
+        // Word-level diff as a list of { type: 'same' | 'added' | 'removed', text }
+        diff: (before, after) => {
+            const a = (before || '').split(/(\s+)/).filter(Boolean);
+            const b = (after || '').split(/(\s+)/).filter(Boolean);
+
+            // Longest common subsequence table, filled from the end
+            const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            const parts = [];
+            const push = (type, text) => {
+                const last = parts[parts.length - 1];
+                if (last && last.type === type) {
+                    last.text += text;
+                } else {
+                    parts.push({ type, text });
+                }
+            };
+
+            let i = 0;
+            let j = 0;
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) {
+                    push('same', a[i]);
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    push('removed', a[i++]);
+                } else {
+                    push('added', b[j++]);
+                }
+            }
+            while (i < a.length) push('removed', a[i++]);
+            while (j < b.length) push('added', b[j++]);
+
+            return parts;
+        }
+    },
+
     // Utility to check browser capabilities
     capabilities: {
         hasWebRTC: () => !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
@@ -0,0 +1,142 @@
+// duplicates.js - Duplicate report detection and merging
+
+class DuplicateDetector {
+    constructor() {
+        this.settings = CONFIG.REPORTS.DUPLICATES;
+        this.stopWords = new Set([
+            'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have',
+            'was', 'were', 'this', 'that', 'with', 'from', 'there', 'their', 'they', 'been',
+            'its', 'into', 'near', 'very', 'some', 'needs', 'need', 'please'
+        ]);
+    }
+
+    tokenize(text) {
+        return new Set(
+            (text || '')
+                .toLowerCase()
+                .replace(/[^a-z0-9\s]/g, ' ')
+                .split(/\s+/)
+                .filter(word => word.length > 2 && !this.stopWords.has(word))
+        );
+    }
+
+    // Jaccard similarity of the two token sets
+    similarity(a, b) {
+        const tokensA = this.tokenize(a);
+        const tokensB = this.tokenize(b);
+        if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+        let shared = 0;
+        tokensA.forEach(token => {
+            if (tokensB.has(token)) shared++;
+        });
+        return shared / (tokensA.size + tokensB.size - shared);
+    }
+
+    locationScore(report, candidate) {
+        if (report.buildingId && candidate.buildingId) {
+            if (report.buildingId !== candidate.buildingId) return 0;
+            if (report.roomId && candidate.roomId && report.roomId !== candidate.roomId) return 0.5;
+            return 1;
+        }
+        return this.similarity(report.location, candidate.location);
+    }
+
+    score(report, candidate, now = Date.now()) {
+        if (!candidate || candidate.id === report.id) return 0;
+        if (report.type && candidate.type && report.type !== candidate.type) return 0;
+
+        const stopped = CONFIG.REPORTS.SLA.STOPPED_STATES;
+        if (stopped.includes(UTILS.lifecycle.normalizeStatus(candidate.status))) return 0;
+
+        const filedAt = candidate.timestamp || candidate.createdAt || 0;
+        if (now - filedAt > this.settings.TIME_WINDOW) return 0;
+
+        const location = this.locationScore(report, candidate);
+        if (location < this.settings.MIN_LOCATION_SCORE) return 0;
+
+        const text = this.similarity(
+            `${report.title} ${report.description}`,
+            `${candidate.title} ${candidate.description}`
+        );
+
+        return location * this.settings.LOCATION_WEIGHT + text * (1 - this.settings.LOCATION_WEIGHT);
+    }
+
+    findDuplicates(report, reports = UTILS.storage.getReports()) {
+        const now = Date.now();
+
+        return reports
+            .map(candidate => ({ report: candidate, score: this.score(report, candidate, now) }))
+            .filter(match => match.score >= this.settings.MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.settings.MAX_SUGGESTIONS);
+    }
+
+    getReporters(report) {
+        if (Array.isArray(report.reporters) && report.reporters.length > 0) {
+            return report.reporters;
+        }
+        return [{
+            id: report.authorId || null,
+            name: report.author || 'Anonymous',
+            at: report.timestamp || report.createdAt || Date.now()
+        }];
+    }
+
+    // Reporters are the same person when their user ids match. Names are only compared for
+    // entries without ids, since every default user is called "Campus User".
+    isSameReporter(a, b) {
+        if (a.id || b.id) return !!a.id && a.id === b.id;
+        return a.name === b.name;
+    }
+
+    // Adds a "+1" from another reporter ({ id, name }), ignoring repeat support from the same person
+    addReporter(report, reporter, images = []) {
+        const reporters = this.getReporters(report);
+        const alreadyReported = reporters.some(r => this.isSameReporter(r, reporter));
+
+        return {
+            reporters: alreadyReported ? reporters : [...reporters, { id: reporter.id || null, name: reporter.name, at: Date.now() }],
+            images: [...(report.images || []), ...images],
+            alreadyReported: alreadyReported
+        };
+    }
+
+    // Combines duplicates into the canonical report; merged history keeps its source
+    merge(canonical, duplicates) {
+        const reporters = [...this.getReporters(canonical)];
+        duplicates.forEach(duplicate => {
+            this.getReporters(duplicate).forEach(reporter => {
+                if (!reporters.some(r => this.isSameReporter(r, reporter))) {
+                    reporters.push(reporter);
+                }
+            });
+        });
+
+        const images = [canonical, ...duplicates].flatMap(report => report.images || []);
+
+        const mergedHistory = duplicates.flatMap(duplicate =>
+            UTILS.lifecycle.getHistory(duplicate).map(entry => ({
+                ...entry,
+                sourceReportId: duplicate.id,
+                note: `From merged report "${duplicate.title || duplicate.id}"${entry.note ? ` — ${entry.note}` : ''}`
+            }))
+        );
+        const history = [...UTILS.lifecycle.getHistory(canonical), ...mergedHistory]
+            .sort((a, b) => a.at - b.at);
+
+        return {
+            reporters: reporters,
+            images: images,
+            history: history,
+            mergedFrom: [...(canonical.mergedFrom || []), ...duplicates.map(d => d.id)]
+        };
+    }
+}
+
+// Initialize duplicate detector
+const duplicateDetector = new DuplicateDetector();
+
+// Export for global use
+window.duplicateDetector = duplicateDetector;
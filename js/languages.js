@@ -0,0 +1,230 @@
+// languages.js - Language detection and per-language moderation and sentiment packs
+
+class LanguagePackRegistry {
+    constructor() {
+        this.settings = CONFIG.AI.LANGUAGES;
+    }
+
+    getInstalledPacks() {
+        const stored = UTILS.storage.get('language_packs');
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    // Built-in packs, with installed packs added or replacing a built-in of the same code
+    getPacks() {
+        const packs = new Map(this.settings.PACKS.map(pack => [pack.code, { ...pack, builtIn: true }]));
+        this.getInstalledPacks().forEach(pack => packs.set(pack.code, { ...pack, builtIn: false }));
+        return [...packs.values()];
+    }
+
+    getPack(code) {
+        const packs = this.getPacks();
+        return packs.find(pack => pack.code === code) ||
+            packs.find(pack => pack.code === this.settings.DEFAULT) ||
+            packs[0];
+    }
+
+    getName(code) {
+        const pack = this.getPacks().find(p => p.code === code);
+        return pack ? pack.name : code;
+    }
+
+    getLexicon(code) {
+        const sentiment = this.getPack(code).sentiment || {};
+        return {
+            positive: sentiment.positive || [],
+            negative: sentiment.negative || []
+        };
+    }
+
+    // Negation and clause-break words used by aspect sentiment
+    getGrammar(code) {
+        const pack = this.getPack(code);
+        return {
+            negations: pack.negations || [],
+            contrast: pack.contrast || []
+        };
+    }
+
+    // Extra aspect keywords in this language, by category and aspect
+    getAspectKeywords(code, category) {
+        const pack = this.getPacks().find(p => p.code === code);
+        return (pack && pack.aspects && pack.aspects[category]) || {};
+    }
+
+    // Pack rules, tagged with the pack's language
+    getRules(code) {
+        const pack = this.getPacks().find(p => p.code === code);
+        return pack ? (pack.rules || []).map(rule => ({ ...rule, language: pack.code })) : [];
+    }
+
+    static tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}']+/gu) || []);
+    }
+
+    // Guesses the language from stopword hits. Short or unrecognised text falls back to
+    // the default language and is reported as unreliable.
+    detect(text) {
+        const words = LanguagePackRegistry.tokenize(text || '');
+        const fallback = { code: this.settings.DEFAULT, name: this.getName(this.settings.DEFAULT), confidence: 0, reliable: false };
+        if (words.length < this.settings.MIN_WORDS) return fallback;
+
+        const scores = this.getPacks().map(pack => {
+            const stopwords = new Set((pack.stopwords || []).map(word => word.toLowerCase()));
+            return { pack, hits: words.filter(word => stopwords.has(word)).length };
+        });
+
+        // Ties go to the default language
+        const best = scores.reduce((a, b) => {
+            if (b.hits > a.hits) return b;
+            if (b.hits === a.hits && b.pack.code === this.settings.DEFAULT) return b;
+            return a;
+        });
+        if (best.hits === 0) return fallback;
+
+        const runnerUp = Math.max(0, ...scores.filter(s => s !== best).map(s => s.hits));
+        return {
+            code: best.pack.code,
+            name: best.pack.name,
+            confidence: Math.round((best.hits - runnerUp) / best.hits * 100) / 100,
+            reliable: best.hits > runnerUp
+        };
+    }
+
+    normalizePack(input) {
+        const list = (value) => (Array.isArray(value) ? value : String(value || '').split(/[\n,]/))
+            .map(word => String(word).trim().toLowerCase())
+            .filter(Boolean);
+        const code = String(input.code || '').trim();
+
+        return {
+            code: code,
+            name: String(input.name || '').trim() || code,
+            stopwords: [...new Set(list(input.stopwords))],
+            sentiment: {
+                positive: [...new Set(list(input.sentiment?.positive))],
+                negative: [...new Set(list(input.sentiment?.negative))]
+            },
+            negations: [...new Set(list(input.negations))],
+            contrast: [...new Set(list(input.contrast))],
+            aspects: Object.fromEntries(Object.entries(input.aspects || {}).map(([category, aspects]) => [
+                category,
+                Object.fromEntries(Object.entries(aspects || {}).map(([aspect, keywords]) => [aspect, list(keywords)]))
+            ])),
+            rules: (Array.isArray(input.rules) ? input.rules : []).map(rule => {
+                const normalized = typeof moderationRules !== 'undefined' ? moderationRules.normalizeRule(rule) : { ...rule };
+                delete normalized.language;
+                return normalized;
+            }),
+            installedAt: Date.now()
+        };
+    }
+
+    validatePack(pack) {
+        const errors = [];
+
+        if (!/^[a-z]{2,3}(-[A-Z]{2})?$/.test(pack.code)) {
+            errors.push('Code must be a language code such as "de" or "pt-BR"');
+        }
+
+        if (pack.stopwords.length < 5) {
+            errors.push('At least 5 stopwords are needed to detect the language');
+        }
+
+        pack.rules.forEach(rule => {
+            const ruleErrors = typeof moderationRules !== 'undefined' ? moderationRules.validateRule(rule) : [];
+            if (ruleErrors.length > 0) {
+                errors.push(`Rule "${rule.pattern}": ${ruleErrors.join(', ')}`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Accepts a pack object or its JSON text
+    async install(input, author = null) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Language pack is not valid JSON: ${error.message}`);
+            }
+        }
+
+        const pack = this.normalizePack(data || {});
+        const errors = this.validatePack(pack);
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+
+        pack.installedBy = author || 'admin';
+        UTILS.storage.set('language_packs', [...this.getInstalledPacks().filter(p => p.code !== pack.code), pack]);
+        this.apply();
+        console.log('🌐 Installed language pack:', pack.code);
+
+        try {
+            await api.installLanguagePack(pack);
+        } catch (error) {
+            console.warn('⚠️ Language pack saved locally, server sync failed:', error);
+        }
+
+        return pack;
+    }
+
+    async remove(code) {
+        if (!this.getInstalledPacks().some(pack => pack.code === code)) {
+            throw new Error(`Language pack "${code}" is built in and cannot be removed`);
+        }
+
+        UTILS.storage.set('language_packs', this.getInstalledPacks().filter(pack => pack.code !== code));
+        this.apply();
+        console.log('🌐 Removed language pack:', code);
+
+        try {
+            await api.removeLanguagePack(code);
+        } catch (error) {
+            console.warn('⚠️ Language pack removed locally, server sync failed:', error);
+        }
+    }
+
+    // Picks up packs installed from other sessions
+    async load() {
+        if (typeof api === 'undefined') return;
+
+        try {
+            const response = await api.getLanguagePacks();
+            const remote = response?.data?.packs || [];
+            const local = this.getInstalledPacks();
+            const newer = remote.filter(pack => {
+                const existing = local.find(p => p.code === pack.code);
+                return !existing || (pack.installedAt || 0) > (existing.installedAt || 0);
+            });
+
+            if (newer.length > 0) {
+                const codes = new Set(newer.map(pack => pack.code));
+                UTILS.storage.set('language_packs', [...local.filter(pack => !codes.has(pack.code)), ...newer]);
+                this.apply();
+                console.log('🌐 Loaded language packs:', [...codes].join(', '));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load language packs, using stored packs:', error);
+        }
+    }
+
+    // Cached verdicts and compiled pack rules belong to the old packs
+    apply() {
+        if (typeof moderationRules !== 'undefined') {
+            moderationRules.apply();
+        } else if (typeof moderationSystem !== 'undefined' && moderationSystem) {
+            moderationSystem.clearCache();
+        }
+    }
+}
+
+// Initialize language packs
+const languagePacks = new LanguagePackRegistry();
+
+// Export for global use
+window.LanguagePackRegistry = LanguagePackRegistry;
+window.languagePacks = languagePacks;
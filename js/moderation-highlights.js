@@ -0,0 +1,251 @@
+// moderation-highlights.js - Inline highlights of flagged text inside a textarea
+
+// A textarea cannot style parts of its value, so the flagged spans are drawn on a mirrored
+// backdrop behind it. Hovering a highlight (or moving the caret into one) explains the issue
+// and offers the one-click fix that moderation attached to the span.
+class ModerationHighlighter {
+    constructor(textarea, options = {}) {
+        this.textarea = textarea;
+        this.options = {
+            onFix: null,
+            ...options
+        };
+        this.spans = [];
+        this.activeIndex = null;
+        this.hideTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.container = this.textarea.parentElement;
+
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = 'highlight-backdrop';
+        this.backdrop.setAttribute('aria-hidden', 'true');
+        this.container.insertBefore(this.backdrop, this.textarea);
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'highlight-tooltip';
+        this.tooltip.setAttribute('role', 'tooltip');
+        this.tooltip.style.display = 'none';
+        this.container.appendChild(this.tooltip);
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+
+        // Typing moves text away from the moderated offsets; fixes applied here shift them instead
+        this.textarea.addEventListener('input', () => {
+            if (!this.applying) this.clear();
+        });
+
+        this.textarea.addEventListener('mousemove', (e) => {
+            const index = this.spanAtPoint(e.clientX, e.clientY);
+            if (index !== null) {
+                this.showTooltip(index);
+            } else {
+                this.scheduleHide();
+            }
+        });
+        this.textarea.addEventListener('mouseleave', () => this.scheduleHide());
+
+        ['keyup', 'click'].forEach(type => {
+            this.textarea.addEventListener(type, () => {
+                if (this.spans.length === 0) return;
+                const index = this.spanAtOffset(this.textarea.selectionStart);
+                if (index !== null) {
+                    this.showTooltip(index);
+                } else if (type === 'keyup') {
+                    this.hideTooltip();
+                }
+            });
+        });
+        this.textarea.addEventListener('blur', () => this.scheduleHide());
+
+        this.tooltip.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+        this.tooltip.addEventListener('mouseleave', () => this.scheduleHide());
+        this.tooltip.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the textarea
+        this.tooltip.addEventListener('click', (e) => {
+            if (e.target.closest('.highlight-fix-btn') && this.activeIndex !== null) {
+                this.applyFix(this.activeIndex);
+            }
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.syncLayout()).observe(this.textarea);
+        }
+    }
+
+    // Spans use offsets into the textarea value
+    setSpans(spans) {
+        const length = this.textarea.value.length;
+        this.spans = (spans || [])
+            .filter(span => span.start >= 0 && span.end <= length && span.end > span.start)
+            .sort((a, b) => a.start - b.start)
+            .filter((span, i, sorted) => i === 0 || span.start >= sorted[i - 1].end);
+        this.render();
+    }
+
+    clear() {
+        this.spans = [];
+        this.render();
+    }
+
+    render() {
+        this.hideTooltip();
+        const hasSpans = this.spans.length > 0;
+        this.textarea.classList.toggle('has-highlights', hasSpans);
+        this.backdrop.style.display = hasSpans ? 'block' : 'none';
+        if (!hasSpans) {
+            this.backdrop.innerHTML = '';
+            return;
+        }
+
+        const escape = UTILS.validation.sanitizeHTML;
+        const text = this.textarea.value;
+        let html = '';
+        let position = 0;
+
+        this.spans.forEach((span, index) => {
+            html += escape(text.slice(position, span.start)) +
+                `<mark class="highlight-mark highlight-${span.category || 'other'}" data-span="${index}">${escape(text.slice(span.start, span.end))}</mark>`;
+            position = span.end;
+        });
+
+        // A trailing newline needs a character after it to take up a line in the backdrop
+        this.backdrop.innerHTML = html + escape(text.slice(position)) + '\n ';
+        this.syncLayout();
+    }
+
+    // Copy the metrics that decide where text wraps
+    syncLayout() {
+        if (this.spans.length === 0) return;
+
+        const style = window.getComputedStyle(this.textarea);
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'wordSpacing',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+            'borderRadius', 'boxSizing'].forEach(property => {
+            this.backdrop.style[property] = style[property];
+        });
+
+        this.backdrop.style.top = `${this.textarea.offsetTop}px`;
+        this.backdrop.style.left = `${this.textarea.offsetLeft}px`;
+        this.backdrop.style.width = `${this.textarea.offsetWidth}px`;
+        this.backdrop.style.height = `${this.textarea.offsetHeight}px`;
+        this.syncScroll();
+    }
+
+    syncScroll() {
+        this.backdrop.scrollTop = this.textarea.scrollTop;
+        this.backdrop.scrollLeft = this.textarea.scrollLeft;
+    }
+
+    // The textarea sits on top of the backdrop, so look underneath it for a highlight
+    spanAtPoint(x, y) {
+        if (this.spans.length === 0) return null;
+
+        this.textarea.style.pointerEvents = 'none';
+        const element = document.elementFromPoint(x, y);
+        this.textarea.style.pointerEvents = '';
+
+        const mark = element && element.closest ? element.closest('.highlight-mark') : null;
+        return mark && this.backdrop.contains(mark) ? parseInt(mark.dataset.span, 10) : null;
+    }
+
+    spanAtOffset(offset) {
+        const index = this.spans.findIndex(span => offset >= span.start && offset <= span.end);
+        return index >= 0 ? index : null;
+    }
+
+    showTooltip(index) {
+        clearTimeout(this.hideTimer);
+        const span = this.spans[index];
+        const mark = this.backdrop.querySelector(`[data-span="${index}"]`);
+        if (!span || !mark) return;
+
+        if (this.activeIndex !== index || this.tooltip.style.display === 'none') {
+            const escape = UTILS.validation.sanitizeHTML;
+            this.tooltip.innerHTML = `
+                <div class="highlight-tooltip-issue">
+                    <i class="fas fa-exclamation-circle"></i>
+                    ${escape(span.issue)}
+                </div>
+                ${span.fix ? `
+                    <div class="highlight-tooltip-fix">
+                        <span>${escape(span.fix.label)}</span>
+                        <button type="button" class="btn btn-sm btn-secondary highlight-fix-btn">
+                            <i class="fas fa-magic"></i>
+                            ${span.fix.replacement ? `Replace with "${escape(span.fix.replacement)}"` : 'Remove'}
+                        </button>
+                    </div>
+                ` : ''}
+            `;
+        }
+
+        this.activeIndex = index;
+        this.backdrop.querySelectorAll('.highlight-mark.active').forEach(m => m.classList.remove('active'));
+        mark.classList.add('active');
+
+        const markRect = mark.getBoundingClientRect();
+        const containerRect = this.container.getBoundingClientRect();
+        this.tooltip.style.display = 'block';
+        this.tooltip.style.top = `${markRect.bottom - containerRect.top + 6}px`;
+        this.tooltip.style.left = `${Math.max(0, Math.min(markRect.left - containerRect.left,
+            containerRect.width - this.tooltip.offsetWidth))}px`;
+    }
+
+    scheduleHide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hideTooltip(), 250);
+    }
+
+    hideTooltip() {
+        clearTimeout(this.hideTimer);
+        this.activeIndex = null;
+        this.tooltip.style.display = 'none';
+        this.backdrop.querySelectorAll('.highlight-mark.active').forEach(m => m.classList.remove('active'));
+    }
+
+    // Replaces one span with its fix and shifts the remaining highlights to match
+    applyFix(index) {
+        const span = this.spans[index];
+        if (!span || !span.fix) return;
+
+        const text = this.textarea.value;
+        let before = text.slice(0, span.start);
+        let after = text.slice(span.end);
+        const replacement = span.fix.replacement || '';
+
+        // Removing a word should not leave a double space or a space before punctuation
+        if (!replacement && /[ \t]$/.test(before) && /^([ \t]|[.,!?;:]|$)/.test(after)) {
+            before = before.slice(0, -1);
+        }
+
+        const removed = text.length - before.length - after.length;
+        const delta = replacement.length - removed;
+        const caret = before.length + replacement.length;
+
+        this.applying = true;
+        this.textarea.value = before + replacement + after;
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        this.applying = false;
+
+        const remaining = this.spans
+            .filter((s, i) => i !== index)
+            .map(s => (s.start >= span.end ? { ...s, start: s.start + delta, end: s.end + delta } : s));
+
+        this.textarea.focus();
+        this.textarea.setSelectionRange(caret, caret);
+        this.setSpans(remaining);
+
+        if (typeof this.options.onFix === 'function') {
+            this.options.onFix(span, remaining);
+        }
+    }
+}
+
+// Export for global use
+window.ModerationHighlighter = ModerationHighlighter;
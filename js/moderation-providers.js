@@ -0,0 +1,392 @@
+// moderation-providers.js - Pluggable moderation providers with a common result shape
+
+// Base provider, subclasses implement moderate(content, type) and return this.result(...)
+class ModerationProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.threshold = typeof options.threshold === 'number' ? options.threshold : CONFIG.AI.MODERATION.MAX_TOXICITY;
+    }
+
+    // language is the detected language code, providers without language support can ignore it
+    async moderate(content, type = 'text', language = null) {
+        throw new Error(`Moderation provider "${this.name}" does not implement moderate()`);
+    }
+
+    // The shape every provider returns
+    result(fields = {}) {
+        const toxicityScore = Math.round(Math.max(0, Math.min(1, fields.toxicityScore || 0)) * 100) / 100;
+        const approved = typeof fields.approved === 'boolean' ? fields.approved : toxicityScore < this.threshold;
+
+        return {
+            approved: approved,
+            confidence: typeof fields.confidence === 'number' ? fields.confidence : Math.max(0, Math.min(1, 1 - toxicityScore)),
+            toxicityScore: toxicityScore,
+            sentiment: fields.sentiment || 'neutral',
+            issues: fields.issues || [],
+            spans: fields.spans || [],
+            suggestions: fields.suggestions || [],
+            reason: fields.reason || (approved ? 'Content approved' : 'Content flagged for review'),
+            provider: this.name
+        };
+    }
+
+    // Word-list sentiment from the language's lexicon, positive above zero and negative below
+    static scoreSentiment(content, language = null) {
+        const lowerContent = content.toLowerCase();
+        const lexicon = typeof languagePacks !== 'undefined' ?
+            languagePacks.getLexicon(language || CONFIG.AI.LANGUAGES.DEFAULT) :
+            CONFIG.AI.LANGUAGES.PACKS[0].sentiment;
+        const positiveWords = lexicon.positive;
+        const negativeWords = lexicon.negative;
+
+        let sentimentScore = 0;
+        positiveWords.forEach(word => {
+            if (lowerContent.includes(word)) sentimentScore += 0.1;
+        });
+        negativeWords.forEach(word => {
+            if (lowerContent.includes(word)) sentimentScore -= 0.1;
+        });
+        return sentimentScore;
+    }
+
+    static describeSentiment(sentimentScore) {
+        return sentimentScore > 0 ? 'positive' : sentimentScore < 0 ? 'negative' : 'neutral';
+    }
+}
+
+// Generic HTTP moderation endpoint: POSTs { text, type } as JSON
+class HttpModerationProvider extends ModerationProvider {
+    constructor(options = {}) {
+        super(options.name || 'http', options);
+        this.url = options.url || null;
+        this.apiKey = options.apiKey || null;
+        this.timeout = options.timeout || 5000;
+        this.headers = options.headers || {};
+    }
+
+    async moderate(content, type = 'text', language = null) {
+        if (!this.url) {
+            throw new Error('HTTP moderation provider has no URL configured');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+                    ...this.headers
+                },
+                body: JSON.stringify({ text: content, type: type, language: language }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Moderation endpoint returned ${response.status}`);
+            }
+
+            return this.normalize(await response.json());
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Moderation endpoint timed out after ${this.timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Accepts the common shape, a { data } envelope, OpenAI-style { results: [...] }
+    // and the { is_appropriate, flags } shape served by MOCK_API
+    normalize(body) {
+        const data = body && body.data ? body.data : body;
+        if (!data || typeof data !== 'object') {
+            throw new Error('Empty moderation response');
+        }
+
+        if (Array.isArray(data.results)) {
+            const first = data.results[0] || {};
+            const scores = Object.values(first.category_scores || {});
+            const categories = Object.entries(first.categories || {})
+                .filter(([, flagged]) => flagged)
+                .map(([category]) => category);
+
+            return this.result({
+                approved: !first.flagged,
+                toxicityScore: scores.length > 0 ? Math.max(...scores) : (first.flagged ? 1 : 0),
+                issues: categories.map(category => `Flagged for ${category.replace(/[_/-]/g, ' ')}`)
+            });
+        }
+
+        if (typeof data.is_appropriate === 'boolean') {
+            return this.result({
+                approved: data.is_appropriate,
+                confidence: data.confidence,
+                toxicityScore: typeof data.toxicity_score === 'number' ? data.toxicity_score : (data.is_appropriate ? 0 : 1),
+                issues: (data.flags || []).map(flag => flag.replace(/_/g, ' ')),
+                suggestions: data.suggestions
+            });
+        }
+
+        if (typeof data.approved === 'boolean' || typeof data.toxicityScore === 'number') {
+            return this.result(data);
+        }
+
+        throw new Error('Unrecognised moderation response');
+    }
+}
+
+// Weighted regular-expression rules with per-rule allow-lists
+class LocalRulesModerationProvider extends ModerationProvider {
+    constructor(options = {}, name = 'rules') {
+        super(name, options);
+        this.setRules(options.rules || []);
+    }
+
+    setRules(rules) {
+        this.rules = LocalRulesModerationProvider.compileAll(rules);
+        this.packRules = new Map();
+    }
+
+    static compileAll(rules) {
+        return rules.map(rule => {
+            try {
+                return { ...rule, regex: LocalRulesModerationProvider.compile(rule) };
+            } catch (error) {
+                console.warn('⚠️ Skipping invalid moderation rule:', rule.pattern, error.message);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    // Published rules for every language or this one, plus the rules of its language pack
+    getRulesFor(language) {
+        const scoped = this.rules.filter(rule => !rule.language || rule.language === language);
+        if (!language || typeof languagePacks === 'undefined') return scoped;
+
+        if (!this.packRules.has(language)) {
+            this.packRules.set(language, LocalRulesModerationProvider.compileAll(languagePacks.getRules(language)));
+        }
+        return [...scoped, ...this.packRules.get(language)];
+    }
+
+    static compile(rule) {
+        const flags = (rule.flags === undefined ? 'i' : rule.flags).replace(/g/g, '');
+        return new RegExp(rule.pattern, flags + 'g');
+    }
+
+    // Matches of one rule, skipping those inside an allow-listed phrase
+    static findMatches(rule, content) {
+        const regex = rule.regex || LocalRulesModerationProvider.compile(rule);
+        const lowerContent = content.toLowerCase();
+        const allowed = [];
+
+        (rule.allow || []).filter(Boolean).forEach(phrase => {
+            const lowerPhrase = phrase.toLowerCase();
+            let index = lowerContent.indexOf(lowerPhrase);
+            while (index >= 0) {
+                allowed.push([index, index + lowerPhrase.length]);
+                index = lowerContent.indexOf(lowerPhrase, index + 1);
+            }
+        });
+
+        const matches = [];
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(content)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!allowed.some(([from, to]) => start >= from && end <= to)) {
+                matches.push({ start, end, text: match[0] });
+            }
+        }
+        return matches;
+    }
+
+    // Issues, suggestions and score from the rules that match, plus the character
+    // offsets of every match so editors can point at the text that triggered each issue
+    applyRules(content, language = null) {
+        let toxicityScore = 0;
+        const issues = [];
+        const spans = [];
+        const suggestions = [];
+
+        this.getRulesFor(language).forEach(rule => {
+            const matches = LocalRulesModerationProvider.findMatches(rule, content);
+            if (matches.length === 0) return;
+
+            const issue = rule.message || `Matches ${rule.category || 'moderation'} rule`;
+            toxicityScore += rule.weight || 0;
+            issues.push(issue);
+            matches.forEach(match => spans.push({
+                ...match,
+                issue: issue,
+                category: rule.category || 'other',
+                ruleId: rule.id || null,
+                suggestion: rule.suggestion || null
+            }));
+            if (rule.suggestion && !suggestions.includes(rule.suggestion)) {
+                suggestions.push(rule.suggestion);
+            }
+        });
+
+        spans.sort((a, b) => a.start - b.start);
+        return { toxicityScore, issues, spans, suggestions };
+    }
+
+    async moderate(content, type = 'text', language = null) {
+        return this.result({
+            ...this.applyRules(content, language),
+            sentiment: ModerationProvider.describeSentiment(ModerationProvider.scoreSentiment(content, language))
+        });
+    }
+}
+
+// Rule set plus length, structure and sentiment checks that runs in the browser
+class KeywordModerationProvider extends LocalRulesModerationProvider {
+    constructor(options = {}) {
+        super(options, 'keyword');
+    }
+
+    async moderate(content, type = 'text', language = null) {
+        let { toxicityScore, issues, spans, suggestions } = this.applyRules(content, language);
+
+        // Check content length and structure
+        if (content.length < 5) {
+            toxicityScore += 0.1;
+            issues.push('Content is too short');
+        }
+
+        if (content.split(' ').length < 3) {
+            toxicityScore += 0.1;
+            issues.push('Content lacks proper structure');
+        }
+
+        // Very negative content gets higher toxicity
+        const sentimentScore = ModerationProvider.scoreSentiment(content, language);
+        if (sentimentScore < -0.3) {
+            toxicityScore += 0.2;
+            issues.push('Content has very negative sentiment');
+        }
+
+        return this.result({
+            toxicityScore: toxicityScore,
+            issues: issues,
+            spans: spans,
+            suggestions: suggestions,
+            sentiment: ModerationProvider.describeSentiment(sentimentScore)
+        });
+    }
+}
+
+// Runs several providers: 'fallback' answers with the first that succeeds,
+// 'all' asks every provider and keeps the strictest verdict
+class ChainedModerationProvider extends ModerationProvider {
+    constructor(providers, options = {}) {
+        super(options.name || `chain(${providers.map(p => p.name).join(',')})`, options);
+        this.providers = providers;
+        this.mode = options.mode || 'fallback';
+    }
+
+    async moderate(content, type = 'text', language = null) {
+        return this.mode === 'all' ? this.moderateAll(content, type, language) : this.moderateFallback(content, type, language);
+    }
+
+    async moderateFallback(content, type, language) {
+        const errors = [];
+
+        for (const provider of this.providers) {
+            try {
+                return await provider.moderate(content, type, language);
+            } catch (error) {
+                console.warn(`⚠️ Moderation provider "${provider.name}" failed, trying the next one:`, error.message);
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`All moderation providers failed (${errors.join('; ')})`);
+    }
+
+    async moderateAll(content, type, language) {
+        const settled = await Promise.allSettled(this.providers.map(provider => provider.moderate(content, type, language)));
+        const results = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+
+        if (results.length === 0) {
+            throw new Error(`All moderation providers failed (${settled.map(s => s.reason.message).join('; ')})`);
+        }
+
+        const strictest = results.reduce((a, b) => (b.toxicityScore > a.toxicityScore ? b : a));
+        const approved = results.every(r => r.approved);
+
+        return {
+            ...strictest,
+            approved: approved,
+            confidence: Math.min(...results.map(r => r.confidence)),
+            issues: [...new Set(results.flatMap(r => r.issues))],
+            spans: results.flatMap(r => r.spans || []).sort((a, b) => a.start - b.start),
+            suggestions: [...new Set(results.flatMap(r => r.suggestions))],
+            reason: approved ? 'Content approved' : 'Content flagged for review',
+            provider: results.map(r => r.provider).join('+')
+        };
+    }
+}
+
+// Provider registry, vendors can register a factory and be selected from CONFIG.
+// Factories get the settings and the rule set in force (published or proposed).
+const moderationProviders = {
+    factories: {
+        keyword: (settings, rules) => new KeywordModerationProvider({
+            rules: rules,
+            threshold: settings.MAX_TOXICITY
+        }),
+        http: (settings) => new HttpModerationProvider({
+            url: settings.HTTP.URL,
+            apiKey: settings.HTTP.API_KEY,
+            timeout: settings.HTTP.TIMEOUT,
+            threshold: settings.MAX_TOXICITY
+        }),
+        rules: (settings, rules) => new LocalRulesModerationProvider({
+            rules: rules,
+            threshold: settings.MAX_TOXICITY
+        })
+    },
+
+    register(name, factory) {
+        this.factories[name] = factory;
+    },
+
+    getActiveRules(settings) {
+        return typeof moderationRules !== 'undefined' ? moderationRules.getActiveRules() : settings.LOCAL_RULES;
+    },
+
+    create(settings = CONFIG.AI.MODERATION, rules = this.getActiveRules(settings)) {
+        const names = Array.isArray(settings.PROVIDER) ? settings.PROVIDER : [settings.PROVIDER];
+        const providers = names.map(name => {
+            const factory = this.factories[name];
+            if (!factory) {
+                throw new Error(`Unknown moderation provider "${name}"`);
+            }
+            return factory(settings, rules);
+        });
+
+        return providers.length === 1 ?
+            providers[0] :
+            new ChainedModerationProvider(providers, { mode: settings.CHAIN_MODE, threshold: settings.MAX_TOXICITY });
+    }
+};
+
+// Export for global use
+window.ModerationProvider = ModerationProvider;
+window.KeywordModerationProvider = KeywordModerationProvider;
+window.HttpModerationProvider = HttpModerationProvider;
+window.LocalRulesModerationProvider = LocalRulesModerationProvider;
+window.ChainedModerationProvider = ChainedModerationProvider;
+window.moderationProviders = moderationProviders;
@@ -0,0 +1,542 @@
+// moderation-queue.js - Moderator review queue, appeals and the moderation audit log
+
+class ModerationAuditLog {
+    constructor() {
+        this.storageKey = 'moderation_audit_log';
+        this.writing = Promise.resolve();
+    }
+
+    // Entries are frozen copies, the log is only ever appended to
+    getEntries() {
+        const data = UTILS.storage.get(this.storageKey);
+        return (Array.isArray(data) ? data : []).map(entry => Object.freeze({ ...entry }));
+    }
+
+    getEntriesFor(targetType, targetId) {
+        return this.getEntries().filter(entry => entry.targetType === targetType && entry.targetId === targetId);
+    }
+
+    // SHA-256 over the entry and the previous hash, so edits to older entries break the chain
+    async hashEntry(entry) {
+        const text = JSON.stringify([
+            entry.id, entry.at, entry.action, entry.targetType, entry.targetId,
+            entry.actor, entry.actorId, entry.fromStatus, entry.toStatus,
+            entry.reason, entry.toxicityScore, entry.changes, entry.prevHash
+        ]);
+
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        // Insecure contexts have no SubtleCrypto, fall back to a 32-bit FNV-1a hash
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return 'fnv1a:' + hash.toString(16).padStart(8, '0');
+    }
+
+    // Appends are queued so concurrent decisions cannot fork the chain
+    append(fields) {
+        const write = this.writing.then(() => this.write(fields));
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    async write(fields) {
+        const entries = this.getEntries();
+        const entry = {
+            id: UTILS.generateId(),
+            at: Date.now(),
+            action: fields.action,
+            targetType: fields.targetType,
+            targetId: fields.targetId,
+            actor: fields.actor || 'system',
+            actorId: fields.actorId || null,
+            fromStatus: fields.fromStatus || null,
+            toStatus: fields.toStatus || null,
+            reason: fields.reason || '',
+            toxicityScore: typeof fields.toxicityScore === 'number' ? fields.toxicityScore : null,
+            changes: fields.changes || [],
+            prevHash: entries.length > 0 ? entries[entries.length - 1].hash : null
+        };
+        entry.hash = await this.hashEntry(entry);
+
+        UTILS.storage.set(this.storageKey, [...entries, entry]);
+        console.log('📒 Moderation audit:', entry.action, entry.targetType, entry.targetId);
+
+        try {
+            await api.recordModerationDecision(entry);
+        } catch (error) {
+            console.warn('⚠️ Audit entry kept locally, server sync failed:', error);
+        }
+
+        return Object.freeze(entry);
+    }
+
+    // Recomputes every hash, brokenAt is the index of the first entry that does not check out
+    async verify() {
+        const entries = this.getEntries();
+        let prevHash = null;
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.prevHash !== prevHash || entry.hash !== await this.hashEntry(entry)) {
+                return { valid: false, brokenAt: i, total: entries.length };
+            }
+            prevHash = entry.hash;
+        }
+
+        return { valid: true, brokenAt: null, total: entries.length };
+    }
+}
+
+class ModerationQueue {
+    constructor(auditLog) {
+        this.auditLog = auditLog;
+        this.settings = CONFIG.AI.MODERATION;
+    }
+
+    isHeld(item) {
+        return item.status === this.settings.REVIEW_STATUS;
+    }
+
+    // Rejected by a moderator, as opposed to reports rejected during triage
+    isRejected(item) {
+        return item.status === this.settings.REJECTED_STATUS && item.review?.decision === 'reject';
+    }
+
+    hasOpenAppeal(item) {
+        return item.appeal?.status === 'open';
+    }
+
+    // Held items and rejections under appeal, appeals first and then the most toxic
+    async getItems() {
+        const [feedbackResponse, reportResponse] = await Promise.all([api.getFeedbacks(), api.getReports()]);
+        const entries = [
+            ...(feedbackResponse?.data?.feedbacks || []).map(item => ({ targetType: 'feedback', item })),
+            ...(reportResponse?.data?.reports || []).map(item => ({ targetType: 'report', item })),
+            ...UTILS.storage.getComments().map(item => ({ targetType: 'comment', item }))
+        ];
+
+        return entries
+            .filter(({ item }) => this.isHeld(item) || this.hasOpenAppeal(item))
+            .sort((a, b) =>
+                Number(this.hasOpenAppeal(b.item)) - Number(this.hasOpenAppeal(a.item)) ||
+                (b.item.moderation?.toxicityScore || 0) - (a.item.moderation?.toxicityScore || 0) ||
+                (a.item.timestamp || 0) - (b.item.timestamp || 0)
+            );
+    }
+
+    getEditableFields(targetType) {
+        if (targetType === 'report') return ['title', 'description'];
+        if (targetType === 'comment') return ['content'];
+        return ['title', 'content'];
+    }
+
+    getApprovedStatus(targetType, item) {
+        if (targetType !== 'report') return 'approved';
+        return this.isRejected(item) ? 'reopened' : CONFIG.REPORTS.LIFECYCLE.INITIAL;
+    }
+
+    async update(targetType, item, changes, options = {}) {
+        if (targetType === 'report') {
+            return await api.updateReport(item.id, changes, options);
+        }
+        if (targetType === 'comment') {
+            return await api.updateComment(item.feedbackId, item.id, changes);
+        }
+        return await api.updateFeedback(item.id, changes);
+    }
+
+    // decision is 'approve', 'reject' or 'edit_approve'; on an appealed item it settles the appeal
+    async decide({ targetType, item }, decision, { actor, reason = '', changes = null } = {}) {
+        const appealed = this.hasOpenAppeal(item);
+        if (!this.isHeld(item) && !appealed) {
+            throw new Error('This item is not waiting for review');
+        }
+        if (decision === 'reject' && !reason.trim()) {
+            throw new Error('Give a reason so the author knows why their content was rejected');
+        }
+
+        const now = Date.now();
+        const toStatus = decision === 'reject' ? this.settings.REJECTED_STATUS : this.getApprovedStatus(targetType, item);
+        let update = {
+            review: {
+                decision: decision,
+                reason: reason.trim(),
+                by: actor?.name || 'Moderator',
+                byId: actor?.id || null,
+                at: now
+            }
+        };
+
+        let changedFields = [];
+        if (decision === 'edit_approve') {
+            const edits = {};
+            this.getEditableFields(targetType).forEach(field => {
+                if (changes && typeof changes[field] === 'string' && changes[field].trim() !== (item[field] || '')) {
+                    edits[field] = changes[field].trim();
+                }
+            });
+            changedFields = Object.keys(edits);
+            if (changedFields.length === 0) {
+                throw new Error('Make an edit first, or approve the content as it is');
+            }
+            // Feedback keeps the moderator's edit in its version history
+            update = { ...update, ...(targetType === 'feedback' ? UTILS.revisions.applyEdit(item, edits) : edits) };
+            if (targetType === 'feedback' && typeof aspectAnalyzer !== 'undefined') {
+                update.aspects = aspectAnalyzer.analyzeFeedback({ ...item, ...edits });
+            }
+        }
+
+        if (toStatus !== item.status) {
+            update.status = toStatus;
+        }
+        if (appealed) {
+            update.appeal = {
+                ...item.appeal,
+                status: decision === 'reject' ? 'upheld' : 'overturned',
+                decidedAt: now,
+                decidedBy: actor?.name || 'Moderator'
+            };
+        }
+
+        // Approving held content owes the author its reward, the server records that with the update
+        await this.update(targetType, item, update, { actor: actor?.name, note: reason });
+
+        return await this.auditLog.append({
+            action: appealed ? (decision === 'reject' ? 'appeal_upheld' : 'appeal_overturned') : decision,
+            targetType: targetType,
+            targetId: item.id,
+            actor: actor?.name,
+            actorId: actor?.id,
+            fromStatus: item.status,
+            toStatus: toStatus,
+            reason: reason.trim(),
+            toxicityScore: item.moderation?.toxicityScore,
+            changes: changedFields
+        });
+    }
+
+    canAppeal(item, user, now = Date.now()) {
+        return this.isRejected(item) &&
+            !item.appeal &&
+            !!item.authorId && item.authorId === user?.id &&
+            now - item.review.at <= this.settings.APPEAL_WINDOW;
+    }
+
+    async fileAppeal({ targetType, item }, reason, user) {
+        if (!this.isRejected(item)) {
+            throw new Error('Only content rejected by a moderator can be appealed');
+        }
+        if (item.appeal) {
+            throw new Error('This decision has already been appealed');
+        }
+        if (!item.authorId || item.authorId !== user?.id) {
+            throw new Error('Only the author can appeal this decision');
+        }
+        if (!this.canAppeal(item, user)) {
+            throw new Error('The appeal window for this decision has closed');
+        }
+        if (!reason || reason.trim().length < 10) {
+            throw new Error('Explain in at least 10 characters why the decision should be reviewed');
+        }
+
+        await this.update(targetType, item, {
+            appeal: {
+                reason: reason.trim(),
+                filedAt: Date.now(),
+                filedBy: user.name || 'Campus User',
+                status: 'open'
+            }
+        });
+
+        return await this.auditLog.append({
+            action: 'appeal',
+            targetType: targetType,
+            targetId: item.id,
+            actor: user.name,
+            actorId: user.id,
+            fromStatus: item.status,
+            toStatus: item.status,
+            reason: reason.trim(),
+            toxicityScore: item.moderation?.toxicityScore
+        });
+    }
+}
+
+class ModerationQueueConsole {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            getUser: options.getUser || (() => null),
+            onChange: options.onChange || (() => {}),
+            ...options
+        };
+        this.queue = options.queue || moderationQueue;
+        this.entries = [];
+        this.filter = '';
+        this.loading = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.listContainer = this.container.querySelector('#moderationQueueList');
+        this.auditContainer = this.container.querySelector('#moderationAuditLog');
+
+        this.container.querySelector('#moderationQueueFilter')?.addEventListener('change', (e) => {
+            this.filter = e.target.value;
+            this.render();
+        });
+        this.container.querySelector('#moderationAuditVerifyBtn')?.addEventListener('click', () => this.verifyLog());
+
+        if (this.listContainer) {
+            this.listContainer.addEventListener('click', (e) => {
+                const originalBtn = e.target.closest('.queue-original-btn');
+                if (originalBtn) {
+                    this.showOriginal(originalBtn.closest('.queue-item'));
+                    return;
+                }
+
+                const button = e.target.closest('[data-queue-action]');
+                if (!button) return;
+                this.handleAction(button.closest('.queue-item'), button.dataset.queueAction);
+            });
+        }
+
+        console.log('🛡️ Moderation queue initialized');
+    }
+
+    async load() {
+        if (this.loading) return;
+        this.loading = true;
+
+        if (this.listContainer) {
+            this.listContainer.innerHTML = `
+                <div class="loading-placeholder">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    Loading moderation queue...
+                </div>
+            `;
+        }
+
+        try {
+            this.entries = await this.queue.getItems();
+            console.log('🛡️ Loaded', this.entries.length, 'items for moderation');
+        } catch (error) {
+            UTILS.handleError(error, 'Moderation Queue');
+            this.entries = [];
+        } finally {
+            this.loading = false;
+        }
+
+        this.render();
+        this.renderAuditLog();
+    }
+
+    getFilteredEntries() {
+        if (!this.filter) return this.entries;
+        if (this.filter === 'appeals') return this.entries.filter(({ item }) => this.queue.hasOpenAppeal(item));
+        return this.entries.filter(entry => entry.targetType === this.filter);
+    }
+
+    async handleAction(element, action) {
+        if (!element) return;
+
+        const entry = this.entries.find(e => e.targetType === element.dataset.targetType && e.item.id === element.dataset.targetId);
+        if (!entry) return;
+
+        const reason = element.querySelector('.queue-reason')?.value || '';
+        const changes = {};
+        element.querySelectorAll('[data-edit-field]').forEach(field => {
+            changes[field.dataset.editField] = field.value;
+        });
+
+        element.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+        try {
+            await this.queue.decide(entry, action, {
+                actor: this.options.getUser(),
+                reason: reason,
+                changes: action === 'edit_approve' ? changes : null
+            });
+
+            const labels = { approve: 'approved', reject: 'rejected', edit_approve: 'edited and approved' };
+            showNotification(`${this.describe(entry)} ${labels[action]}`, action === 'reject' ? 'info' : 'success');
+
+            this.entries = this.entries.filter(e => e !== entry);
+            this.render();
+            this.renderAuditLog();
+            this.options.onChange(entry.targetType);
+        } catch (error) {
+            UTILS.handleError(error, 'Moderation Queue');
+            element.querySelectorAll('button').forEach(button => { button.disabled = false; });
+        }
+    }
+
+    // Admins can read what PII redaction removed, each read is audited
+    async showOriginal(element) {
+        if (!element || typeof piiVault === 'undefined') return;
+
+        const container = element.querySelector('.queue-original');
+        try {
+            const record = await piiVault.read(element.dataset.targetType, element.dataset.targetId, this.options.getUser());
+            if (container) {
+                container.innerHTML = Object.entries(record.fields)
+                    .map(([field, value]) => `<p><strong>${field}:</strong> ${UTILS.validation.sanitizeHTML(value)}</p>`)
+                    .join('');
+            }
+            this.renderAuditLog();
+        } catch (error) {
+            UTILS.handleError(error, 'Redacted Original');
+        }
+    }
+
+    describe({ targetType, item }) {
+        if (targetType === 'comment') return 'Comment';
+        return `${targetType === 'report' ? 'Report' : 'Feedback'} "${item.title || 'Untitled'}"`;
+    }
+
+    render() {
+        if (!this.listContainer) return;
+
+        const countBadge = this.container.querySelector('#moderationQueueCount');
+        if (countBadge) countBadge.textContent = `${this.entries.length} waiting`;
+
+        const entries = this.getFilteredEntries();
+        if (entries.length === 0) {
+            this.listContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-check-double"></i>
+                    <p>Nothing is waiting for review.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.listContainer.innerHTML = entries.map(entry => this.renderEntry(entry)).join('');
+    }
+
+    renderEntry({ targetType, item }) {
+        const escape = UTILS.validation.sanitizeHTML;
+        const moderation = item.moderation || {};
+        const appealed = this.queue.hasOpenAppeal(item);
+        const fields = this.queue.getEditableFields(targetType);
+        const body = targetType === 'report' ? item.description : item.content;
+
+        return `
+            <div class="report-item queue-item" data-target-type="${targetType}" data-target-id="${item.id}">
+                <div class="report-header">
+                    <h4>${targetType === 'comment' ? 'Comment' : escape(item.title || 'Untitled')}</h4>
+                    <div class="report-meta">
+                        <span class="badge badge-secondary">${targetType}</span>
+                        ${appealed ? '<span class="badge badge-info"><i class="fas fa-balance-scale"></i> Appeal</span>' : ''}
+                        <span class="badge badge-${(moderation.toxicityScore || 0) >= CONFIG.AI.MODERATION.MAX_TOXICITY ? 'danger' : 'warning'}">
+                            Toxicity ${typeof moderation.toxicityScore === 'number' ? moderation.toxicityScore.toFixed(2) : 'n/a'}
+                        </span>
+                        ${moderation.language ? `<span class="badge badge-secondary" title="Detected language"><i class="fas fa-language"></i> ${escape(moderation.language)}</span>` : ''}
+                        <span>${escape(item.author || 'Anonymous')}</span>
+                        <span>${UTILS.formatDate(item.timestamp || item.createdAt)}</span>
+                    </div>
+                </div>
+                <div class="report-content">${escape(body || '')}</div>
+                ${(moderation.issues || []).length > 0 ? `
+                    <ul class="queue-issues">
+                        ${moderation.issues.map(issue => `<li>${escape(issue)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${(item.redactions || []).length > 0 && typeof piiVault !== 'undefined' ? `
+                    <div class="queue-redactions">
+                        <small><i class="fas fa-user-secret"></i> Removed: ${piiDetector.describe(item.redactions)}</small>
+                        ${piiVault.canRead(this.options.getUser()) ? `
+                            <button type="button" class="btn-ghost queue-original-btn">
+                                <i class="fas fa-eye"></i> View original
+                            </button>
+                        ` : ''}
+                        <div class="queue-original"></div>
+                    </div>
+                ` : ''}
+                ${appealed ? `
+                    <div class="queue-appeal">
+                        <strong>Rejected by ${escape(item.review.by)}:</strong> ${escape(item.review.reason)}<br>
+                        <strong>Appeal from ${escape(item.appeal.filedBy)}:</strong> ${escape(item.appeal.reason)}
+                    </div>
+                ` : ''}
+                <details class="queue-edit">
+                    <summary><i class="fas fa-pen"></i> Edit before approving</summary>
+                    ${fields.map(field => field === 'title' ? `
+                        <input type="text" data-edit-field="title" value="${escape(item.title || '').replace(/"/g, '&quot;')}">
+                    ` : `
+                        <textarea data-edit-field="${field}" rows="4">${escape(item[field] || '')}</textarea>
+                    `).join('')}
+                    <button type="button" class="btn btn-secondary btn-sm" data-queue-action="edit_approve">
+                        <i class="fas fa-check"></i> Save and approve
+                    </button>
+                </details>
+                <div class="queue-actions">
+                    <input type="text" class="queue-reason" placeholder="${appealed ? 'Reason for the appeal decision' : 'Reason (required to reject)'}">
+                    <button type="button" class="btn btn-primary btn-sm" data-queue-action="approve">
+                        <i class="fas fa-check"></i> ${appealed ? 'Overturn and approve' : 'Approve'}
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-queue-action="reject">
+                        <i class="fas fa-ban"></i> ${appealed ? 'Uphold rejection' : 'Reject'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderAuditLog() {
+        if (!this.auditContainer) return;
+
+        const escape = UTILS.validation.sanitizeHTML;
+        const entries = this.queue.auditLog.getEntries().slice(-50).reverse();
+        const labels = {
+            approve: 'Approved',
+            reject: 'Rejected',
+            edit_approve: 'Edited and approved',
+            appeal: 'Appeal filed',
+            appeal_upheld: 'Appeal upheld',
+            appeal_overturned: 'Appeal overturned',
+            pii_access: 'Viewed redacted original'
+        };
+
+        this.auditContainer.innerHTML = entries.length === 0 ?
+            '<p class="audit-empty">No moderation decisions yet.</p>' :
+            entries.map(entry => `
+                <div class="audit-entry">
+                    <span class="audit-action">${labels[entry.action] || entry.action}</span>
+                    <span>${entry.targetType} ${escape(String(entry.targetId))}</span>
+                    <span>by ${escape(entry.actor)}</span>
+                    ${entry.reason ? `<span class="audit-reason">"${escape(entry.reason)}"</span>` : ''}
+                    <small title="${entry.hash}">${UTILS.formatDate(entry.at)}</small>
+                </div>
+            `).join('');
+    }
+
+    async verifyLog() {
+        const status = this.container.querySelector('#moderationAuditStatus');
+        const result = await this.queue.auditLog.verify();
+
+        if (status) {
+            status.className = `badge badge-${result.valid ? 'success' : 'danger'}`;
+            status.textContent = result.valid ?
+                `${result.total} entries verified` :
+                `Log altered at entry ${result.brokenAt + 1}`;
+        }
+    }
+}
+
+// Initialize moderation queue
+const moderationAuditLog = new ModerationAuditLog();
+const moderationQueue = new ModerationQueue(moderationAuditLog);
+
+// Export for global use
+window.ModerationQueueConsole = ModerationQueueConsole;
+window.moderationAuditLog = moderationAuditLog;
+window.moderationQueue = moderationQueue;
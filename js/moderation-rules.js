@@ -0,0 +1,668 @@
+// moderation-rules.js - Versioned moderation rule sets and the admin rules console
+
+class ModerationRuleStore {
+    constructor() {
+        this.settings = CONFIG.AI.MODERATION;
+    }
+
+    getStoredVersions() {
+        const data = UTILS.storage.get('moderation_rule_sets');
+        return Array.isArray(data) ? data : [];
+    }
+
+    // Published versions, oldest first; version 0 is the built-in set from CONFIG
+    getVersions() {
+        return [
+            {
+                version: 0,
+                rules: this.settings.LOCAL_RULES,
+                publishedAt: null,
+                publishedBy: 'system',
+                note: 'Built-in rules'
+            },
+            ...this.getStoredVersions()
+        ];
+    }
+
+    getPublished() {
+        const versions = this.getVersions();
+        return versions[versions.length - 1];
+    }
+
+    getActiveRules() {
+        return this.getPublished().rules;
+    }
+
+    getDraft() {
+        const data = UTILS.storage.get('moderation_rules_draft');
+        return Array.isArray(data) ? data : null;
+    }
+
+    // The draft if there is one, otherwise a copy of the published rules
+    getWorkingRules() {
+        return this.getDraft() || this.getActiveRules().map(rule => ({ ...rule, allow: [...(rule.allow || [])] }));
+    }
+
+    saveDraft(rules) {
+        UTILS.storage.set('moderation_rules_draft', rules);
+    }
+
+    discardDraft() {
+        UTILS.storage.remove('moderation_rules_draft');
+    }
+
+    normalizeRule(rule) {
+        const category = rule.category || 'other';
+        const allow = Array.isArray(rule.allow) ? rule.allow : String(rule.allow || '').split(/[\n,]/);
+
+        return {
+            id: rule.id || UTILS.generateId(),
+            pattern: String(rule.pattern || '').trim(),
+            flags: rule.flags === undefined ? 'i' : rule.flags,
+            weight: Number(rule.weight),
+            category: category,
+            message: String(rule.message || '').trim() || `Matches ${category} rule`,
+            suggestion: String(rule.suggestion || '').trim(),
+            allow: allow.map(phrase => phrase.trim()).filter(Boolean),
+            language: rule.language || ''
+        };
+    }
+
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule.pattern) {
+            errors.push('Pattern is required');
+        } else {
+            try {
+                if (LocalRulesModerationProvider.compile(rule).test('')) {
+                    errors.push('Pattern must not match empty text');
+                }
+            } catch (error) {
+                errors.push(`Pattern is not a valid regular expression: ${error.message}`);
+            }
+        }
+
+        if (!Number.isFinite(rule.weight) || rule.weight < 0 || rule.weight > 1) {
+            errors.push('Weight must be between 0 and 1');
+        }
+
+        if (!this.settings.RULE_CATEGORIES.includes(rule.category)) {
+            errors.push(`Unknown category "${rule.category}"`);
+        }
+
+        if (rule.language && typeof languagePacks !== 'undefined' &&
+            !languagePacks.getPacks().some(pack => pack.code === rule.language)) {
+            errors.push(`No language pack for "${rule.language}"`);
+        }
+
+        return errors;
+    }
+
+    // Adds or replaces a rule in the draft
+    upsertRule(input) {
+        const rule = this.normalizeRule(input);
+        const errors = this.validateRule(rule);
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+
+        const rules = this.getWorkingRules();
+        const index = rules.findIndex(r => r.id === rule.id);
+        if (index >= 0) {
+            rules[index] = rule;
+        } else {
+            rules.push(rule);
+        }
+
+        this.saveDraft(rules);
+        return rule;
+    }
+
+    removeRule(ruleId) {
+        this.saveDraft(this.getWorkingRules().filter(rule => rule.id !== ruleId));
+    }
+
+    async publish({ author, note } = {}) {
+        const draft = this.getDraft();
+        if (!draft) {
+            throw new Error('There are no draft changes to publish');
+        }
+
+        const invalid = draft.find(rule => this.validateRule(rule).length > 0);
+        if (invalid) {
+            throw new Error(`Rule "${invalid.pattern}" is invalid: ${this.validateRule(invalid).join('. ')}`);
+        }
+
+        const ruleSet = {
+            version: this.getPublished().version + 1,
+            rules: draft,
+            publishedAt: Date.now(),
+            publishedBy: author || 'admin',
+            note: note || ''
+        };
+
+        UTILS.storage.set('moderation_rule_sets', [...this.getStoredVersions(), ruleSet]);
+        this.discardDraft();
+        this.apply();
+        console.log('📜 Published moderation rule set v' + ruleSet.version);
+
+        try {
+            await api.publishModerationRules(ruleSet);
+        } catch (error) {
+            console.warn('⚠️ Rule set saved locally, server sync failed:', error);
+        }
+
+        return ruleSet;
+    }
+
+    // Publishes an older version again as the newest one
+    async rollback(version, author) {
+        const target = this.getVersions().find(v => v.version === version);
+        if (!target) {
+            throw new Error(`Rule set v${version} not found`);
+        }
+
+        this.saveDraft(target.rules);
+        return await this.publish({ author, note: `Rolled back to v${version}` });
+    }
+
+    // Picks up rule sets published on the server since the last load
+    async load() {
+        if (typeof api === 'undefined') return;
+
+        try {
+            const response = await api.getModerationRules();
+            const remote = response?.data?.ruleSets || [];
+            const latest = this.getPublished().version;
+            const newer = remote.filter(ruleSet => ruleSet.version > latest).sort((a, b) => a.version - b.version);
+
+            if (newer.length > 0) {
+                UTILS.storage.set('moderation_rule_sets', [...this.getStoredVersions(), ...newer]);
+                this.apply();
+                console.log('📜 Loaded moderation rule set v' + this.getPublished().version);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load moderation rules, using stored rules:', error);
+        }
+    }
+
+    // Rebuilds the live moderation provider with the published rules
+    apply() {
+        if (typeof moderationSystem !== 'undefined' && moderationSystem) {
+            moderationSystem.setProvider(moderationProviders.create(this.settings));
+        }
+    }
+
+    // Local providers from the configured chain, the HTTP vendor never sees rule sets
+    getLocalProviderNames() {
+        const names = Array.isArray(this.settings.PROVIDER) ? this.settings.PROVIDER : [this.settings.PROVIDER];
+        const local = names.filter(name => name === 'keyword' || name === 'rules');
+        return local.length > 0 ? local : ['keyword'];
+    }
+
+    // Runs published and proposed rules over past feedback without publishing anything.
+    // ruleId limits the reported matches to one proposed rule.
+    async dryRun(proposedRules, options = {}) {
+        const items = options.items || UTILS.storage.getFeedbacks();
+        const focus = options.ruleId ? proposedRules.filter(rule => rule.id === options.ruleId) : proposedRules;
+        const settings = { ...this.settings, PROVIDER: this.getLocalProviderNames(), CHAIN_MODE: 'all' };
+        const current = moderationProviders.create(settings, this.getActiveRules());
+        const proposed = moderationProviders.create(settings, proposedRules);
+
+        const result = {
+            total: items.length,
+            matches: [],
+            newlyFlagged: [],
+            newlyApproved: []
+        };
+
+        for (const item of items) {
+            const text = `${item.title || ''}\n${item.content || ''}`;
+            const hits = focus.flatMap(rule =>
+                LocalRulesModerationProvider.findMatches(rule, text).map(match => ({ ...match, ruleId: rule.id }))
+            );
+            if (hits.length > 0) {
+                result.matches.push({ item, text, hits });
+            }
+
+            const language = typeof languagePacks !== 'undefined' ? languagePacks.detect(text).code : null;
+            const [before, after] = await Promise.all([
+                current.moderate(text, 'feedback', language),
+                proposed.moderate(text, 'feedback', language)
+            ]);
+            if (before.approved && !after.approved) {
+                result.newlyFlagged.push({ item, issues: after.issues });
+            } else if (!before.approved && after.approved) {
+                result.newlyApproved.push({ item });
+            }
+        }
+
+        console.log('🧪 Rule dry run:', result.matches.length, 'of', result.total, 'feedback items matched');
+        return result;
+    }
+}
+
+class ModerationRulesConsole {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            getUser: options.getUser || (() => null),
+            ...options
+        };
+        this.store = options.store || moderationRules;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.listContainer = this.container.querySelector('#rulesList');
+        this.form = this.container.querySelector('#ruleForm');
+        this.resultsContainer = this.container.querySelector('#rulesDryRunResults');
+
+        const categorySelect = this.container.querySelector('#ruleCategory');
+        if (categorySelect) {
+            categorySelect.innerHTML = CONFIG.AI.MODERATION.RULE_CATEGORIES
+                .map(category => `<option value="${category}">${category}</option>`)
+                .join('');
+        }
+
+        this.setupForm();
+        this.setupActions();
+        this.setupRoster();
+        this.setupLanguagePacks();
+
+        console.log('📜 Moderation rules console initialized');
+    }
+
+    setupForm() {
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                const rule = this.store.upsertRule(this.readForm());
+                showNotification(`Rule "${rule.pattern}" saved to the draft`, 'success');
+                this.resetForm();
+                this.render();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+
+        this.container.querySelector('#ruleFormReset')?.addEventListener('click', () => this.resetForm());
+        this.container.querySelector('#ruleDryRunBtn')?.addEventListener('click', () => this.dryRunForm());
+    }
+
+    setupActions() {
+        this.container.querySelector('#rulesDryRunAllBtn')?.addEventListener('click', () => {
+            this.runDryRun(this.store.getWorkingRules());
+        });
+        this.container.querySelector('#rulesPublishBtn')?.addEventListener('click', () => this.publish());
+        this.container.querySelector('#rulesDiscardBtn')?.addEventListener('click', () => {
+            if (!confirm('Discard all unpublished rule changes?')) return;
+            this.store.discardDraft();
+            this.render();
+        });
+        this.container.querySelector('#rulesRollbackBtn')?.addEventListener('click', () => this.rollback());
+
+        if (this.listContainer) {
+            this.listContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-rule-action]');
+                if (!button) return;
+
+                const rule = this.store.getWorkingRules().find(r => r.id === button.dataset.ruleId);
+                if (!rule) return;
+
+                if (button.dataset.ruleAction === 'edit') {
+                    this.fillForm(rule);
+                } else if (button.dataset.ruleAction === 'delete' && confirm(`Remove rule "${rule.pattern}" from the draft?`)) {
+                    this.store.removeRule(rule.id);
+                    this.render();
+                }
+            });
+        }
+    }
+
+    // Names the PII detector redacts on top of CONFIG.PRIVACY.PII.ROSTER
+    setupRoster() {
+        const field = this.container.querySelector('#piiRoster');
+        const saveBtn = this.container.querySelector('#piiRosterSaveBtn');
+        if (!field || !saveBtn || typeof piiDetector === 'undefined') return;
+
+        saveBtn.addEventListener('click', () => {
+            const names = piiDetector.setRoster(field.value.split('\n'));
+            field.value = names.join('\n');
+            showNotification(`Roster saved with ${names.length} additional name${names.length === 1 ? '' : 's'}`, 'success');
+        });
+    }
+
+    // Installing a pack from JSON, pasted or picked from a file, needs no code change
+    setupLanguagePacks() {
+        this.packsContainer = this.container.querySelector('#languagePacksList');
+        const field = this.container.querySelector('#languagePackJson');
+        const fileInput = this.container.querySelector('#languagePackFile');
+        if (typeof languagePacks === 'undefined') return;
+
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (file && field) field.value = await file.text();
+        });
+
+        this.container.querySelector('#languagePackInstallBtn')?.addEventListener('click', async () => {
+            try {
+                const pack = await languagePacks.install(field ? field.value : '', this.options.getUser()?.name);
+                if (field) field.value = '';
+                if (fileInput) fileInput.value = '';
+                showNotification(`Language pack "${pack.name}" installed`, 'success');
+                this.render();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+
+        this.packsContainer?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-pack-action]');
+            if (!button) return;
+
+            const code = button.dataset.packCode;
+            if (button.dataset.packAction === 'export') {
+                if (field) field.value = JSON.stringify(languagePacks.getPack(code), null, 2);
+                return;
+            }
+
+            if (!confirm(`Remove the "${code}" language pack?`)) return;
+            try {
+                await languagePacks.remove(code);
+                showNotification(`Language pack "${code}" removed`, 'success');
+                this.render();
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    load() {
+        const rosterField = this.container.querySelector('#piiRoster');
+        if (rosterField && typeof piiDetector !== 'undefined') {
+            rosterField.value = piiDetector.getCustomRoster().join('\n');
+        }
+        this.render();
+    }
+
+    readForm() {
+        const value = (id) => this.container.querySelector(`#${id}`)?.value || '';
+
+        return {
+            id: value('ruleId') || undefined,
+            pattern: value('rulePattern'),
+            flags: this.container.querySelector('#ruleCaseSensitive')?.checked ? '' : 'i',
+            weight: parseFloat(value('ruleWeight')),
+            category: value('ruleCategory'),
+            message: value('ruleMessage'),
+            suggestion: value('ruleSuggestion'),
+            allow: value('ruleAllow'),
+            language: value('ruleLanguage')
+        };
+    }
+
+    fillForm(rule) {
+        const set = (id, value) => {
+            const field = this.container.querySelector(`#${id}`);
+            if (field) field.value = value;
+        };
+
+        set('ruleId', rule.id);
+        set('rulePattern', rule.pattern);
+        set('ruleWeight', rule.weight);
+        set('ruleCategory', rule.category);
+        set('ruleMessage', rule.message || '');
+        set('ruleSuggestion', rule.suggestion || '');
+        set('ruleAllow', (rule.allow || []).join('\n'));
+        set('ruleLanguage', rule.language || '');
+
+        const caseSensitive = this.container.querySelector('#ruleCaseSensitive');
+        if (caseSensitive) caseSensitive.checked = rule.flags !== undefined && !rule.flags.includes('i');
+
+        this.form?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    resetForm() {
+        if (!this.form) return;
+        this.form.reset();
+        const idField = this.container.querySelector('#ruleId');
+        if (idField) idField.value = '';
+    }
+
+    // Dry-runs the rule in the form against the draft without saving it
+    async dryRunForm() {
+        const rule = this.store.normalizeRule(this.readForm());
+        const errors = this.store.validateRule(rule);
+        if (errors.length > 0) {
+            showNotification(errors.join('. '), 'error');
+            return;
+        }
+
+        const rules = this.store.getWorkingRules().filter(r => r.id !== rule.id);
+        await this.runDryRun([...rules, rule], rule.id);
+    }
+
+    async runDryRun(rules, ruleId = null) {
+        if (!this.resultsContainer) return;
+
+        this.resultsContainer.innerHTML = `
+            <div class="loading-placeholder">
+                <i class="fas fa-spinner fa-spin"></i>
+                Running rules over past feedback...
+            </div>
+        `;
+
+        try {
+            const result = await this.store.dryRun(rules, { ruleId });
+            this.renderDryRun(result, ruleId ? rules.find(r => r.id === ruleId) : null);
+        } catch (error) {
+            UTILS.handleError(error, 'Moderation Rules Dry Run');
+            this.resultsContainer.innerHTML = '';
+        }
+    }
+
+    async publish() {
+        const noteField = this.container.querySelector('#rulesPublishNote');
+        const user = this.options.getUser();
+
+        try {
+            const ruleSet = await this.store.publish({ author: user?.name, note: noteField ? noteField.value.trim() : '' });
+            if (noteField) noteField.value = '';
+            showNotification(`Rule set v${ruleSet.version} is now live`, 'success');
+            this.render();
+        } catch (error) {
+            UTILS.handleError(error, 'Moderation Rules');
+        }
+    }
+
+    async rollback() {
+        const select = this.container.querySelector('#rulesVersionSelect');
+        const version = select ? parseInt(select.value, 10) : NaN;
+        if (Number.isNaN(version)) return;
+
+        if (this.store.getDraft() && !confirm('Rolling back replaces your unpublished draft. Continue?')) return;
+
+        try {
+            const ruleSet = await this.store.rollback(version, this.options.getUser()?.name);
+            showNotification(`Rolled back to v${version} (published as v${ruleSet.version})`, 'success');
+            this.render();
+        } catch (error) {
+            UTILS.handleError(error, 'Moderation Rules');
+        }
+    }
+
+    render() {
+        const published = this.store.getPublished();
+        const draft = this.store.getDraft();
+        const rules = this.store.getWorkingRules();
+
+        const versionInfo = this.container.querySelector('#rulesVersionInfo');
+        if (versionInfo) {
+            versionInfo.innerHTML = `
+                <span class="badge badge-success">Live: v${published.version}</span>
+                ${draft ? '<span class="badge badge-warning">Unpublished draft</span>' : ''}
+                <span class="rules-version-meta">
+                    ${published.publishedAt ? `Published ${UTILS.formatDate(published.publishedAt)} by ${UTILS.validation.sanitizeHTML(published.publishedBy)}` : 'Built-in rules'}
+                </span>
+            `;
+        }
+
+        const versionSelect = this.container.querySelector('#rulesVersionSelect');
+        if (versionSelect) {
+            versionSelect.innerHTML = this.store.getVersions().slice().reverse().map(v => `
+                <option value="${v.version}" ${v.version === published.version ? 'disabled' : ''}>
+                    v${v.version}${v.note ? ` - ${UTILS.validation.sanitizeHTML(v.note)}` : ''} (${v.rules.length} rules)
+                </option>
+            `).join('');
+        }
+
+        this.renderLanguagePacks();
+
+        ['#rulesPublishBtn', '#rulesDiscardBtn'].forEach(selector => {
+            const button = this.container.querySelector(selector);
+            if (button) button.disabled = !draft;
+        });
+
+        if (!this.listContainer) return;
+
+        if (rules.length === 0) {
+            this.listContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-list"></i>
+                    <p>No moderation rules. Add one below.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.listContainer.innerHTML = rules.map(rule => this.renderRule(rule)).join('');
+    }
+
+    renderRule(rule) {
+        const escape = UTILS.validation.sanitizeHTML;
+        const allow = rule.allow || [];
+
+        return `
+            <div class="rule-item">
+                <div class="rule-main">
+                    <span class="badge badge-info">${escape(rule.category || 'other')}</span>
+                    ${rule.language ? `<span class="badge badge-secondary">${escape(rule.language)}</span>` : ''}
+                    <code class="rule-pattern">${escape(rule.pattern)}</code>
+                    <span class="rule-weight">+${rule.weight}</span>
+                </div>
+                <div class="rule-details">
+                    <span>${escape(rule.message || '')}</span>
+                    ${rule.suggestion ? `<span class="rule-suggestion"><i class="fas fa-lightbulb"></i> ${escape(rule.suggestion)}</span>` : ''}
+                    ${allow.length > 0 ? `<span class="rule-allow">Allowed: ${allow.map(escape).join(', ')}</span>` : ''}
+                </div>
+                <div class="rule-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-rule-action="edit" data-rule-id="${rule.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-rule-action="delete" data-rule-id="${rule.id}">
+                        <i class="fas fa-trash"></i> Remove
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderLanguagePacks() {
+        if (typeof languagePacks === 'undefined') return;
+
+        const escape = UTILS.validation.sanitizeHTML;
+        const packs = languagePacks.getPacks();
+
+        const languageSelect = this.container.querySelector('#ruleLanguage');
+        if (languageSelect) {
+            const selected = languageSelect.value;
+            languageSelect.innerHTML = `
+                <option value="">All languages</option>
+                ${packs.map(pack => `<option value="${escape(pack.code)}">${escape(pack.name)} (${escape(pack.code)})</option>`).join('')}
+            `;
+            languageSelect.value = packs.some(pack => pack.code === selected) ? selected : '';
+        }
+
+        if (!this.packsContainer) return;
+
+        this.packsContainer.innerHTML = packs.map(pack => `
+            <div class="rule-item">
+                <div class="rule-main">
+                    <span class="badge ${pack.builtIn ? 'badge-secondary' : 'badge-success'}">${pack.builtIn ? 'Built in' : 'Installed'}</span>
+                    <strong>${escape(pack.name)}</strong>
+                    <code>${escape(pack.code)}</code>
+                </div>
+                <div class="rule-details">
+                    <span>${pack.stopwords.length} stopwords</span>
+                    <span>${pack.sentiment.positive.length} positive / ${pack.sentiment.negative.length} negative words</span>
+                    <span>${(pack.rules || []).length} rules</span>
+                    ${pack.installedBy ? `<span>Installed by ${escape(pack.installedBy)}</span>` : ''}
+                </div>
+                <div class="rule-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-pack-action="export" data-pack-code="${escape(pack.code)}">
+                        <i class="fas fa-file-export"></i> Edit JSON
+                    </button>
+                    ${pack.builtIn ? '' : `
+                        <button type="button" class="btn btn-secondary btn-sm" data-pack-action="remove" data-pack-code="${escape(pack.code)}">
+                            <i class="fas fa-trash"></i> Remove
+                        </button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderDryRun(result, rule) {
+        const flaggedIds = new Set(result.newlyFlagged.map(entry => entry.item.id));
+
+        this.resultsContainer.innerHTML = `
+            <div class="dry-run-summary">
+                <h4>${rule ? `Dry run for <code>${UTILS.validation.sanitizeHTML(rule.pattern)}</code>` : 'Dry run for the draft rule set'}</h4>
+                <p>
+                    Matches <strong>${result.matches.length}</strong> of ${result.total} feedback items.
+                    <strong>${result.newlyFlagged.length}</strong> would now be held for review,
+                    <strong>${result.newlyApproved.length}</strong> would now be approved.
+                </p>
+            </div>
+            ${result.matches.slice(0, 20).map(match => `
+                <div class="dry-run-match">
+                    <div class="dry-run-match-header">
+                        <strong>${UTILS.validation.sanitizeHTML(match.item.title || 'Untitled')}</strong>
+                        ${flaggedIds.has(match.item.id) ? '<span class="badge badge-warning">Would be held</span>' : ''}
+                    </div>
+                    <p>${this.highlightMatches(match.text, match.hits)}</p>
+                </div>
+            `).join('')}
+            ${result.matches.length > 20 ? `<p class="dry-run-more">and ${result.matches.length - 20} more</p>` : ''}
+        `;
+    }
+
+    // Escapes the text and marks the matched spans
+    highlightMatches(text, hits) {
+        const escape = UTILS.validation.sanitizeHTML;
+        const spans = hits.slice().sort((a, b) => a.start - b.start);
+        let html = '';
+        let position = 0;
+
+        spans.forEach(({ start, end }) => {
+            if (start < position) return;
+            html += escape(text.slice(position, start)) + `<mark>${escape(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + escape(text.slice(position));
+    }
+}
+
+// Initialize rule store
+const moderationRules = new ModerationRuleStore();
+
+// Export for global use
+window.ModerationRulesConsole = ModerationRulesConsole;
+window.moderationRules = moderationRules;
@@ -1,9 +1,10 @@
 // moderation.js - AI Content Moderation System
 
 class ModerationSystem {
-    constructor() {
+    constructor(options = {}) {
         this.enabled = CONFIG.AI.MODERATION.ENABLED;
         this.toxicityThreshold = CONFIG.AI.MODERATION.MAX_TOXICITY;
+        this.provider = options.provider || moderationProviders.create(CONFIG.AI.MODERATION);
         this.cache = new Map();
         this.init();
     }
@@ -11,6 +12,14 @@ class ModerationSystem {
     init() {
         console.log('🤖 AI Moderation System initialized');
         console.log('🛡️ Toxicity threshold:', this.toxicityThreshold);
+        console.log('🔌 Moderation provider:', this.provider.name);
+    }
+
+    // Swap the provider at runtime, cached verdicts came from the old one
+    setProvider(provider) {
+        this.provider = provider;
+        this.clearCache();
+        console.log('🔌 Moderation provider:', provider.name);
     }
 
     async moderateContent(content, type = 'text') {
@@ -32,8 +41,27 @@ class ModerationSystem {
 
             console.log('🔍 Moderating content:', content.substring(0, 50) + '...');
 
-            // Simulate AI moderation (in production, you'd call a real AI service)
-            const result = await this.simulateModeration(content, type);
+            const language = this.detectLanguage(content);
+            const result = await this.provider.moderate(content, type, language.code);
+            result.language = language.code;
+            result.languageConfidence = language.confidence;
+            result.suggestions = [...new Set([
+                ...result.suggestions,
+                ...this.generateSuggestions(content, result.issues)
+            ])];
+            result.spans = (result.spans || []).map(span => ({
+                ...span,
+                fix: this.generateFix(span)
+            }));
+
+            console.log('🤖 Moderation result:', {
+                provider: result.provider,
+                language: result.language,
+                approved: result.approved,
+                confidence: result.confidence,
+                toxicityScore: result.toxicityScore,
+                sentiment: result.sentiment
+            });
 
             // Cache the result
             this.cache.set(cacheKey, result);
@@ -54,116 +82,17 @@ class ModerationSystem {
                 approved: true,
                 confidence: 0.5,
                 reason: 'Moderation service unavailable',
+                language: this.detectLanguage(content).code,
                 error: error.message
             };
         }
     }
 
-    async simulateModeration(content, type) {
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 1000));
-
-        // Basic keyword-based content filtering
-        const bannedWords = [
-            'spam', 'scam', 'fake', 'hate', 'offensive',
-            'inappropriate', 'violent', 'harassment'
-        ];
-
-        const suspiciousPatterns = [
-            /(.)\1{10,}/, // Repeated characters
-            /[A-Z]{20,}/, // All caps long text
-            /@\w+\.(com|net|org)/g, // Email patterns
-            /https?:\/\/\S+/g, // URL patterns
-            /\d{10,}/, // Long numbers (phone numbers)
-        ];
-
-        let toxicityScore = 0;
-        const issues = [];
-
-        // Check for banned words
-        const lowerContent = content.toLowerCase();
-        bannedWords.forEach(word => {
-            if (lowerContent.includes(word)) {
-                toxicityScore += 0.3;
-                issues.push(`Contains potentially harmful word: "${word}"`);
-            }
-        });
-
-        // Check for suspicious patterns
-        suspiciousPatterns.forEach((pattern, index) => {
-            if (pattern.test(content)) {
-                toxicityScore += 0.2;
-                switch (index) {
-                    case 0:
-                        issues.push('Contains excessive repeated characters');
-                        break;
-                    case 1:
-                        issues.push('Contains excessive capital letters');
-                        break;
-                    case 2:
-                        issues.push('Contains email addresses');
-                        break;
-                    case 3:
-                        issues.push('Contains URLs');
-                        break;
-                    case 4:
-                        issues.push('Contains phone numbers');
-                        break;
-                }
-            }
-        });
-
-        // Check content length and structure
-        if (content.length < 5) {
-            toxicityScore += 0.1;
-            issues.push('Content is too short');
-        }
-
-        if (content.split(' ').length < 3) {
-            toxicityScore += 0.1;
-            issues.push('Content lacks proper structure');
+    detectLanguage(content) {
+        if (typeof languagePacks === 'undefined') {
+            return { code: CONFIG.AI.LANGUAGES.DEFAULT, confidence: 0, reliable: false };
         }
-
-        // Simulate sentiment analysis
-        const positiveWords = ['good', 'great', 'excellent', 'amazing', 'helpful', 'useful', 'love', 'like'];
-        const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'horrible', 'worst', 'disgusting'];
-
-        let sentimentScore = 0;
-        positiveWords.forEach(word => {
-            if (lowerContent.includes(word)) sentimentScore += 0.1;
-        });
-        negativeWords.forEach(word => {
-            if (lowerContent.includes(word)) sentimentScore -= 0.1;
-        });
-
-        // Adjust toxicity based on sentiment (very negative content gets higher toxicity)
-        if (sentimentScore < -0.3) {
-            toxicityScore += 0.2;
-            issues.push('Content has very negative sentiment');
-        }
-
-        // Determine if content should be approved
-        const approved = toxicityScore < this.toxicityThreshold;
-        const confidence = Math.max(0, Math.min(1, 1 - toxicityScore));
-
-        const result = {
-            approved: approved,
-            confidence: confidence,
-            toxicityScore: Math.round(toxicityScore * 100) / 100,
-            issues: issues,
-            sentiment: sentimentScore > 0 ? 'positive' : sentimentScore < 0 ? 'negative' : 'neutral',
-            reason: approved ? 'Content approved' : 'Content flagged for review',
-            suggestions: this.generateSuggestions(content, issues)
-        };
-
-        console.log('🤖 Moderation result:', {
-            approved: result.approved,
-            confidence: result.confidence,
-            toxicityScore: result.toxicityScore,
-            sentiment: result.sentiment
-        });
-
-        return result;
+        return languagePacks.detect(content);
     }
 
     generateSuggestions(content, issues) {
@@ -192,6 +121,24 @@ class ModerationSystem {
         return suggestions;
     }
 
+    // One-click fix for a flagged span, labelled with the matching suggestion
+    generateFix(span) {
+        const label = this.generateSuggestions(span.text, [span.issue])[0] || span.suggestion;
+        if (!label) return null;
+
+        let replacement = '';
+        if (span.issue.includes('repeated')) {
+            replacement = span.text.replace(/(.)\1+/g, '$1');
+        } else if (span.issue.includes('capital')) {
+            replacement = span.text.charAt(0) + span.text.slice(1).toLowerCase();
+        } else if (span.category === 'threat') {
+            // Rewording a threat is not a one-click job
+            return null;
+        }
+
+        return { label: label, replacement: replacement };
+    }
+
     generateCacheKey(content) {
         // Simple hash function for caching
         let hash = 0;
@@ -219,6 +166,7 @@ class ModerationSystem {
                         <ul>
                             ${result.issues.map(issue => `<li>${issue}</li>`).join('')}
                         </ul>
+                        ${this.renderSpans(result.spans)}
                         ${result.suggestions.length > 0 ? `
                             <p><strong>Suggestions:</strong></p>
                             <ul>
@@ -251,6 +199,24 @@ class ModerationSystem {
         }
     }
 
+    // Flagged passages with their character offsets
+    renderSpans(spans = []) {
+        if (spans.length === 0) return '';
+
+        const escape = UTILS.validation.sanitizeHTML;
+        return `
+            <p><strong>Flagged text:</strong></p>
+            <ul class="moderation-spans">
+                ${spans.map(span => `
+                    <li>
+                        <mark class="highlight-mark highlight-${span.category || 'other'}">${escape(span.text)}</mark>
+                        <small>characters ${span.start + 1}–${span.end}: ${escape(span.issue)}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
     clearModerationDisplay(containerId) {
         const container = document.getElementById(containerId);
         if (container) {
@@ -290,12 +256,28 @@ class ModerationSystem {
         };
     }
 
+    // Moderation details kept on a submitted record
+    static toRecord(result) {
+        return {
+            approved: !!result.approved,
+            toxicityScore: typeof result.toxicityScore === 'number' ? result.toxicityScore : null,
+            confidence: result.confidence,
+            sentiment: result.sentiment || 'neutral',
+            issues: result.issues || [],
+            reason: result.reason || '',
+            provider: result.provider || null,
+            language: result.language || null,
+            checkedAt: Date.now()
+        };
+    }
+
     // Get moderation statistics
     getStats() {
         return {
             cacheSize: this.cache.size,
             enabled: this.enabled,
-            threshold: this.toxicityThreshold
+            threshold: this.toxicityThreshold,
+            provider: this.provider.name
         };
     }
 
@@ -0,0 +1,212 @@
+// pii.js - Personal information detection, redaction and the restricted store for originals
+
+class PIIDetector {
+    constructor() {
+        this.settings = CONFIG.PRIVACY.PII;
+    }
+
+    // Configured roster plus names admins added at runtime
+    getRoster() {
+        const stored = UTILS.storage.get('pii_roster');
+        return [...new Set([...this.settings.ROSTER, ...(Array.isArray(stored) ? stored : [])])];
+    }
+
+    getCustomRoster() {
+        const stored = UTILS.storage.get('pii_roster');
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    setRoster(names) {
+        const cleaned = [...new Set(names.map(name => name.trim().replace(/\s+/g, ' ')).filter(name => name.length > 1))];
+        UTILS.storage.set('pii_roster', cleaned);
+        return cleaned;
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Full names, plus "Dr. Surname" style references
+    getNamePatterns() {
+        const titles = this.settings.TITLES.map(PIIDetector.escapeRegExp).join('|');
+
+        return this.getRoster().flatMap(name => {
+            const parts = name.split(' ').map(PIIDetector.escapeRegExp);
+            const patterns = [new RegExp(`\\b${parts.join('\\s+')}\\b`, 'gi')];
+            if (parts.length > 1) {
+                patterns.push(new RegExp(`\\b(?:${titles})\\.?\\s+${parts[parts.length - 1]}\\b`, 'gi'));
+            }
+            return patterns;
+        });
+    }
+
+    // Non-overlapping matches in text order
+    detect(text) {
+        if (!this.settings.ENABLED || !text) return [];
+
+        const found = [];
+        Object.entries(this.settings.TYPES).forEach(([type, definition]) => {
+            const patterns = type === 'name' ?
+                this.getNamePatterns() :
+                [new RegExp(definition.pattern, 'gi')];
+
+            patterns.forEach(regex => {
+                let match;
+                while ((match = regex.exec(text)) !== null) {
+                    const start = match.index;
+                    const end = start + match[0].length;
+                    if (!found.some(f => start < f.end && end > f.start)) {
+                        found.push({ type, start, end, text: match[0] });
+                    }
+                }
+            });
+        });
+
+        return found.sort((a, b) => a.start - b.start);
+    }
+
+    redact(text) {
+        const matches = this.detect(text);
+        let redacted = '';
+        let position = 0;
+
+        matches.forEach(match => {
+            redacted += text.slice(position, match.start) + this.settings.TYPES[match.type].replacement;
+            position = match.end;
+        });
+
+        return {
+            text: redacted + text.slice(position),
+            matches: matches,
+            redacted: matches.length > 0
+        };
+    }
+
+    // Redacts several fields of a submission; originals holds only the fields that changed
+    redactFields(data, fields) {
+        const redacted = { ...data };
+        const originals = {};
+        const matches = [];
+
+        fields.forEach(field => {
+            if (typeof data[field] !== 'string') return;
+            const result = this.redact(data[field]);
+            if (result.redacted) {
+                redacted[field] = result.text;
+                originals[field] = data[field];
+                matches.push(...result.matches.map(match => ({ ...match, field })));
+            }
+        });
+
+        return {
+            data: redacted,
+            originals: originals,
+            matches: matches,
+            summary: this.summarize(matches),
+            redacted: matches.length > 0
+        };
+    }
+
+    // Maps an offset in redacted text back to the original, null inside a replacement
+    toOriginalOffset(matches, offset) {
+        let delta = 0;
+        for (const match of matches) {
+            const start = match.start + delta;
+            const end = start + this.settings.TYPES[match.type].replacement.length;
+            if (offset < start) break;
+            if (offset < end) return null;
+            delta += end - start - (match.end - match.start);
+        }
+        return offset - delta;
+    }
+
+    // Counts per type, stored on the item so nobody needs the original to know what was removed
+    summarize(matches) {
+        const counts = {};
+        matches.forEach(match => {
+            counts[match.type] = (counts[match.type] || 0) + 1;
+        });
+        return Object.entries(counts).map(([type, count]) => ({ type, count }));
+    }
+
+    describe(summary) {
+        return summary
+            .map(({ type, count }) => `${count} × ${this.settings.TYPES[type]?.label || type}`)
+            .join(', ');
+    }
+
+    // Escaped preview with the redacted spans shown as removed
+    renderPreview(text) {
+        const escape = UTILS.validation.sanitizeHTML;
+        const matches = this.detect(text);
+        let html = '';
+        let position = 0;
+
+        matches.forEach(match => {
+            html += escape(text.slice(position, match.start)) +
+                `<del title="${this.settings.TYPES[match.type].label}">${escape(match.text)}</del>` +
+                `<ins>${escape(this.settings.TYPES[match.type].replacement)}</ins>`;
+            position = match.end;
+        });
+
+        return html + escape(text.slice(position));
+    }
+}
+
+// Originals of redacted submissions live only behind the privacy endpoint
+class PIIVault {
+    canRead(user) {
+        return !!user && CONFIG.PRIVACY.PII.ORIGINALS_ROLES.includes(user.role);
+    }
+
+    async store(targetType, targetId, originals, authorId = null) {
+        if (!targetId || Object.keys(originals).length === 0) return;
+
+        try {
+            await api.storeRedactedOriginal({
+                targetType: targetType,
+                targetId: targetId,
+                fields: originals,
+                authorId: authorId,
+                storedAt: Date.now()
+            });
+        } catch (error) {
+            // Never fall back to storing the original somewhere less restricted
+            console.warn('⚠️ Could not store redacted original:', error);
+        }
+    }
+
+    // Every read goes into the moderation audit log
+    async read(targetType, targetId, user) {
+        if (!this.canRead(user)) {
+            throw new Error('Only administrators can view unredacted content');
+        }
+
+        const response = await api.getRedactedOriginal(targetType, targetId);
+        const record = response?.data?.original;
+        if (!record) {
+            throw new Error('No original is stored for this item');
+        }
+
+        if (typeof moderationAuditLog !== 'undefined') {
+            await moderationAuditLog.append({
+                action: 'pii_access',
+                targetType: targetType,
+                targetId: targetId,
+                actor: user.name,
+                actorId: user.id,
+                changes: Object.keys(record.fields || {})
+            });
+        }
+
+        return record;
+    }
+}
+
+// Initialize PII detection
+const piiDetector = new PIIDetector();
+const piiVault = new PIIVault();
+
+// Export for global use
+window.piiDetector = piiDetector;
+window.piiVault = piiVault;
@@ -0,0 +1,147 @@
+// quality.js - Contribution quality scoring for reward bonuses
+
+// am and pm only count after a clock time, "I am" is not a detail
+const TIME_WORDS = /(?<![\p{L}])(?:morning|afternoon|evening|night|today|yesterday|weekend|monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d{1,2}(?::\d{2})?\s?(?:am|pm))(?![\p{L}])/giu;
+
+class QualityScorer {
+    constructor() {
+        this.settings = CONFIG.BLOCKCHAIN.REWARDS.QUALITY;
+    }
+
+    static words(text) {
+        return (text || '').match(/[\p{L}\p{N}']+/gu) || [];
+    }
+
+    getText(submission) {
+        return {
+            title: submission.title || '',
+            body: submission.content || submission.description || ''
+        };
+    }
+
+    // Share of basic writing checks passed: a real title, more than one sentence, no shouting
+    // or character spam, and a rating for feedback
+    scoreStructure(submission, type) {
+        const { title, body } = this.getText(submission);
+        const letters = body.match(/\p{L}/gu) || [];
+        const capitals = body.match(/\p{Lu}/gu) || [];
+        const checks = [
+            QualityScorer.words(title).length >= 3,
+            body.split(/[.!?\n]+/).filter(sentence => QualityScorer.words(sentence).length >= 3).length >= 2,
+            letters.length === 0 || capitals.length / letters.length < 0.5,
+            !/(.)\1{4,}/u.test(body)
+        ];
+        if (type === 'feedback') {
+            checks.push(Number(submission.rating) > 0);
+        }
+
+        return checks.filter(Boolean).length / checks.length;
+    }
+
+    // Confident, clean moderation verdicts score high; held or flagged content scores low
+    scoreModeration(moderation) {
+        if (!moderation || !moderation.approved) return 0;
+
+        const confidence = typeof moderation.confidence === 'number' ? moderation.confidence : 0.5;
+        const toxicity = typeof moderation.toxicityScore === 'number' ? moderation.toxicityScore : 0;
+        return Math.max(0, Math.min(1, confidence * (1 - toxicity)));
+    }
+
+    // Concrete details: numbers (rooms, times, prices), times of day, campus places and the
+    // aspects the feedback talks about
+    scoreSpecificity(submission) {
+        const { title, body } = this.getText(submission);
+        const text = `${title}\n${body}`;
+        const lower = text.toLowerCase();
+
+        let details = (text.match(/\d+/g) || []).length;
+        details += (text.match(TIME_WORDS) || []).length;
+        details += CONFIG.CAMPUS_MAP.BUILDINGS.filter(building => lower.includes(building.name.toLowerCase())).length;
+        details += Array.isArray(submission.aspects) ? submission.aspects.length : 0;
+
+        return Math.min(1, details / this.settings.SPECIFIC_DETAILS);
+    }
+
+    // Photos and a pinned location back up a report
+    scoreEvidence(submission) {
+        const images = Array.isArray(submission.images) ? submission.images.length : 0;
+        const pinned = Boolean(submission.buildingId || submission.coordinates);
+        return Math.min(1, Math.min(images, 2) * 0.3 + (pinned ? 0.4 : 0));
+    }
+
+    getSignals(submission, type) {
+        const signals = {
+            length: Math.min(1, QualityScorer.words(this.getText(submission).body).length / this.settings.IDEAL_WORDS),
+            structure: this.scoreStructure(submission, type),
+            moderation: this.scoreModeration(submission.moderation),
+            specificity: this.scoreSpecificity(submission)
+        };
+        if (type === 'report') {
+            signals.evidence = this.scoreEvidence(submission);
+        }
+        return signals;
+    }
+
+    // Staff outcome on a report, null while it is open
+    getResolution(submission, type) {
+        if (type !== 'report') return null;
+
+        const status = UTILS.lifecycle.normalizeStatus(submission.status);
+        if (this.settings.VALID_STATES.includes(status)) return 'valid';
+        if (this.settings.INVALID_STATES.includes(status)) return 'invalid';
+        return null;
+    }
+
+    classify(score) {
+        if (score >= this.settings.HIGH_SCORE) return 'high';
+        if (score < this.settings.LOW_SCORE) return 'low';
+        return 'normal';
+    }
+
+    // Weighted score from 0 to 1 over the signals that apply. A staff resolution overrides it:
+    // reports resolved as valid are high quality, rejected ones low.
+    score(submission, type = 'feedback') {
+        const signals = this.getSignals(submission, type);
+        const weights = this.settings.WEIGHTS;
+        const applicable = Object.keys(signals).filter(signal => weights[signal] > 0);
+        const totalWeight = applicable.reduce((sum, signal) => sum + weights[signal], 0);
+        const score = totalWeight > 0 ?
+            Math.round(applicable.reduce((sum, signal) => sum + signals[signal] * weights[signal], 0) / totalWeight * 100) / 100 :
+            0;
+
+        const resolution = this.getResolution(submission, type);
+        const quality = resolution === 'valid' ? 'high' : resolution === 'invalid' ? 'low' : this.classify(score);
+
+        return { score, quality, signals, resolution };
+    }
+
+    // When a report is resolved as valid, a reward already granted below the high-quality amount
+    // is topped up with a bonus, and a reward still deferred is raised before it is paid
+    applyResolution(ledger, report, now = Date.now()) {
+        if (this.getResolution(report, 'report') !== 'valid') return null;
+
+        const original = ledger.getEntry('report', report.id);
+        if (!original || ['rejected', 'failed'].includes(original.status) || original.quality === 'high') {
+            return null;
+        }
+
+        const fullAmount = UTILS.rewards.calculateReward('report', 'high');
+        if (original.status === 'deferred') {
+            ledger.update(original.id, { amount: fullAmount, quality: 'high' });
+            return null;
+        }
+
+        const bonus = RewardLedger.round(fullAmount - original.amount);
+        if (bonus <= 0) return null;
+
+        console.log('⭐ Resolution bonus for report', report.id, bonus);
+        return ledger.addBonus(original, bonus, 'Bonus for a report resolved as valid', now);
+    }
+}
+
+// Initialize quality scoring
+const qualityScorer = new QualityScorer();
+
+// Export for global use
+window.QualityScorer = QualityScorer;
+window.qualityScorer = qualityScorer;
@@ -0,0 +1,195 @@
+// rate-limit.js - Submission rate limits per user, wallet and device, plus near-duplicate detection
+
+class SubmissionRateLimiter {
+    constructor(options = {}) {
+        this.settings = CONFIG.RATE_LIMITS;
+        // The client keeps its own log for cooldown messages, MOCK_API keeps a separate one
+        this.storageKey = options.storageKey || 'submission_log';
+    }
+
+    // 32-bit FNV-1a, enough to bucket devices and shingles
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    // Derived from browser traits, so it survives clearing storage or switching accounts
+    static getDeviceFingerprint() {
+        if (SubmissionRateLimiter.deviceFingerprint) return SubmissionRateLimiter.deviceFingerprint;
+
+        const nav = typeof navigator !== 'undefined' ? navigator : {};
+        const display = typeof screen !== 'undefined' ? [screen.width, screen.height, screen.colorDepth] : [];
+        let timeZone = '';
+        try {
+            timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        } catch (error) {
+            // Older browsers without time zone support
+        }
+
+        const traits = [
+            nav.userAgent, nav.language, (nav.languages || []).join(','), nav.platform,
+            nav.hardwareConcurrency, nav.maxTouchPoints, ...display, timeZone
+        ];
+        SubmissionRateLimiter.deviceFingerprint = 'dev_' + SubmissionRateLimiter.hash(traits.join('|'));
+        return SubmissionRateLimiter.deviceFingerprint;
+    }
+
+    // Hashed word shingles, the log never keeps submission text
+    static shingles(text, size) {
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (words.length === 0) return [];
+        if (words.length <= size) return [SubmissionRateLimiter.hash(words.join(' '))];
+
+        const shingles = new Set();
+        for (let i = 0; i <= words.length - size; i++) {
+            shingles.add(SubmissionRateLimiter.hash(words.slice(i, i + size).join(' ')));
+        }
+        return [...shingles];
+    }
+
+    static similarity(a, b) {
+        if (a.length === 0 || b.length === 0) return 0;
+
+        const setB = new Set(b);
+        const shared = a.filter(shingle => setB.has(shingle)).length;
+        return shared / (a.length + b.length - shared);
+    }
+
+    static formatCooldown(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        return UTILS.sla.formatDuration(ms);
+    }
+
+    // "hour", "30 seconds", "day" for a limit's window
+    static formatWindow(ms) {
+        const units = [['day', 86400000], ['hour', 3600000], ['minute', 60000], ['second', 1000]];
+        const [unit, size] = units.find(([, length]) => ms % length === 0) || units[units.length - 1];
+        const count = Math.round(ms / size);
+        return count === 1 ? unit : `${count} ${unit}s`;
+    }
+
+    getLog(now = Date.now()) {
+        const stored = UTILS.storage.get(this.storageKey);
+        return (Array.isArray(stored) ? stored : []).filter(entry => now - entry.at < this.settings.RETENTION);
+    }
+
+    // The configured subjects this submission can be attributed to
+    getSubjects(context = {}) {
+        const values = {
+            user: context.userId || null,
+            wallet: context.wallet ? context.wallet.toLowerCase() : null,
+            device: context.device || null
+        };
+
+        return this.settings.SUBJECTS
+            .filter(type => values[type])
+            .map(type => ({ type, value: values[type] }));
+    }
+
+    // Verdict for a submission about to be made, nothing is recorded
+    check(action, context = {}, text = '', now = Date.now()) {
+        if (!this.settings.ENABLED) return { allowed: true };
+
+        const subjects = this.getSubjects(context);
+        const log = this.getLog(now);
+        let blocked = null;
+
+        // Where several limits are hit, report the one that lasts longest
+        (this.settings.ACTIONS[action] || []).forEach(limit => {
+            subjects.forEach(subject => {
+                const recent = log.filter(entry =>
+                    entry.action === action &&
+                    entry.subjects[subject.type] === subject.value &&
+                    now - entry.at < limit.WINDOW
+                );
+                if (recent.length < limit.MAX) return;
+
+                const retryAfter = Math.min(...recent.map(entry => entry.at)) + limit.WINDOW - now;
+                if (!blocked || retryAfter > blocked.retryAfter) {
+                    blocked = { subject: subject.type, limit, retryAfter };
+                }
+            });
+        });
+
+        if (blocked) {
+            const limitMessage = this.describe(action, blocked);
+            return {
+                allowed: false,
+                reason: 'rate_limited',
+                ...blocked,
+                limitMessage: limitMessage,
+                message: `${limitMessage} You can submit again in ${SubmissionRateLimiter.formatCooldown(blocked.retryAfter)}.`
+            };
+        }
+
+        const shingles = SubmissionRateLimiter.shingles(text, this.settings.NEAR_DUPLICATE.SHINGLE_SIZE);
+        if (shingles.length > 0) {
+            const duplicate = log.find(entry =>
+                now - entry.at < this.settings.NEAR_DUPLICATE.WINDOW &&
+                subjects.some(subject => entry.subjects[subject.type] === subject.value) &&
+                SubmissionRateLimiter.similarity(shingles, entry.shingles || []) >= this.settings.NEAR_DUPLICATE.THRESHOLD
+            );
+
+            if (duplicate) {
+                return {
+                    allowed: false,
+                    reason: 'duplicate',
+                    retryAfter: null,
+                    duplicateAt: duplicate.at,
+                    message: `This is almost the same as a ${duplicate.action} you submitted (${UTILS.formatDate(duplicate.at).toLowerCase()}). Add new details instead of submitting it again.`
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    // The limit that was hit, without the time left so a live countdown can follow it
+    describe(action, { subject, limit }) {
+        const owner = subject === 'user' ? 'your account' : subject === 'wallet' ? 'this wallet' : 'this device';
+        const noun = limit.MAX === 1 ? 'submission' : 'submissions';
+        return `Limit of ${limit.MAX} ${action} ${noun} per ${SubmissionRateLimiter.formatWindow(limit.WINDOW)} reached for ${owner}.`;
+    }
+
+    record(action, context = {}, text = '', now = Date.now()) {
+        const subjects = {};
+        this.getSubjects(context).forEach(subject => {
+            subjects[subject.type] = subject.value;
+        });
+
+        UTILS.storage.set(this.storageKey, [...this.getLog(now), {
+            action: action,
+            at: now,
+            subjects: subjects,
+            shingles: SubmissionRateLimiter.shingles(text, this.settings.NEAR_DUPLICATE.SHINGLE_SIZE)
+        }]);
+    }
+
+    // Checks and records in one step, throwing a 429-style error when blocked
+    enforce(action, context = {}, text = '', now = Date.now()) {
+        const verdict = this.check(action, context, text, now);
+        if (!verdict.allowed) {
+            const error = new Error(verdict.message);
+            error.status = 429;
+            error.code = verdict.reason;
+            error.retryAfter = verdict.retryAfter;
+            error.limitMessage = verdict.limitMessage;
+            throw error;
+        }
+
+        this.record(action, context, text, now);
+        return verdict;
+    }
+}
+
+// Initialize client-side submission limiter
+const submissionLimiter = new SubmissionRateLimiter();
+
+// Export for global use
+window.SubmissionRateLimiter = SubmissionRateLimiter;
+window.submissionLimiter = submissionLimiter;
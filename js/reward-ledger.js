@@ -0,0 +1,258 @@
+// reward-ledger.js - Per-user daily, weekly and monthly reward caps and the reward pool budget
+
+class RewardLedger {
+    constructor(options = {}) {
+        this.settings = CONFIG.BLOCKCHAIN.REWARDS;
+        // The client keeps its own ledger for allowances, MOCK_API keeps a separate one
+        this.storageKey = options.storageKey || 'reward_ledger';
+    }
+
+    // Calendar periods in local time, weeks start on Monday
+    static getPeriodStart(period, now = Date.now()) {
+        const date = new Date(now);
+        date.setHours(0, 0, 0, 0);
+        if (period === 'week') date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        if (period === 'month') date.setDate(1);
+        return date.getTime();
+    }
+
+    static getPeriodEnd(period, now = Date.now()) {
+        const date = new Date(RewardLedger.getPeriodStart(period, now));
+        if (period === 'day') date.setDate(date.getDate() + 1);
+        if (period === 'week') date.setDate(date.getDate() + 7);
+        if (period === 'month') date.setMonth(date.getMonth() + 1);
+        return date.getTime();
+    }
+
+    static round(amount) {
+        return Math.round(amount * 1e6) / 1e6;
+    }
+
+    // Caps apply to the account, or to the wallet when nobody is signed in
+    static getRecipientKey(context = {}) {
+        return context.userId || (context.wallet ? context.wallet.toLowerCase() : null);
+    }
+
+    getCaps() {
+        return [
+            { period: 'day', label: 'Daily', cap: this.settings.MAX_DAILY_REWARDS },
+            { period: 'week', label: 'Weekly', cap: this.settings.MAX_WEEKLY_REWARDS },
+            { period: 'month', label: 'Monthly', cap: this.settings.MAX_MONTHLY_REWARDS }
+        ].filter(cap => cap.cap > 0);
+    }
+
+    getEntries() {
+        const stored = UTILS.storage.get(this.storageKey);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    static getEntryId(submissionType, submissionId, kind = 'reward') {
+        return `rwd_${kind === 'reward' ? '' : `${kind}_`}${submissionType}_${submissionId}`;
+    }
+
+    // kind is 'reward' for the reward paid on submission or 'bonus' for a later top-up
+    getEntry(submissionType, submissionId, kind = 'reward') {
+        const id = RewardLedger.getEntryId(submissionType, submissionId, kind);
+        return this.getEntries().find(entry => entry.id === id) || null;
+    }
+
+    update(id, changes) {
+        UTILS.storage.set(this.storageKey, this.getEntries().map(entry =>
+            entry.id === id ? { ...entry, ...changes } : entry
+        ));
+    }
+
+    // Granted rewards are the ones counted against caps and the budget
+    getGranted(recipient = null, since = 0) {
+        return this.getEntries().filter(entry =>
+            entry.status === 'granted' &&
+            entry.grantedAt >= since &&
+            (!recipient || entry.recipient === recipient)
+        );
+    }
+
+    getTotal(entries) {
+        return RewardLedger.round(entries.reduce((sum, entry) => sum + entry.amount, 0));
+    }
+
+    // What is left of each cap and of the pool budget
+    getAllowance(recipient, now = Date.now()) {
+        const caps = this.getCaps().map(cap => {
+            const used = this.getTotal(this.getGranted(recipient, RewardLedger.getPeriodStart(cap.period, now)));
+            return {
+                ...cap,
+                used: used,
+                remaining: Math.max(0, RewardLedger.round(cap.cap - used)),
+                resetsAt: RewardLedger.getPeriodEnd(cap.period, now)
+            };
+        });
+
+        const poolUsed = this.getTotal(this.getGranted());
+        const pool = {
+            budget: this.settings.POOL_BUDGET,
+            used: poolUsed,
+            remaining: Math.max(0, RewardLedger.round(this.settings.POOL_BUDGET - poolUsed))
+        };
+
+        return {
+            caps: caps,
+            pool: pool,
+            remaining: Math.min(pool.remaining, ...caps.map(cap => cap.remaining))
+        };
+    }
+
+    // Verdict for a reward, nothing is recorded
+    check(recipient, amount, now = Date.now()) {
+        const currency = this.settings.CURRENCY;
+        const allowance = this.getAllowance(recipient, now);
+
+        if (amount > allowance.pool.remaining) {
+            return {
+                status: 'rejected',
+                code: 'budget_spent',
+                reason: `The reward pool budget of ${allowance.pool.budget} ${currency} is spent`
+            };
+        }
+
+        const oversized = allowance.caps.find(cap => amount > cap.cap);
+        if (oversized) {
+            return {
+                status: 'rejected',
+                code: `${oversized.period}_cap`,
+                reason: `A ${amount} ${currency} reward is more than the ${oversized.label.toLowerCase()} limit of ${oversized.cap} ${currency}`
+            };
+        }
+
+        // Deferred until the last of the exceeded caps resets
+        const exceeded = allowance.caps.filter(cap => amount > cap.remaining);
+        if (exceeded.length > 0) {
+            const cap = exceeded.reduce((a, b) => (b.resetsAt > a.resetsAt ? b : a));
+            return {
+                status: 'deferred',
+                code: `${cap.period}_cap`,
+                deferredUntil: cap.resetsAt,
+                reason: `${cap.label} limit of ${cap.cap} ${currency} reached, the reward is paid after ${new Date(cap.resetsAt).toLocaleString()}`
+            };
+        }
+
+        return { status: 'granted' };
+    }
+
+    // Checks and records the reward for a submission. Granted rewards take their share of the
+    // allowance right away, so rewards paid at the same time cannot overshoot a cap.
+    authorize({ submissionId, submissionType, recipient, amount, quality = 'normal' }, now = Date.now()) {
+        const existing = this.getEntry(submissionType, submissionId);
+        if (existing && existing.status !== 'failed') return existing;
+
+        const verdict = this.check(recipient, amount, now);
+        const entry = {
+            id: RewardLedger.getEntryId(submissionType, submissionId),
+            kind: 'reward',
+            submissionId: submissionId,
+            submissionType: submissionType,
+            recipient: recipient,
+            amount: amount,
+            quality: quality,
+            status: verdict.status,
+            code: verdict.code || null,
+            reason: verdict.reason || null,
+            deferredUntil: verdict.deferredUntil || null,
+            createdAt: now,
+            grantedAt: verdict.status === 'granted' ? now : null
+        };
+
+        UTILS.storage.set(this.storageKey, [...this.getEntries().filter(e => e.id !== entry.id), entry]);
+        return entry;
+    }
+
+    // Reward owed to an author who is not the one at the keyboard, e.g. for content a moderator
+    // approved. It waits like a deferred reward until the author's own session releases and pays it.
+    queue({ submissionId, submissionType, recipient, amount, quality = 'normal', reason }, now = Date.now()) {
+        const existing = this.getEntry(submissionType, submissionId);
+        if (existing && existing.status !== 'failed') return existing;
+
+        const entry = {
+            id: RewardLedger.getEntryId(submissionType, submissionId),
+            kind: 'reward',
+            submissionId: submissionId,
+            submissionType: submissionType,
+            recipient: recipient,
+            amount: amount,
+            quality: quality,
+            status: 'deferred',
+            code: 'queued',
+            reason: reason,
+            deferredUntil: now,
+            createdAt: now,
+            grantedAt: null
+        };
+
+        UTILS.storage.set(this.storageKey, [...this.getEntries().filter(e => e.id !== entry.id), entry]);
+        return entry;
+    }
+
+    // Top-up for a granted reward, waiting to be released and paid like a deferred reward
+    addBonus(original, amount, reason, now = Date.now()) {
+        const existing = this.getEntry(original.submissionType, original.submissionId, 'bonus');
+        if (existing && existing.status !== 'failed') return existing;
+
+        const entry = {
+            id: RewardLedger.getEntryId(original.submissionType, original.submissionId, 'bonus'),
+            kind: 'bonus',
+            submissionId: original.submissionId,
+            submissionType: original.submissionType,
+            recipient: original.recipient,
+            amount: amount,
+            quality: 'high',
+            status: 'deferred',
+            code: 'bonus',
+            reason: reason,
+            deferredUntil: now,
+            createdAt: now,
+            grantedAt: null
+        };
+
+        UTILS.storage.set(this.storageKey, [...this.getEntries().filter(e => e.id !== entry.id), entry]);
+        return entry;
+    }
+
+    // The payment did not go through, the allowance it held is released
+    fail(id, reason) {
+        this.update(id, { status: 'failed', reason: reason, grantedAt: null });
+    }
+
+    // Deferred rewards whose wait is over, checked again oldest first.
+    // Returns the ones granted now, which still have to be paid.
+    releaseDue(recipient, now = Date.now()) {
+        return this.getEntries()
+            .filter(entry => entry.recipient === recipient && entry.status === 'deferred' && entry.deferredUntil <= now)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(entry => {
+                const verdict = this.check(recipient, entry.amount, now);
+                const changes = {
+                    status: verdict.status,
+                    code: verdict.code || null,
+                    reason: verdict.reason || null,
+                    deferredUntil: verdict.deferredUntil || null,
+                    grantedAt: verdict.status === 'granted' ? now : null
+                };
+                this.update(entry.id, changes);
+                return { ...entry, ...changes };
+            })
+            .filter(entry => entry.status === 'granted');
+    }
+
+    // Deferred and rejected rewards, newest first
+    getHeld(recipient) {
+        return this.getEntries()
+            .filter(entry => entry.recipient === recipient && ['deferred', 'rejected'].includes(entry.status))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+}
+
+// Initialize client-side reward ledger
+const rewardLedger = new RewardLedger();
+
+// Export for global use
+window.RewardLedger = RewardLedger;
+window.rewardLedger = rewardLedger;
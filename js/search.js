@@ -0,0 +1,230 @@
+// search.js - In-browser full-text search over stored feedback and reports
+
+class SearchIndex {
+    constructor() {
+        // Searchable fields and their weight in the score
+        this.fields = {
+            feedback: { title: 3, category: 2, content: 1 },
+            report: { title: 3, type: 2, location: 2, description: 1 }
+        };
+        this.facetNames = {
+            feedback: ['category', 'rating', 'sentiment', 'status', 'date'],
+            report: ['category', 'status', 'date']
+        };
+        this.docs = new Map();
+        this.postings = new Map();
+        this.built = false;
+        this.init();
+    }
+
+    init() {
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('campusfeedback:change', (e) => this.handleChange(e.detail));
+        }
+    }
+
+    static key(type, id) {
+        return `${type}:${id}`;
+    }
+
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1);
+    }
+
+    build() {
+        this.docs.clear();
+        this.postings.clear();
+
+        UTILS.storage.getFeedbacks().forEach(feedback => this.add('feedback', feedback));
+        UTILS.storage.getReports().forEach(report => this.add('report', report));
+
+        this.built = true;
+        console.log('🔎 Search index built:', this.docs.size, 'items,', this.postings.size, 'terms');
+    }
+
+    ensureBuilt() {
+        if (!this.built) this.build();
+    }
+
+    add(type, item) {
+        if (!item || !item.id || !this.fields[type]) return;
+
+        const key = SearchIndex.key(type, item.id);
+        this.remove(type, item.id);
+
+        const weights = new Map();
+        Object.entries(this.fields[type]).forEach(([field, weight]) => {
+            this.tokenize(item[field]).forEach(token => {
+                weights.set(token, (weights.get(token) || 0) + weight);
+            });
+        });
+
+        weights.forEach((weight, token) => {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+            }
+            this.postings.get(token).set(key, weight);
+        });
+
+        this.docs.set(key, { type, item, terms: [...weights.keys()] });
+    }
+
+    remove(type, id) {
+        const key = SearchIndex.key(type, id);
+        const doc = this.docs.get(key);
+        if (!doc) return;
+
+        doc.terms.forEach(token => {
+            const posting = this.postings.get(token);
+            if (!posting) return;
+            posting.delete(key);
+            if (posting.size === 0) {
+                this.postings.delete(token);
+            }
+        });
+        this.docs.delete(key);
+    }
+
+    // Keeps the index in step with UTILS.storage saves and deletes
+    handleChange(change) {
+        if (!this.built || !change) return;
+
+        if (change.action === 'delete') {
+            this.remove(change.type, change.id);
+            return;
+        }
+
+        const items = change.type === 'report' ? UTILS.storage.getReports() : UTILS.storage.getFeedbacks();
+        const item = items.find(i => i.id === change.id);
+        if (item) {
+            this.add(change.type, item);
+        }
+    }
+
+    // Bounded edit distance, returns limit + 1 once the words are too far apart
+    editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Index terms matching a query token: exact, prefix, or within a typo or two
+    expandToken(token) {
+        const matches = new Map();
+        const limit = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+
+        this.postings.forEach((_, term) => {
+            if (term === token) {
+                matches.set(term, 1);
+            } else if (term.startsWith(token)) {
+                matches.set(term, 0.8);
+            } else if (limit > 0 && this.editDistance(token, term, limit) <= limit) {
+                matches.set(term, 0.6);
+            }
+        });
+
+        return matches;
+    }
+
+    getFacetValues(type, item, now = Date.now()) {
+        const age = now - (item.timestamp || item.createdAt || 0);
+        const day = 86400000;
+
+        return {
+            category: type === 'report' ? (item.type || 'general') : (item.category || 'general'),
+            rating: item.rating ? String(item.rating) : '',
+            sentiment: item.sentiment || '',
+            status: type === 'report' ? UTILS.lifecycle.normalizeStatus(item.status) : (item.status || ''),
+            date: age < day ? 'today' : age < 7 * day ? 'week' : age < 30 * day ? 'month' : 'older'
+        };
+    }
+
+    // Ranks items of one type; every query word has to match and filters are exact facet values
+    search(query, options = {}) {
+        this.ensureBuilt();
+
+        const type = options.type || 'feedback';
+        const filters = options.filters || {};
+        const tokens = [...new Set(this.tokenize(query))];
+        const now = Date.now();
+
+        let scores = null;
+        const matchedTerms = new Set();
+
+        tokens.forEach(token => {
+            const tokenScores = new Map();
+            this.expandToken(token).forEach((quality, term) => {
+                this.postings.get(term).forEach((weight, key) => {
+                    if (!key.startsWith(`${type}:`)) return;
+                    tokenScores.set(key, Math.max(tokenScores.get(key) || 0, weight * quality));
+                    matchedTerms.add(term);
+                });
+            });
+
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                scores = new Map([...scores].filter(([key]) => tokenScores.has(key))
+                    .map(([key, score]) => [key, score + tokenScores.get(key)]));
+            }
+        });
+
+        if (scores === null) {
+            scores = new Map([...this.docs.keys()].filter(key => key.startsWith(`${type}:`)).map(key => [key, 0]));
+        }
+
+        const matches = [...scores].map(([key, score]) => {
+            const doc = this.docs.get(key);
+            return { item: doc.item, score, facets: this.getFacetValues(type, doc.item, now) };
+        });
+
+        // Facet counts cover the query matches before facet filters are applied
+        const facets = {};
+        this.facetNames[type].forEach(name => {
+            facets[name] = {};
+            matches.forEach(match => {
+                const value = match.facets[name];
+                if (value) facets[name][value] = (facets[name][value] || 0) + 1;
+            });
+        });
+
+        const results = matches
+            .filter(match => Object.entries(filters).every(([name, value]) => !value || match.facets[name] === value))
+            .sort((a, b) => b.score - a.score || (b.item.timestamp || 0) - (a.item.timestamp || 0));
+
+        return { results, facets, terms: matchedTerms };
+    }
+
+    // Escapes the text and wraps words found by the search in <mark>
+    highlight(text, terms) {
+        return String(text || '')
+            .split(/([A-Za-z0-9]+)/)
+            .map(part => {
+                const escaped = UTILS.validation.sanitizeHTML(part);
+                return terms && terms.has(part.toLowerCase()) ? `<mark>${escaped}</mark>` : escaped;
+            })
+            .join('');
+    }
+}
+
+// Initialize search index
+const searchIndex = new SearchIndex();
+
+// Export for global use
+window.SearchIndex = SearchIndex;
+window.searchIndex = searchIndex;
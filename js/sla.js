@@ -0,0 +1,111 @@
+// sla.js - Urgency-based SLA monitoring and escalation for reports
+
+class SLAMonitor {
+    constructor(options = {}) {
+        this.options = {
+            interval: options.interval || CONFIG.REPORTS.SLA.CHECK_INTERVAL,
+            onTick: options.onTick || (() => {}),
+            onEscalate: options.onEscalate || (() => {}),
+            ...options
+        };
+        this.timer = null;
+        this.checking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.check();
+        this.timer = setInterval(() => this.check(), this.options.interval);
+        console.log('⏱️ SLA monitor started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Scans the reports the triage console works from, so every report staff can see is covered
+    async check(now = Date.now()) {
+        if (this.checking) return [];
+        this.checking = true;
+
+        try {
+            const response = await api.getReports();
+            const reports = response?.data?.reports || [];
+            const escalated = [];
+
+            for (const report of reports) {
+                const status = UTILS.sla.getStatus(report, now);
+                if (status.shouldEscalate) {
+                    try {
+                        escalated.push(await this.escalate(report, status, now));
+                    } catch (error) {
+                        console.error('Error escalating report:', report.id, error);
+                    }
+                }
+            }
+
+            if (escalated.length > 0) {
+                this.options.onEscalate(escalated);
+            }
+            this.options.onTick(escalated);
+
+            return escalated;
+        } catch (error) {
+            console.error('Error checking report SLAs:', error);
+            return [];
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    // Hands the report to the next tier
+    async escalate(report, status, now = Date.now()) {
+        const tiers = CONFIG.REPORTS.SLA.TIERS;
+        const level = Math.min(status.level + 1, tiers.length - 1);
+        const escalation = {
+            level: level,
+            tier: tiers[level],
+            at: now,
+            clockStart: status.clockStart
+        };
+
+        const update = {
+            assignee: escalation.tier,
+            escalation: escalation,
+            escalations: [...(report.escalations || []), escalation]
+        };
+        // Reports not yet with anyone move to assigned, work already under way is not undone
+        const current = UTILS.lifecycle.normalizeStatus(report.status);
+        if (['triaged', 'reopened'].includes(current) && UTILS.lifecycle.canTransition(current, 'assigned')) {
+            update.status = 'assigned';
+        }
+
+        const response = await api.updateReport(report.id, update, {
+            actor: 'SLA monitor',
+            note: `Escalated to ${escalation.tier} after the SLA was breached`
+        });
+        const updated = response?.data?.report || { ...report, ...update };
+
+        console.log('🚨 Report escalated:', report.id, '→', escalation.tier);
+        this.notify(updated, status);
+
+        return updated;
+    }
+
+    notify(report, status) {
+        const message = `🚨 SLA breached: "${report.title || 'Untitled report'}" is overdue by ${UTILS.sla.formatDuration(status.remaining)} and was escalated to ${report.escalation.tier}`;
+
+        if (typeof notificationManager !== 'undefined' && notificationManager) {
+            notificationManager.show(message, 'warning', 10000);
+        } else {
+            console.warn(message);
+        }
+    }
+}
+
+// Export for global use
+window.SLAMonitor = SLAMonitor;
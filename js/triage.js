@@ -0,0 +1,366 @@
+// triage.js - Staff Triage Console for incoming reports
+
+class TriageConsole {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onChange: options.onChange || (() => {}),
+            ...options
+        };
+        this.reports = [];
+        this.selected = new Set();
+        this.filters = {
+            urgency: '',
+            type: '',
+            location: '',
+            status: ''
+        };
+        this.loading = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.listContainer = this.container.querySelector('#triageList');
+        this.setupFilters();
+        this.setupBulkActions();
+        this.setupListActions();
+
+        console.log('🗂️ Triage console initialized');
+    }
+
+    setupFilters() {
+        const filterFields = {
+            urgency: '#triageUrgency',
+            type: '#triageType',
+            location: '#triageLocation',
+            status: '#triageStatus'
+        };
+
+        // Populate status options from the lifecycle
+        const statusSelect = this.container.querySelector('#triageStatus');
+        if (statusSelect) {
+            statusSelect.innerHTML = '<option value="">All statuses</option>' + this.renderStatusOptions();
+        }
+
+        Object.entries(filterFields).forEach(([key, selector]) => {
+            const field = this.container.querySelector(selector);
+            if (!field) return;
+
+            const eventName = field.tagName === 'INPUT' ? 'input' : 'change';
+            field.addEventListener(eventName, UTILS.debounce(() => {
+                this.filters[key] = field.value.trim();
+                this.render();
+            }, 200));
+        });
+    }
+
+    setupBulkActions() {
+        const selectAll = this.container.querySelector('#triageSelectAll');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                const visible = this.getFilteredReports();
+                this.selected = selectAll.checked ? new Set(visible.map(r => r.id)) : new Set();
+                this.render();
+            });
+        }
+
+        const bulkStatus = this.container.querySelector('#triageBulkStatus');
+        if (bulkStatus) {
+            bulkStatus.innerHTML = '<option value="">Change status to...</option>' + this.renderStatusOptions();
+        }
+
+        const assignBtn = this.container.querySelector('#triageAssignBtn');
+        if (assignBtn) {
+            assignBtn.addEventListener('click', () => {
+                const assignee = this.container.querySelector('#triageAssignee')?.value.trim();
+                this.bulkAssign(assignee);
+            });
+        }
+
+        const mergeBtn = this.container.querySelector('#triageMergeBtn');
+        if (mergeBtn) {
+            mergeBtn.addEventListener('click', () => this.mergeSelected());
+        }
+
+        const statusBtn = this.container.querySelector('#triageStatusBtn');
+        if (statusBtn) {
+            statusBtn.addEventListener('click', () => {
+                this.bulkChangeStatus(bulkStatus ? bulkStatus.value : '');
+            });
+        }
+    }
+
+    setupListActions() {
+        if (!this.listContainer) return;
+
+        this.listContainer.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('.triage-select');
+            if (!checkbox) return;
+
+            if (checkbox.checked) {
+                this.selected.add(checkbox.dataset.id);
+            } else {
+                this.selected.delete(checkbox.dataset.id);
+            }
+            this.updateSelectionUI();
+        });
+
+        this.listContainer.addEventListener('submit', (e) => {
+            const noteForm = e.target.closest('.triage-note-form');
+            if (!noteForm) return;
+
+            e.preventDefault();
+            const input = noteForm.querySelector('input');
+            this.addNote(noteForm.dataset.id, input ? input.value : '');
+        });
+    }
+
+    renderStatusOptions() {
+        return Object.entries(CONFIG.REPORTS.LIFECYCLE.STATES)
+            .map(([id, state]) => `<option value="${id}">${state.label}</option>`)
+            .join('');
+    }
+
+    async load() {
+        if (this.loading) return;
+        this.loading = true;
+
+        if (this.listContainer) {
+            this.listContainer.innerHTML = `
+                <div class="loading-placeholder">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    Loading reports...
+                </div>
+            `;
+        }
+
+        try {
+            // Held reports are released through the moderation queue and its audit log, not here
+            const response = await api.getReports();
+            this.reports = (response?.data?.reports || [])
+                .filter(report => report.status !== CONFIG.AI.MODERATION.REVIEW_STATUS);
+
+            // Drop selections for reports that no longer exist
+            const ids = new Set(this.reports.map(r => r.id));
+            this.selected = new Set([...this.selected].filter(id => ids.has(id)));
+
+            console.log('🗂️ Loaded', this.reports.length, 'reports for triage');
+            this.render();
+        } catch (error) {
+            UTILS.handleError(error, 'Triage Console');
+            this.reports = [];
+            this.render();
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    getFilteredReports() {
+        const location = this.filters.location.toLowerCase();
+
+        return this.reports.filter(report => {
+            if (this.filters.urgency && (report.urgency || 'medium') !== this.filters.urgency) return false;
+            if (this.filters.type && report.type !== this.filters.type) return false;
+            if (this.filters.status && UTILS.lifecycle.normalizeStatus(report.status) !== this.filters.status) return false;
+            if (location && !(report.location || '').toLowerCase().includes(location)) return false;
+            return true;
+        });
+    }
+
+    render() {
+        if (!this.listContainer) return;
+
+        const reports = this.getFilteredReports();
+
+        if (reports.length === 0) {
+            this.listContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-clipboard-check"></i>
+                    <p>No reports match the current filters.</p>
+                </div>
+            `;
+            this.updateSelectionUI();
+            return;
+        }
+
+        this.listContainer.innerHTML = reports.map(report => this.renderReport(report)).join('');
+        this.updateSelectionUI();
+    }
+
+    renderReport(report) {
+        const state = UTILS.lifecycle.getState(report.status);
+        const notes = report.internalNotes || [];
+
+        return `
+            <div class="report-item triage-item ${UTILS.sla.getStatus(report).overdue ? 'overdue' : ''}">
+                <div class="triage-item-header">
+                    <input type="checkbox" class="triage-select" data-id="${report.id}" ${this.selected.has(report.id) ? 'checked' : ''}>
+                    <div class="report-header">
+                        <h4>${report.title || 'Untitled Report'}</h4>
+                        <div class="report-meta">
+                            <span class="badge badge-${state.badge}">
+                                <i class="${state.icon}"></i> ${state.label}
+                            </span>
+                            ${window.app ? window.app.renderSlaBadge(report) : ''}
+                            <span class="badge badge-warning">${report.urgency || 'medium'} urgency</span>
+                            <span class="badge badge-secondary">${report.type || 'general'}</span>
+                            <span>${report.location || 'Unknown location'}</span>
+                            <span>${report.author || 'Anonymous'}</span>
+                            <span>${UTILS.formatDate(report.timestamp)}</span>
+                            ${report.assignee ? `<span><i class="fas fa-user-check"></i> ${report.assignee}</span>` : ''}
+                        </div>
+                    </div>
+                </div>
+                <div class="report-content">
+                    ${UTILS.truncateText(report.description, 200)}
+                </div>
+                <details class="triage-notes">
+                    <summary>Internal notes (${notes.length})</summary>
+                    ${notes.map(note => `
+                        <div class="triage-note">
+                            <p>${UTILS.validation.sanitizeHTML(note.text)}</p>
+                            <small>${note.by} • ${UTILS.formatDate(note.at)}</small>
+                        </div>
+                    `).join('')}
+                    <form class="triage-note-form" data-id="${report.id}">
+                        <input type="text" placeholder="Add an internal note for staff..." maxlength="500" required>
+                        <button type="submit" class="btn btn-secondary">
+                            <i class="fas fa-sticky-note"></i>
+                            Add Note
+                        </button>
+                    </form>
+                </details>
+            </div>
+        `;
+    }
+
+    updateSelectionUI() {
+        const count = this.container.querySelector('#triageSelectedCount');
+        if (count) {
+            count.textContent = `${this.selected.size} selected`;
+        }
+
+        const selectAll = this.container.querySelector('#triageSelectAll');
+        if (selectAll) {
+            const visible = this.getFilteredReports();
+            selectAll.checked = visible.length > 0 && visible.every(r => this.selected.has(r.id));
+        }
+    }
+
+    getSelectedReports() {
+        return this.reports.filter(r => this.selected.has(r.id));
+    }
+
+    async bulkAssign(assignee) {
+        if (!assignee) {
+            showNotification('Enter a staff member or team to assign to', 'warning');
+            return;
+        }
+
+        await this.applyToSelected('assign', (report) => {
+            const update = { assignee };
+            // Move into the assigned state when the lifecycle allows it
+            if (UTILS.lifecycle.canTransition(report.status, 'assigned')) {
+                update.status = 'assigned';
+            }
+            return { data: update, options: { note: `Assigned to ${assignee}` } };
+        });
+    }
+
+    async bulkChangeStatus(status) {
+        if (!status) {
+            showNotification('Choose a status to apply', 'warning');
+            return;
+        }
+
+        await this.applyToSelected('status change', () => ({ data: { status }, options: {} }));
+    }
+
+    async applyToSelected(actionName, buildUpdate) {
+        const reports = this.getSelectedReports();
+        if (reports.length === 0) {
+            showNotification('Select at least one report first', 'warning');
+            return;
+        }
+
+        const failures = [];
+
+        for (const report of reports) {
+            try {
+                const { data, options } = buildUpdate(report);
+                await api.updateReport(report.id, data, options);
+            } catch (error) {
+                failures.push(`${report.title || report.id}: ${error.message}`);
+            }
+        }
+
+        const succeeded = reports.length - failures.length;
+        if (succeeded > 0) {
+            showNotification(`✅ ${actionName} applied to ${succeeded} report${succeeded > 1 ? 's' : ''}`, 'success');
+        }
+        if (failures.length > 0) {
+            console.warn('⚠️ Triage failures:', failures);
+            showNotification(`${failures.length} report${failures.length > 1 ? 's' : ''} skipped — ${failures.join('; ')}`, 'warning', 8000);
+        }
+
+        this.selected.clear();
+        await this.load();
+        this.options.onChange();
+    }
+
+    // The oldest selected report becomes the canonical one
+    async mergeSelected() {
+        const reports = this.getSelectedReports()
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        if (reports.length < 2) {
+            showNotification('Select at least two reports to merge', 'warning');
+            return;
+        }
+
+        const [canonical, ...duplicates] = reports;
+
+        try {
+            await api.updateReport(canonical.id, duplicateDetector.merge(canonical, duplicates));
+            for (const duplicate of duplicates) {
+                await api.deleteReport(duplicate.id);
+            }
+
+            showNotification(`🔗 Merged ${duplicates.length} report${duplicates.length > 1 ? 's' : ''} into "${canonical.title}"`, 'success');
+        } catch (error) {
+            UTILS.handleError(error, 'Triage Console');
+        }
+
+        this.selected.clear();
+        await this.load();
+        this.options.onChange();
+    }
+
+    async addNote(reportId, text) {
+        const noteText = (text || '').trim();
+        const report = this.reports.find(r => r.id === reportId);
+        if (!report || !noteText) return;
+
+        try {
+            const note = {
+                id: UTILS.generateId(),
+                text: noteText,
+                by: api.getActorName(),
+                at: Date.now()
+            };
+            await api.updateReport(reportId, {
+                internalNotes: [...(report.internalNotes || []), note]
+            });
+
+            showNotification('📝 Internal note added', 'success');
+            await this.load();
+            this.options.onChange();
+        } catch (error) {
+            UTILS.handleError(error, 'Triage Console');
+        }
+    }
+}
+
+// Export for global use
+window.TriageConsole = TriageConsole;
@@ -302,8 +302,18 @@ class VoiceInputManager {
             }
         }
 
+        // Counted for the voice-user achievement
+        if (typeof UTILS !== 'undefined' && UTILS.storage) {
+            const stats = UTILS.storage.getUserStats();
+            UTILS.storage.updateUserStats({ ...stats, voiceInputs: (stats.voiceInputs || 0) + 1 });
+        }
+
         showNotification('✅ Voice input applied successfully!', 'success');
         this.hideVoiceModal();
+
+        if (window.app) {
+            window.app.loadAchievements();
+        }
     }
 
     handleError(errorType) {
@@ -0,0 +1,163 @@
+// votes.js - "Me too" and helpful votes on feedback and reports
+
+class VoteManager {
+    constructor() {
+        this.voteTypes = ['upvote', 'helpful'];
+        this.syncing = false;
+        this.sending = null;
+        this.syncTimer = null;
+    }
+
+    getVotes() {
+        const data = UTILS.storage.get('votes');
+        return Array.isArray(data) ? data : [];
+    }
+
+    getVotesFor(targetType, targetId) {
+        return this.getVotes().filter(v => v.targetType === targetType && v.targetId === targetId);
+    }
+
+    getCounts(targetType, targetId) {
+        const counts = { upvote: 0, helpful: 0, total: 0 };
+        this.getVotesFor(targetType, targetId).forEach(vote => {
+            counts[vote.voteType] = (counts[vote.voteType] || 0) + 1;
+            counts.total++;
+        });
+        return counts;
+    }
+
+    hasVoted(userId, targetType, targetId, voteType) {
+        return this.getVotesFor(targetType, targetId)
+            .some(v => v.userId === userId && v.voteType === voteType);
+    }
+
+    // One vote per user, type and item: voting again takes the vote back
+    toggleVote(userId, targetType, targetId, voteType) {
+        if (!userId || !targetId || !this.voteTypes.includes(voteType)) {
+            throw new Error('Invalid vote');
+        }
+
+        const votes = this.getVotes();
+        const existing = votes.find(v =>
+            v.userId === userId && v.targetType === targetType &&
+            v.targetId === targetId && v.voteType === voteType
+        );
+
+        if (existing) {
+            UTILS.storage.set('votes', votes.filter(v => v.id !== existing.id));
+            this.queueSync('remove', existing);
+        } else {
+            const vote = {
+                id: UTILS.generateId(),
+                userId: userId,
+                targetType: targetType,
+                targetId: targetId,
+                voteType: voteType,
+                at: Date.now()
+            };
+            votes.push(vote);
+            UTILS.storage.set('votes', votes);
+            this.queueSync('cast', vote);
+        }
+
+        return {
+            voted: !existing,
+            counts: this.getCounts(targetType, targetId)
+        };
+    }
+
+    // Votes received on everything a user has authored
+    getReceivedVotes(authorId) {
+        const counts = { upvote: 0, helpful: 0, total: 0 };
+        if (!authorId) return counts;
+
+        const authored = new Set([
+            ...UTILS.storage.getFeedbacks().filter(f => f.authorId === authorId).map(f => `feedback:${f.id}`),
+            ...UTILS.storage.getReports().filter(r => r.authorId === authorId).map(r => `report:${r.id}`)
+        ]);
+
+        this.getVotes().forEach(vote => {
+            if (authored.has(`${vote.targetType}:${vote.targetId}`)) {
+                counts[vote.voteType] = (counts[vote.voteType] || 0) + 1;
+                counts.total++;
+            }
+        });
+        return counts;
+    }
+
+    // Queue items carry an id so a sync can drop exactly the ones it sent
+    getSyncQueue() {
+        const queue = UTILS.storage.get('vote_sync_queue') || [];
+        return queue.map(item => item.id ? item : { ...item, id: UTILS.generateId() });
+    }
+
+    queueSync(action, vote) {
+        const queue = this.getSyncQueue();
+
+        // A cast followed by its removal cancels out before it reaches the API,
+        // unless the cast is already on its way
+        const pendingCast = queue.findIndex(item =>
+            item.action === 'cast' && item.vote.id === vote.id && !(this.sending && this.sending.has(item.id))
+        );
+        if (action === 'remove' && pendingCast >= 0) {
+            queue.splice(pendingCast, 1);
+        } else {
+            queue.push({ id: UTILS.generateId(), action, vote });
+        }
+
+        UTILS.storage.set('vote_sync_queue', queue);
+    }
+
+    async sync() {
+        if (this.syncing || typeof api === 'undefined') return;
+
+        const queue = this.getSyncQueue();
+        if (queue.length === 0) return;
+
+        UTILS.storage.set('vote_sync_queue', queue);
+        this.syncing = true;
+        this.sending = new Set(queue.map(item => item.id));
+        const synced = new Set();
+
+        try {
+            for (const item of queue) {
+                try {
+                    if (item.action === 'cast') {
+                        await api.castVote(item.vote);
+                    } else {
+                        await api.removeVote(item.vote.id);
+                    }
+                    synced.add(item.id);
+                } catch (error) {
+                    console.warn('⚠️ Vote sync failed, will retry:', error);
+                }
+            }
+
+            // Votes queued while this sync was running stay queued
+            UTILS.storage.set('vote_sync_queue', this.getSyncQueue().filter(item => !synced.has(item.id)));
+            console.log('🗳️ Synced', synced.size, 'votes');
+        } finally {
+            const batch = this.sending;
+            this.syncing = false;
+            this.sending = null;
+
+            // Send votes that came in meanwhile now rather than at the next interval
+            if (this.getSyncQueue().some(item => !batch.has(item.id))) {
+                this.sync();
+            }
+        }
+    }
+
+    startSync(interval = CONFIG.STORAGE.SYNC_INTERVAL) {
+        if (this.syncTimer) return;
+
+        this.sync();
+        this.syncTimer = setInterval(() => this.sync(), interval);
+    }
+}
+
+// Initialize vote manager
+const voteManager = new VoteManager();
+
+// Export for global use
+window.voteManager = voteManager;
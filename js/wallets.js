@@ -0,0 +1,193 @@
+// wallets.js - Wallet discovery: EIP-6963 injected wallets, legacy window.ethereum and QR pairing
+
+// Pairing providers connect a wallet on another device, usually a phone. Anything with this
+// shape can be set with walletRegistry.setPairingProvider(), e.g. a stub in tests:
+//   id, name, icon        shown in the wallet picker
+//   isAvailable()         whether pairing can be offered
+//   connect({ onUri })    starts a session and calls onUri(uri) with the pairing URI to show as a
+//                         QR code, resolves with an EIP-1193 provider once the wallet approves
+//   cancel()              abandons a pairing in progress
+//   disconnect()          ends the session
+class WalletConnectPairing {
+    constructor() {
+        this.id = 'walletconnect';
+        this.name = 'WalletConnect';
+        this.icon = null;
+        this.settings = CONFIG.BLOCKCHAIN.WALLETS;
+        this.provider = null;
+    }
+
+    getLibrary() {
+        return typeof EthereumProvider !== 'undefined' ? EthereumProvider : null;
+    }
+
+    isAvailable() {
+        return Boolean(this.settings.WALLETCONNECT_PROJECT_ID && this.getLibrary());
+    }
+
+    async connect({ onUri } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('WalletConnect pairing is not configured');
+        }
+
+        const network = CONFIG.BLOCKCHAIN.NETWORK;
+        const chainId = parseInt(network.chainId, 16);
+        this.provider = await this.getLibrary().init({
+            projectId: this.settings.WALLETCONNECT_PROJECT_ID,
+            chains: [chainId],
+            rpcMap: { [chainId]: network.rpcUrls[0] },
+            // The wallet picker shows the QR code itself
+            showQrModal: false,
+            metadata: {
+                name: CONFIG.APP.NAME,
+                description: this.settings.DESCRIPTION,
+                url: window.location.origin,
+                icons: []
+            }
+        });
+
+        this.provider.on('display_uri', uri => {
+            if (onUri) onUri(uri);
+        });
+        await this.provider.connect();
+        return this.provider;
+    }
+
+    async cancel() {
+        await this.disconnect();
+    }
+
+    async disconnect() {
+        if (!this.provider) return;
+
+        const provider = this.provider;
+        this.provider = null;
+        try {
+            await provider.disconnect();
+        } catch (error) {
+            console.warn('⚠️ WalletConnect disconnect error:', error);
+        }
+    }
+}
+
+class WalletRegistry {
+    constructor() {
+        // Announced wallets by rdns, so a wallet announcing again replaces its entry
+        this.wallets = new Map();
+        this.listeners = new Set();
+        this.pairingProvider = new WalletConnectPairing();
+        this.discoveryStarted = false;
+    }
+
+    // EIP-6963: wallets answer requestProvider with an announceProvider event each
+    startDiscovery() {
+        if (this.discoveryStarted) return;
+        this.discoveryStarted = true;
+
+        window.addEventListener('eip6963:announceProvider', (event) => this.announce(event.detail));
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    announce(detail) {
+        if (!detail || !detail.info || !detail.provider) return;
+
+        const { uuid, name, icon, rdns } = detail.info;
+        const id = rdns || uuid;
+        this.wallets.set(id, {
+            id: id,
+            name: name || 'Browser Wallet',
+            icon: WalletRegistry.isSafeIcon(icon) ? icon : null,
+            type: 'injected',
+            provider: detail.provider
+        });
+
+        console.log('👛 Wallet announced:', name);
+        this.notify();
+    }
+
+    // Icons are shown as images, only data URIs for images are accepted (EIP-6963 recommends it)
+    static isSafeIcon(icon) {
+        return typeof icon === 'string' && /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/i.test(icon);
+    }
+
+    // Wallets from before EIP-6963 only inject window.ethereum, listed unless an announced
+    // wallet already uses that provider
+    getLegacyWallet() {
+        const provider = typeof window.ethereum !== 'undefined' ? window.ethereum : null;
+        if (!provider || [...this.wallets.values()].some(wallet => wallet.provider === provider)) {
+            return null;
+        }
+
+        return {
+            id: 'injected',
+            name: provider.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+            icon: null,
+            type: 'injected',
+            provider: provider
+        };
+    }
+
+    getInjectedWallets() {
+        const legacy = this.getLegacyWallet();
+        return [...this.wallets.values(), ...(legacy ? [legacy] : [])];
+    }
+
+    // Everything the picker offers, the last used wallet first
+    getWallets() {
+        const wallets = this.getInjectedWallets();
+        const pairing = this.pairingProvider;
+        if (pairing && pairing.isAvailable()) {
+            wallets.push({
+                id: pairing.id,
+                name: pairing.name,
+                icon: WalletRegistry.isSafeIcon(pairing.icon) ? pairing.icon : null,
+                type: 'pairing',
+                provider: null
+            });
+        }
+
+        const last = this.getLastWallet();
+        return last ? wallets.sort((a, b) => (b.id === last.id) - (a.id === last.id)) : wallets;
+    }
+
+    getWallet(id) {
+        return this.getWallets().find(wallet => wallet.id === id) || null;
+    }
+
+    setPairingProvider(provider) {
+        this.pairingProvider = provider;
+        this.notify();
+    }
+
+    getLastWallet() {
+        return UTILS.storage.get('last_wallet');
+    }
+
+    // connected says whether to reconnect it on the next load
+    rememberWallet(id, connected = true) {
+        UTILS.storage.set('last_wallet', { id: id, connected: connected });
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getWallets());
+            } catch (error) {
+                console.warn('⚠️ Wallet listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize wallet discovery
+const walletRegistry = new WalletRegistry();
+
+// Export for global use
+window.WalletConnectPairing = WalletConnectPairing;
+window.WalletRegistry = WalletRegistry;
+window.walletRegistry = walletRegistry;
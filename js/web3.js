@@ -1,5 +1,79 @@
 // web3-stable.js - Stable Web3 Integration with Connection Loop Prevention
 
+// The parts of ERC-20 the reward path uses
+const ERC20_ABI = [
+    {
+        name: 'transfer',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+        outputs: [{ name: '', type: 'bool' }]
+    },
+    {
+        name: 'balanceOf',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{ name: 'account', type: 'address' }],
+        outputs: [{ name: '', type: 'uint256' }]
+    },
+    {
+        name: 'decimals',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'uint8' }]
+    }
+];
+
+const VOUCHER_COMPONENTS = [
+    { name: 'recipient', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+];
+
+// Claim contract: pays a voucher signed by the reward pool to its recipient, rejects expired
+// vouchers, and records each nonce so a voucher cannot be claimed twice
+const CLAIM_ABI = [
+    {
+        name: 'claim',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [
+            { name: 'voucher', type: 'tuple', components: VOUCHER_COMPONENTS },
+            { name: 'signature', type: 'bytes' }
+        ],
+        outputs: []
+    },
+    {
+        name: 'claimBatch',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [
+            { name: 'vouchers', type: 'tuple[]', components: VOUCHER_COMPONENTS },
+            { name: 'signatures', type: 'bytes[]' }
+        ],
+        outputs: []
+    },
+    {
+        name: 'claimed',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{ name: 'nonce', type: 'uint256' }],
+        outputs: [{ name: '', type: 'bool' }]
+    },
+    {
+        name: 'Claimed',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { name: 'recipient', type: 'address', indexed: true },
+            { name: 'nonce', type: 'uint256', indexed: true },
+            { name: 'amount', type: 'uint256', indexed: false }
+        ]
+    }
+];
+
 class Web3ManagerStable {
     constructor() {
         this.web3 = null;
@@ -9,7 +83,17 @@ class Web3ManagerStable {
         this.isInitialized = false;
         this.enabled = true;
         this.demoMode = false;
-        this.rewardPoolAddress = '0x694B31c92E618d24D254bb10e7BF22a4a3C1151b';
+        this.wallet = null;
+        this.provider = null;
+        this.providerListeners = null;
+        this.walletPicker = null;
+        this.walletPickerUnsubscribe = null;
+        this.cancelPairing = null;
+        this.rewardPoolAddress = CONFIG.BLOCKCHAIN.CONTRACT.SENDER_ADDRESS;
+        this.rewardWeb3 = null;
+        this.tokenDecimals = null;
+        this.isClaiming = false;
+        this.voucherUISetup = false;
         this.transactionHistory = [];
         this.connectionAttempts = 0;
         this.maxConnectionAttempts = 3;
@@ -47,17 +131,25 @@ class Web3ManagerStable {
             }
         }, 5000);
         
+        if (typeof walletRegistry !== 'undefined') {
+            walletRegistry.startDiscovery();
+        }
+        
         try {
             // Wait a moment for page to settle
             await new Promise(resolve => setTimeout(resolve, 500));
             
-            // Check for MetaMask with stability checks
-            if (this.isMetaMaskAvailable()) {
-                console.log('✅ MetaMask detected - initializing connection');
+            // Wallets announce themselves in response to discovery, the wait above gives them time
+            const wallet = this.getRememberedWallet();
+            if (wallet) {
+                console.log('✅ Checking for a connection to', wallet.name);
+                this.demoMode = false;
+                await this.initializeWallet(wallet);
+            } else if (this.isWalletAvailable()) {
+                console.log('✅ Wallets detected:', walletRegistry.getWallets().map(w => w.name).join(', '));
                 this.demoMode = false;
-                await this.initializeMetaMask();
             } else {
-                console.log('🌐 MetaMask not available - using demo mode');
+                console.log('🌐 No wallet available - using demo mode');
                 this.enableDemoMode();
             }
             
@@ -79,35 +171,64 @@ class Web3ManagerStable {
         }
     }
 
-    isMetaMaskAvailable() {
-        return typeof window.ethereum !== 'undefined' && 
-               window.ethereum.isMetaMask && 
-               !window.ethereum.isConnecting;
+    isWalletAvailable() {
+        return typeof walletRegistry !== 'undefined' && walletRegistry.getWallets().length > 0;
     }
 
-    async initializeMetaMask() {
+    // The injected wallet used last, if it was still connected when the page closed.
+    // Paired wallets need a new QR scan, they are not reconnected.
+    getRememberedWallet() {
+        if (typeof walletRegistry === 'undefined' || !CONFIG.BLOCKCHAIN.WALLETS.REMEMBER_LAST) return null;
+
+        const last = walletRegistry.getLastWallet();
+        // Nothing remembered yet, e.g. connected before wallets were remembered
+        if (!last) return this.getEthereumWallet();
+        if (!last.connected) return null;
+
+        const wallet = walletRegistry.getWallet(last.id);
+        return wallet && wallet.type === 'injected' ? wallet : null;
+    }
+
+    // The wallet behind window.ethereum, the only one checked for a connection before wallet discovery
+    getEthereumWallet() {
+        if (typeof window.ethereum === 'undefined') return null;
+        return walletRegistry.getInjectedWallets().find(wallet => wallet.provider === window.ethereum) || null;
+    }
+
+    async initializeWallet(wallet) {
         try {
-            this.web3 = new Web3(window.ethereum);
-            
-            // Setup event listeners only once
-            if (!this.eventListenersSetup) {
-                this.setupEventListeners();
-                this.eventListenersSetup = true;
-            }
+            this.useProvider(wallet);
             
             // Check existing connection without triggering events
             await this.checkExistingConnection();
             
         } catch (error) {
-            console.error('❌ MetaMask initialization error:', error);
+            console.error('❌ Wallet initialization error:', error);
             this.enableDemoMode();
         }
     }
 
+    // Switches to the wallet's EIP-1193 provider, moving the event listeners over
+    useProvider(wallet) {
+        if (this.provider !== wallet.provider) {
+            this.removeEventListeners();
+        }
+
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.web3 = new Web3(wallet.provider);
+
+        // Setup event listeners only once per provider
+        if (!this.eventListenersSetup) {
+            this.setupEventListeners();
+            this.eventListenersSetup = true;
+        }
+    }
+
     setupEventListeners() {
-        if (!window.ethereum || this.eventListenersSetup) return;
+        if (!this.provider || this.eventListenersSetup) return;
 
-        console.log('🔌 Setting up MetaMask event listeners...');
+        console.log(`🔌 Setting up ${this.wallet.name} event listeners...`);
 
         try {
             // Debounced event handlers to prevent loops
@@ -125,22 +246,22 @@ class Web3ManagerStable {
 
             const debouncedDisconnect = this.debounce(() => {
                 if (!this.isConnecting) {
-                    console.log('🔌 MetaMask disconnected');
+                    console.log('🔌 Wallet disconnected');
                     this.handleDisconnect();
                 }
             }, 500);
 
-            // Remove existing listeners first
-            if (window.ethereum.removeAllListeners) {
-                window.ethereum.removeAllListeners('accountsChanged');
-                window.ethereum.removeAllListeners('chainChanged');
-                window.ethereum.removeAllListeners('disconnect');
-            }
+            // Kept so they can be removed when switching wallets, other scripts may
+            // listen on the same injected provider
+            this.providerListeners = {
+                accountsChanged: debouncedAccountsChanged,
+                chainChanged: debouncedChainChanged,
+                disconnect: debouncedDisconnect
+            };
 
-            // Add new listeners
-            window.ethereum.on('accountsChanged', debouncedAccountsChanged);
-            window.ethereum.on('chainChanged', debouncedChainChanged);
-            window.ethereum.on('disconnect', debouncedDisconnect);
+            Object.entries(this.providerListeners).forEach(([event, listener]) => {
+                this.provider.on(event, listener);
+            });
 
             console.log('✅ Event listeners setup complete');
             
@@ -149,6 +270,17 @@ class Web3ManagerStable {
         }
     }
 
+    removeEventListeners() {
+        if (this.provider && this.providerListeners && this.provider.removeListener) {
+            Object.entries(this.providerListeners).forEach(([event, listener]) => {
+                this.provider.removeListener(event, listener);
+            });
+        }
+
+        this.providerListeners = null;
+        this.eventListenersSetup = false;
+    }
+
     async checkExistingConnection() {
         if (!this.web3 || this.isConnecting) return;
 
@@ -167,6 +299,8 @@ class Web3ManagerStable {
                     console.log('👤 Found existing connection:', this.formatAddress(this.account));
                     this.updateUI();
                     await this.loadBalance();
+                    this.loadVouchers();
+                    this.announceAccount();
                 } else {
                     console.log('✅ Connection status confirmed');
                 }
@@ -203,7 +337,9 @@ class Web3ManagerStable {
         }, 2000);
     }
 
-    async connectWallet() {
+    // Connects the given wallet. Without one, a single browser wallet is used directly and
+    // anything else opens the wallet picker.
+    async connectWallet(walletId = null) {
         // Prevent multiple simultaneous connection attempts
         if (this.isConnecting) {
             console.log('⚠️ Connection already in progress...');
@@ -220,20 +356,30 @@ class Web3ManagerStable {
             return false;
         }
 
+        const wallet = walletId ? walletRegistry.getWallet(walletId) : this.getDefaultWallet();
+        if (!wallet && !walletId && this.isWalletAvailable()) {
+            this.showWalletPicker();
+            this.updateUI();
+            return false;
+        }
+
         this.isConnecting = true;
         this.connectionAttempts++;
 
         try {
-            console.log(`🔌 Connecting to MetaMask (attempt ${this.connectionAttempts}/${this.maxConnectionAttempts})...`);
+            console.log(`🔌 Connecting to ${wallet ? wallet.name : 'wallet'} (attempt ${this.connectionAttempts}/${this.maxConnectionAttempts})...`);
 
-            if (!this.isMetaMaskAvailable()) {
-                throw new Error('MetaMask not available');
+            if (!wallet) {
+                throw new Error('Wallet not available');
             }
 
             // Show connecting state
             this.updateConnectingUI();
 
-            const accounts = await window.ethereum.request({
+            const provider = wallet.type === 'pairing' ? await this.pairWallet() : wallet.provider;
+            this.useProvider({ ...wallet, provider: provider });
+
+            const accounts = await this.provider.request({
                 method: 'eth_requestAccounts'
             });
 
@@ -241,8 +387,10 @@ class Web3ManagerStable {
                 this.account = accounts[0];
                 this.isConnected = true;
                 this.connectionAttempts = 0; // Reset on success
+                walletRegistry.rememberWallet(wallet.id);
+                this.closeWalletPicker();
                 
-                console.log('✅ Wallet connected:', this.formatAddress(this.account));
+                console.log('✅ Wallet connected:', wallet.name, this.formatAddress(this.account));
                 
                 // Ensure correct network
                 await this.ensureCorrectNetwork();
@@ -252,9 +400,11 @@ class Web3ManagerStable {
                 
                 // Load balance
                 await this.loadBalance();
+                this.loadVouchers();
+                this.announceAccount();
                 
                 if (typeof showNotification === 'function') {
-                    showNotification('✅ Wallet connected successfully!', 'success', 4000);
+                    showNotification(`✅ ${wallet.name} connected successfully!`, 'success', 4000);
                 }
                 
                 return true;
@@ -264,6 +414,7 @@ class Web3ManagerStable {
             
         } catch (error) {
             console.error('❌ Wallet connection error:', error);
+            this.closeWalletPicker();
             
             if (error.code === 4001) {
                 if (typeof showNotification === 'function') {
@@ -290,6 +441,40 @@ class Web3ManagerStable {
         }
     }
 
+    // Only a lone browser wallet skips the picker
+    getDefaultWallet() {
+        if (typeof walletRegistry === 'undefined') return null;
+
+        const wallets = walletRegistry.getWallets();
+        return wallets.length === 1 && wallets[0].type === 'injected' ? wallets[0] : null;
+    }
+
+    // Shows the pairing QR code in the wallet picker until the wallet on the phone approves.
+    // Closing the picker cancels the pairing like a rejected request.
+    async pairWallet() {
+        const pairing = walletRegistry.pairingProvider;
+        this.showWalletPicker();
+        this.renderPairing(null);
+
+        const cancelled = new Promise((resolve, reject) => {
+            this.cancelPairing = () => {
+                pairing.cancel();
+                const error = new Error('Pairing cancelled');
+                error.code = 4001;
+                reject(error);
+            };
+        });
+
+        try {
+            return await Promise.race([
+                pairing.connect({ onUri: uri => this.renderPairing(uri) }),
+                cancelled
+            ]);
+        } finally {
+            this.cancelPairing = null;
+        }
+    }
+
     async connectDemoWallet() {
         if (this.isConnecting) return false;
         
@@ -312,6 +497,8 @@ class Web3ManagerStable {
             
             this.updateUI();
             this.loadDemoBalance();
+            this.loadVouchers();
+            this.announceAccount();
             
             if (typeof showNotification === 'function') {
                 showNotification('🎭 Demo wallet connected! Submit content to earn rewards!', 'success', 5000);
@@ -324,6 +511,14 @@ class Web3ManagerStable {
         }
     }
 
+    // Lets the app pay rewards that were waiting for this account, e.g. ones deferred by a cap
+    announceAccount() {
+        if (typeof CustomEvent === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('campusfeedback:wallet', {
+            detail: { account: this.account, demo: this.demoMode }
+        }));
+    }
+
     updateConnectingUI() {
         const connectButton = document.getElementById('connectWallet');
         if (connectButton) {
@@ -336,10 +531,10 @@ class Web3ManagerStable {
     }
 
     async ensureCorrectNetwork() {
-        if (this.demoMode || !window.ethereum) return;
+        if (this.demoMode || !this.provider) return;
 
         try {
-            const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+            const chainId = await this.provider.request({ method: 'eth_chainId' });
             
             if (chainId !== CONFIG.BLOCKCHAIN.NETWORK.chainId) {
                 console.log('🔄 Switching to correct network...');
@@ -352,7 +547,7 @@ class Web3ManagerStable {
 
     async switchNetwork() {
         try {
-            await window.ethereum.request({
+            await this.provider.request({
                 method: 'wallet_switchEthereumChain',
                 params: [{ chainId: CONFIG.BLOCKCHAIN.NETWORK.chainId }]
             });
@@ -360,7 +555,7 @@ class Web3ManagerStable {
         } catch (switchError) {
             if (switchError.code === 4902) {
                 try {
-                    await window.ethereum.request({
+                    await this.provider.request({
                         method: 'wallet_addEthereumChain',
                         params: [CONFIG.BLOCKCHAIN.NETWORK]
                     });
@@ -380,8 +575,8 @@ class Web3ManagerStable {
         if (!this.account || !this.web3) return;
 
         try {
-            const userContributions = this.getUserContributionCount();
-            const shmBalance = (userContributions * 0.01).toFixed(3);
+            const tokenBalance = await this.getTokenBalance(this.account);
+            const shmBalance = tokenBalance !== null ? tokenBalance : this.getEarnedRewards().toFixed(3);
             
             this.updateBalanceUI('0.000', shmBalance);
             
@@ -397,6 +592,15 @@ class Web3ManagerStable {
         this.updateBalanceUI('2.456', shmBalance);
     }
 
+    // Rewards granted to the current user according to the reward ledger
+    getEarnedRewards() {
+        if (typeof rewardLedger === 'undefined' || typeof api === 'undefined') {
+            return this.getUserContributionCount() * CONFIG.BLOCKCHAIN.REWARDS.FEEDBACK_AMOUNT;
+        }
+        const recipient = RewardLedger.getRecipientKey(api.getClientContext());
+        return recipient ? rewardLedger.getTotal(rewardLedger.getGranted(recipient)) : 0;
+    }
+
     getUserContributionCount() {
         try {
             if (typeof UTILS !== 'undefined' && UTILS.storage) {
@@ -411,6 +615,8 @@ class Web3ManagerStable {
     }
 
     updateUI() {
+        this.renderVouchers();
+
         const connectButton = document.getElementById('connectWallet');
         if (!connectButton) return;
 
@@ -475,11 +681,24 @@ class Web3ManagerStable {
         }
 
         console.log('👋 Disconnecting wallet...');
-        
+
         this.account = null;
         this.isConnected = false;
         this.connectionAttempts = 0;
-        
+
+        // Browser wallets cannot be disconnected from here, they are just not reconnected on load
+        if (this.wallet && !this.demoMode) {
+            walletRegistry.rememberWallet(this.wallet.id, false);
+
+            if (this.wallet.type === 'pairing') {
+                this.removeEventListeners();
+                this.wallet = null;
+                this.provider = null;
+                this.web3 = null;
+                await walletRegistry.pairingProvider.disconnect();
+            }
+        }
+
         this.updateUI();
         
         const walletType = this.demoMode ? 'Demo wallet' : 'Wallet';
@@ -510,6 +729,8 @@ class Web3ManagerStable {
                 this.isConnected = true;
                 this.updateUI();
                 this.loadBalance();
+                this.loadVouchers();
+                this.announceAccount();
             }
         }
     }
@@ -548,7 +769,7 @@ class Web3ManagerStable {
     }
 
     // Reward system methods (simplified to prevent errors)
-    async sendReward(recipientAddress, amount = 0.01) {
+    async sendReward(recipientAddress, amount = CONFIG.BLOCKCHAIN.REWARDS.FEEDBACK_AMOUNT) {
         if (!this.isConnected) {
             return this.simulateReward(amount);
         }
@@ -602,29 +823,448 @@ class Web3ManagerStable {
         return demoTx.hash;
     }
 
+    // Web3 that can sign for the reward pool: the configured node, or the connected wallet
+    getRewardWeb3() {
+        const rpcUrl = CONFIG.BLOCKCHAIN.CONTRACT.REWARD_RPC_URL;
+        if (!rpcUrl) return this.web3;
+
+        if (!this.rewardWeb3) {
+            this.rewardWeb3 = new Web3(rpcUrl);
+        }
+        return this.rewardWeb3;
+    }
+
+    getRewardToken(web3) {
+        return new web3.eth.Contract(ERC20_ABI, CONFIG.BLOCKCHAIN.CONTRACT.TOKEN_ADDRESS);
+    }
+
+    async getTokenDecimals(token) {
+        if (this.tokenDecimals === null) {
+            try {
+                this.tokenDecimals = Number(await token.methods.decimals().call());
+            } catch (error) {
+                console.warn('⚠️ Token decimals unavailable, using configured value:', error);
+                this.tokenDecimals = CONFIG.BLOCKCHAIN.CONTRACT.TOKEN_DECIMALS;
+            }
+        }
+        return this.tokenDecimals;
+    }
+
+    // Decimal token amount to the integer base units the contract expects. Works on the
+    // decimal string of the amount, so 0.1 becomes exactly 10^17 units and not its binary value.
+    static toTokenUnits(amount, decimals) {
+        const [mantissa, exponent = '0'] = String(amount).toLowerCase().split('e');
+        const [whole, fraction = ''] = mantissa.split('.');
+        const digits = whole + fraction;
+        // Digits left of the point once the amount is scaled by 10^decimals, precision past it is dropped
+        const integerLength = whole.length + Number(exponent) + decimals;
+
+        if (integerLength <= 0) return '0';
+        const units = integerLength >= digits.length ?
+            digits + '0'.repeat(integerLength - digits.length) :
+            digits.slice(0, integerLength);
+        return BigInt(units).toString();
+    }
+
+    static fromTokenUnits(units, decimals) {
+        return Number(BigInt(units)) / 10 ** decimals;
+    }
+
+    // Gas estimate with the configured buffer on top
+    async estimateGas(method, from) {
+        const estimate = await method.estimateGas({ from: from });
+        const gas = Math.ceil(Number(estimate) * CONFIG.BLOCKCHAIN.CONTRACT.GAS_PRICE_MULTIPLIER);
+        console.log('⛽ Gas estimate:', Number(estimate), '→', gas);
+        return gas;
+    }
+
+    // Reward token balance of the address, null when no token is configured or it cannot be read
+    async getTokenBalance(address) {
+        const web3 = this.getRewardWeb3();
+        if (!CONFIG.BLOCKCHAIN.CONTRACT.TOKEN_ADDRESS || !web3 || !address) return null;
+
+        try {
+            const token = this.getRewardToken(web3);
+            const units = await token.methods.balanceOf(address).call();
+            return Web3ManagerStable.fromTokenUnits(units, await this.getTokenDecimals(token)).toFixed(3);
+        } catch (error) {
+            console.warn('⚠️ Token balance unavailable:', error);
+            return null;
+        }
+    }
+
+    // Sends the reward as an ERC-20 transfer from the reward pool and waits for it to be mined
     async trackReward(recipientAddress, amount) {
-        const trackTx = {
-            hash: `0xtrack${Date.now()}${Math.random().toString(36).substr(2, 6)}`,
+        const web3 = this.getRewardWeb3();
+        if (!CONFIG.BLOCKCHAIN.CONTRACT.TOKEN_ADDRESS || !web3) {
+            console.warn('⚠️ No reward token contract configured, reward not sent');
+            if (typeof showNotification === 'function') {
+                showNotification('Rewards are not available yet, your contribution was still saved.', 'info');
+            }
+            return null;
+        }
+
+        const rewardTx = {
+            hash: null,
             from: this.rewardPoolAddress,
             to: recipientAddress,
             amount: amount,
+            token: CONFIG.BLOCKCHAIN.CONTRACT.TOKEN_ADDRESS,
             timestamp: Date.now(),
-            status: 'tracked',
+            status: 'pending',
             type: 'reward'
         };
-        
-        this.recordTransaction(trackTx);
-        
+
+        try {
+            const token = this.getRewardToken(web3);
+            const units = Web3ManagerStable.toTokenUnits(amount, await this.getTokenDecimals(token));
+            const transfer = token.methods.transfer(recipientAddress, units);
+
+            const gas = await this.estimateGas(transfer, this.rewardPoolAddress);
+
+            // Recorded as pending once the hash is known, the promise resolves with the receipt
+            const sending = transfer.send({ from: this.rewardPoolAddress, gas: gas });
+            sending.on('transactionHash', (hash) => {
+                rewardTx.hash = hash;
+                this.recordTransaction({ ...rewardTx });
+            });
+            const receipt = await sending;
+
+            Object.assign(rewardTx, {
+                hash: receipt.transactionHash,
+                blockNumber: Number(receipt.blockNumber),
+                gasUsed: Number(receipt.gasUsed),
+                status: Number(receipt.status) === 1 ? 'confirmed' : 'failed'
+            });
+            this.recordTransaction({ ...rewardTx });
+
+            if (rewardTx.status !== 'confirmed') {
+                throw new Error(`Reward transfer reverted in block ${rewardTx.blockNumber}`);
+            }
+        } catch (error) {
+            console.error('❌ Reward transfer failed:', error);
+            // Reverts come with the receipt of the mined transaction
+            if (error.receipt) {
+                Object.assign(rewardTx, {
+                    hash: error.receipt.transactionHash,
+                    blockNumber: Number(error.receipt.blockNumber),
+                    gasUsed: Number(error.receipt.gasUsed)
+                });
+            }
+            rewardTx.status = 'failed';
+            rewardTx.error = error.message;
+            this.recordTransaction({ ...rewardTx });
+
+            if (typeof showNotification === 'function') {
+                showNotification(`Reward transfer failed: ${error.message}`, 'error', 6000);
+            }
+            return null;
+        }
+
+        console.log('✅ Reward confirmed:', rewardTx.hash, 'block', rewardTx.blockNumber, 'gas used', rewardTx.gasUsed);
         if (typeof showNotification === 'function') {
-            showNotification(`🎉 Reward earned! +${amount} SHM added to your balance!`, 'success', 6000);
+            showNotification(`🎉 Reward sent! +${amount} SHM confirmed in block ${rewardTx.blockNumber}`, 'success', 6000);
         }
-        
+
         setTimeout(() => this.loadBalance(), 1000);
-        return trackTx.hash;
+        return rewardTx.hash;
+    }
+
+    // Reward vouchers: the backend signs one per approved submission (EIP-712) and the student
+    // claims them from the claim contract, so the pool's key never reaches the browser
+    usesRewardVouchers() {
+        return Boolean(CONFIG.BLOCKCHAIN.CONTRACT.CLAIM_ADDRESS);
+    }
+
+    static getVoucherTypedData(voucher) {
+        return {
+            types: {
+                EIP712Domain: [
+                    { name: 'name', type: 'string' },
+                    { name: 'version', type: 'string' },
+                    { name: 'chainId', type: 'uint256' },
+                    { name: 'verifyingContract', type: 'address' }
+                ],
+                RewardVoucher: VOUCHER_COMPONENTS
+            },
+            primaryType: 'RewardVoucher',
+            domain: {
+                ...CONFIG.BLOCKCHAIN.VOUCHERS.DOMAIN,
+                chainId: voucher.chainId,
+                verifyingContract: voucher.verifyingContract
+            },
+            message: {
+                recipient: voucher.recipient,
+                amount: voucher.amount,
+                nonce: voucher.nonce,
+                expiry: voucher.expiry
+            }
+        };
+    }
+
+    getVouchers() {
+        const stored = typeof UTILS !== 'undefined' && UTILS.storage ? UTILS.storage.get('reward_vouchers') : null;
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    // Adds or refreshes vouchers by nonce, a voucher claimed here stays claimed
+    storeVouchers(vouchers) {
+        const byNonce = new Map(this.getVouchers().map(voucher => [voucher.nonce, voucher]));
+        vouchers.forEach(voucher => {
+            const existing = byNonce.get(voucher.nonce);
+            byNonce.set(voucher.nonce, {
+                ...existing,
+                ...voucher,
+                status: existing?.status === 'claimed' ? 'claimed' : (voucher.status || 'issued')
+            });
+        });
+        UTILS.storage.set('reward_vouchers', [...byNonce.values()]);
+    }
+
+    updateVouchers(nonces, changes) {
+        UTILS.storage.set('reward_vouchers', this.getVouchers().map(voucher =>
+            nonces.includes(voucher.nonce) ? { ...voucher, ...changes } : voucher
+        ));
     }
 
+    getAccountVouchers(account = this.account) {
+        if (!account) return [];
+        return this.getVouchers().filter(voucher => voucher.recipient.toLowerCase() === account.toLowerCase());
+    }
+
+    isVoucherExpired(voucher, now = Date.now()) {
+        return Number(voucher.expiry) * 1000 <= now;
+    }
+
+    getClaimableVouchers(now = Date.now()) {
+        return this.getAccountVouchers().filter(voucher => voucher.status === 'issued' && !this.isVoucherExpired(voucher, now));
+    }
+
+    // kind is 'reward', or 'bonus' for a quality top-up granted later
+    async requestVoucher(submission, type = 'feedback', kind = 'reward') {
+        const response = await api.requestRewardVoucher({
+            submissionId: submission.id,
+            submissionType: type,
+            recipient: this.account,
+            kind: kind
+        });
+        const voucher = response.data.voucher;
+
+        this.storeVouchers([voucher]);
+        this.renderVouchers();
+        console.log('🎟️ Reward voucher issued:', voucher.nonce);
+        return voucher;
+    }
+
+    // Picks up vouchers issued while this browser was away
+    async loadVouchers() {
+        if (!this.account || typeof api === 'undefined' || !this.usesRewardVouchers()) return;
+
+        try {
+            const response = await api.getRewardVouchers(this.account);
+            this.storeVouchers(response?.data?.vouchers || []);
+        } catch (error) {
+            console.warn('⚠️ Could not load reward vouchers:', error);
+        }
+        this.renderVouchers();
+    }
+
+    async claimVoucher(nonce) {
+        return await this.claimVouchers([nonce]);
+    }
+
+    // Claims the given vouchers, or every claimable one, in a single transaction
+    async claimVouchers(nonces = null) {
+        if (this.isClaiming) return null;
+
+        let vouchers = this.getClaimableVouchers()
+            .filter(voucher => !nonces || nonces.includes(voucher.nonce))
+            .slice(0, CONFIG.BLOCKCHAIN.VOUCHERS.MAX_BATCH);
+        if (vouchers.length === 0) {
+            if (typeof showNotification === 'function') {
+                showNotification('No reward vouchers to claim', 'info');
+            }
+            return null;
+        }
+
+        this.isClaiming = true;
+        this.renderVouchers();
+
+        try {
+            // Demo vouchers are unsigned and settled locally
+            const demoVouchers = vouchers.filter(voucher => voucher.demo || !voucher.signature);
+            if (demoVouchers.length > 0) {
+                this.claimDemoVouchers(demoVouchers);
+                vouchers = vouchers.filter(voucher => !demoVouchers.includes(voucher));
+                if (vouchers.length === 0) return null;
+            }
+
+            if (this.demoMode || !this.web3) {
+                throw new Error('Connect a wallet to claim rewards');
+            }
+
+            const contract = new this.web3.eth.Contract(CLAIM_ABI, CONFIG.BLOCKCHAIN.CONTRACT.CLAIM_ADDRESS);
+
+            // Vouchers claimed elsewhere, e.g. from another browser, would revert the whole batch
+            const claimed = await Promise.all(vouchers.map(voucher => contract.methods.claimed(voucher.nonce).call()));
+            const alreadyClaimed = vouchers.filter((voucher, index) => claimed[index]);
+            if (alreadyClaimed.length > 0) {
+                this.updateVouchers(alreadyClaimed.map(voucher => voucher.nonce), { status: 'claimed' });
+                vouchers = vouchers.filter((voucher, index) => !claimed[index]);
+            }
+            if (vouchers.length === 0) {
+                if (typeof showNotification === 'function') {
+                    showNotification('These vouchers were already claimed', 'info');
+                }
+                return null;
+            }
+
+            const tuples = vouchers.map(voucher => [voucher.recipient, voucher.amount, voucher.nonce, voucher.expiry]);
+            const method = vouchers.length === 1 ?
+                contract.methods.claim(tuples[0], vouchers[0].signature) :
+                contract.methods.claimBatch(tuples, vouchers.map(voucher => voucher.signature));
+
+            const gas = await this.estimateGas(method, this.account);
+            const receipt = await method.send({ from: this.account, gas: gas });
+            const claimedNonces = vouchers.map(voucher => voucher.nonce);
+            const amount = Math.round(vouchers.reduce((sum, voucher) => sum + voucher.tokenAmount, 0) * 1e6) / 1e6;
+
+            const claimTx = {
+                hash: receipt.transactionHash,
+                from: CONFIG.BLOCKCHAIN.CONTRACT.CLAIM_ADDRESS,
+                to: this.account,
+                amount: amount,
+                token: CONFIG.BLOCKCHAIN.CONTRACT.TOKEN_ADDRESS,
+                timestamp: Date.now(),
+                status: Number(receipt.status) === 1 ? 'confirmed' : 'failed',
+                type: 'claim',
+                vouchers: claimedNonces,
+                blockNumber: Number(receipt.blockNumber),
+                gasUsed: Number(receipt.gasUsed)
+            };
+            this.recordTransaction(claimTx);
+
+            if (claimTx.status !== 'confirmed') {
+                throw new Error(`Claim reverted in block ${claimTx.blockNumber}`);
+            }
+
+            this.updateVouchers(claimedNonces, { status: 'claimed', claimTx: claimTx.hash, claimedAt: claimTx.timestamp });
+            console.log('✅ Claimed', claimedNonces.length, 'vouchers in block', claimTx.blockNumber);
+            if (typeof showNotification === 'function') {
+                showNotification(`🎉 Claimed ${amount} SHM from ${claimedNonces.length} voucher${claimedNonces.length === 1 ? '' : 's'}!`, 'success', 6000);
+            }
+
+            setTimeout(() => this.loadBalance(), 1000);
+            return claimTx.hash;
+        } catch (error) {
+            console.error('❌ Voucher claim failed:', error);
+            if (typeof showNotification === 'function') {
+                showNotification(`Claim failed: ${error.message}`, 'error', 6000);
+            }
+            return null;
+        } finally {
+            this.isClaiming = false;
+            this.renderVouchers();
+        }
+    }
+
+    claimDemoVouchers(vouchers) {
+        const amount = Math.round(vouchers.reduce((sum, voucher) => sum + voucher.tokenAmount, 0) * 1e6) / 1e6;
+        const demoTx = {
+            hash: `0xdemo${Date.now()}${Math.random().toString(36).substr(2, 6)}`,
+            from: this.rewardPoolAddress,
+            to: this.account,
+            amount: amount,
+            timestamp: Date.now(),
+            status: 'confirmed',
+            type: 'claim',
+            vouchers: vouchers.map(voucher => voucher.nonce),
+            demo: true
+        };
+
+        this.recordTransaction(demoTx);
+        this.updateVouchers(demoTx.vouchers, { status: 'claimed', claimTx: demoTx.hash, claimedAt: demoTx.timestamp });
+
+        if (typeof showNotification === 'function') {
+            showNotification(`🎉 Demo claim: +${amount} SHM tokens!`, 'success', 6000);
+        }
+    }
+
+    renderVouchers() {
+        const container = document.getElementById('rewardVouchers');
+        if (!container) return;
+
+        this.setupVoucherUI(container);
+
+        const vouchers = this.getAccountVouchers().sort((a, b) => (b.issuedAt || 0) - (a.issuedAt || 0));
+        const claimable = this.getClaimableVouchers();
+        const claimAll = document.getElementById('claimAllVouchersBtn');
+        if (claimAll) {
+            claimAll.disabled = this.isClaiming || claimable.length < 2;
+        }
+
+        if (vouchers.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-ticket-alt"></i>
+                    <p>${this.account ? 'Approved feedback and reports earn vouchers you can claim here.' : 'Connect your wallet to see your reward vouchers.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = vouchers.map(voucher => {
+            const expired = voucher.status === 'issued' && this.isVoucherExpired(voucher);
+            const status = voucher.status === 'claimed' ?
+                '<span class="badge badge-success"><i class="fas fa-check-circle"></i> Claimed</span>' :
+                expired ?
+                    '<span class="badge badge-secondary"><i class="fas fa-hourglass-end"></i> Expired</span>' :
+                    `<button type="button" class="btn btn-primary btn-sm" data-claim-voucher="${voucher.nonce}" ${this.isClaiming ? 'disabled' : ''}>
+                        <i class="fas fa-hand-holding-usd"></i> Claim
+                    </button>`;
+
+            return `
+                <div class="voucher-item">
+                    <div class="voucher-info">
+                        <strong>${voucher.tokenAmount} ${CONFIG.BLOCKCHAIN.REWARDS.CURRENCY}</strong>
+                        <span>${voucher.submissionType === 'report' ? 'Report' : 'Feedback'} ${voucher.kind === 'bonus' ? 'quality bonus' : 'reward'}${voucher.demo ? ' (Demo)' : ''}</span>
+                        <small>${voucher.status === 'claimed' ?
+                            `Claimed ${UTILS.formatDate(voucher.claimedAt)}` :
+                            `${expired ? 'Expired' : 'Expires'} ${new Date(Number(voucher.expiry) * 1000).toLocaleDateString()}`}</small>
+                    </div>
+                    ${status}
+                </div>
+            `;
+        }).join('');
+    }
+
+    setupVoucherUI(container) {
+        if (this.voucherUISetup) return;
+        this.voucherUISetup = true;
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-claim-voucher]');
+            if (button) {
+                this.claimVoucher(button.dataset.claimVoucher);
+            }
+        });
+
+        const claimAll = document.getElementById('claimAllVouchersBtn');
+        if (claimAll) {
+            claimAll.addEventListener('click', () => this.claimVouchers());
+        }
+    }
+
+    // Adds the transaction, or updates the entry with the same hash as it progresses
     recordTransaction(transaction) {
-        this.transactionHistory.unshift(transaction);
+        const index = transaction.hash ?
+            this.transactionHistory.findIndex(tx => tx.hash === transaction.hash) :
+            -1;
+        if (index !== -1) {
+            this.transactionHistory[index] = { ...this.transactionHistory[index], ...transaction };
+        } else {
+            this.transactionHistory.unshift(transaction);
+        }
         
         // Keep only last 50 transactions
         if (this.transactionHistory.length > 50) {
@@ -675,6 +1315,8 @@ class Web3ManagerStable {
         `;
         
         const refreshText = this.demoMode ? 'Refresh Demo' : 'Refresh Balance';
+        const claimable = this.getClaimableVouchers().length;
+        const canSwitch = !this.demoMode && walletRegistry.getWallets().length > 1;
         
         menu.innerHTML = `
             <button class="dropdown-item" onclick="web3Manager.copyAddress(); this.parentElement.remove();">
@@ -685,6 +1327,18 @@ class Web3ManagerStable {
                 <i class="fas fa-sync-alt"></i>
                 ${refreshText}
             </button>
+            ${claimable > 0 ? `
+                <button class="dropdown-item" onclick="web3Manager.claimVouchers(); this.parentElement.remove();">
+                    <i class="fas fa-hand-holding-usd"></i>
+                    Claim Rewards (${claimable})
+                </button>
+            ` : ''}
+            ${canSwitch ? `
+                <button class="dropdown-item" onclick="web3Manager.showWalletPicker(); this.parentElement.remove();">
+                    <i class="fas fa-exchange-alt"></i>
+                    Switch Wallet
+                </button>
+            ` : ''}
             <div style="height: 1px; background: #e5e7eb; margin: 8px 0;"></div>
             <button class="dropdown-item" onclick="web3Manager.disconnectWallet(); this.parentElement.remove();" style="color: #ef4444;">
                 <i class="fas fa-sign-out-alt"></i>
@@ -705,6 +1359,149 @@ class Web3ManagerStable {
         }, 100);
     }
 
+    showWalletPicker() {
+        if (!this.walletPicker) {
+            const modal = document.createElement('div');
+            modal.className = 'modal-overlay wallet-picker';
+            modal.innerHTML = `
+                <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="walletPickerTitle">
+                    <div class="modal-header">
+                        <h3 id="walletPickerTitle"><i class="fas fa-wallet"></i> Connect a Wallet</h3>
+                        <button type="button" class="modal-close" data-wallet-close aria-label="Close">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body"></div>
+                </div>
+            `;
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('[data-wallet-close]')) {
+                    this.closeWalletPicker();
+                    return;
+                }
+
+                const option = e.target.closest('[data-wallet-id]');
+                if (option && !this.isConnecting) {
+                    this.connectWallet(option.dataset.walletId);
+                }
+
+                const copy = e.target.closest('[data-copy-uri]');
+                if (copy && navigator.clipboard) {
+                    navigator.clipboard.writeText(copy.dataset.copyUri).then(() => {
+                        if (typeof showNotification === 'function') {
+                            showNotification('📋 Pairing link copied!', 'success');
+                        }
+                    });
+                }
+            });
+
+            document.body.appendChild(modal);
+            this.walletPicker = modal;
+
+            // Wallets can announce themselves after the picker opened
+            this.walletPickerUnsubscribe = walletRegistry.onChange(() => {
+                if (!this.cancelPairing) this.renderWalletOptions();
+            });
+        }
+
+        this.renderWalletOptions();
+    }
+
+    renderWalletOptions() {
+        if (!this.walletPicker) return;
+
+        const body = this.walletPicker.querySelector('.modal-body');
+        const wallets = walletRegistry.getWallets();
+        const last = walletRegistry.getLastWallet();
+        const escape = value => UTILS.validation.sanitizeHTML(String(value)).replace(/"/g, '&quot;');
+
+        if (wallets.length === 0) {
+            body.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-wallet"></i>
+                    <p>No wallet found. Install a browser wallet extension and reload the page.</p>
+                </div>
+            `;
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="wallet-options">
+                ${wallets.map(wallet => `
+                    <button type="button" class="wallet-option" data-wallet-id="${escape(wallet.id)}" ${this.isConnecting ? 'disabled' : ''}>
+                        ${wallet.icon ?
+                            `<img class="wallet-option-icon" src="${escape(wallet.icon)}" alt="">` :
+                            `<i class="wallet-option-icon fas ${wallet.type === 'pairing' ? 'fa-qrcode' : 'fa-wallet'}"></i>`}
+                        <span class="wallet-option-name">
+                            ${escape(wallet.name)}
+                            <small>${wallet.type === 'pairing' ? 'Scan a QR code with a mobile wallet' : 'Browser wallet'}</small>
+                        </span>
+                        ${this.isConnected && this.wallet && this.wallet.id === wallet.id ?
+                            '<span class="badge badge-success">Connected</span>' :
+                            last && last.id === wallet.id ? '<span class="badge badge-secondary">Last used</span>' : ''}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // uri is null until the pairing provider has created the session
+    renderPairing(uri) {
+        if (!this.walletPicker) return;
+
+        const body = this.walletPicker.querySelector('.modal-body');
+        const escaped = uri ? UTILS.validation.sanitizeHTML(uri).replace(/"/g, '&quot;') : '';
+
+        body.innerHTML = `
+            <div class="wallet-pairing">
+                <p>Scan this code with a WalletConnect-compatible wallet on your phone, then approve the connection there.</p>
+                <div class="wallet-qr">
+                    ${uri ? this.renderQRCode(uri) : '<i class="fas fa-spinner fa-spin"></i>'}
+                </div>
+                ${uri ? `
+                    <div class="wallet-pairing-actions">
+                        <a class="btn btn-primary btn-sm" href="${escaped}">
+                            <i class="fas fa-mobile-alt"></i> Open Wallet App
+                        </a>
+                        <button type="button" class="btn btn-secondary btn-sm" data-copy-uri="${escaped}">
+                            <i class="fas fa-copy"></i> Copy Link
+                        </button>
+                    </div>
+                ` : ''}
+                <button type="button" class="btn btn-secondary btn-sm" data-wallet-close>Cancel</button>
+            </div>
+        `;
+    }
+
+    // Falls back to the pairing link as text when the QR code library did not load
+    renderQRCode(uri) {
+        if (typeof qrcode === 'undefined') {
+            return `<code class="wallet-pairing-uri">${UTILS.validation.sanitizeHTML(uri)}</code>`;
+        }
+
+        const code = qrcode(0, 'M');
+        code.addData(uri);
+        code.make();
+        return code.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+    }
+
+    closeWalletPicker() {
+        if (this.cancelPairing) {
+            this.cancelPairing();
+        }
+
+        if (this.walletPickerUnsubscribe) {
+            this.walletPickerUnsubscribe();
+            this.walletPickerUnsubscribe = null;
+        }
+
+        if (this.walletPicker) {
+            this.walletPicker.remove();
+            this.walletPicker = null;
+        }
+    }
+
     copyAddress() {
         if (this.account && navigator.clipboard) {
             navigator.clipboard.writeText(this.account).then(() => {
@@ -0,0 +1,82 @@
+// moderation-stub-server.js - Local stand-in for an HTTP moderation endpoint
+//
+// Usage: node tools/moderation-stub-server.js [port]
+// Then set CONFIG.AI.MODERATION.PROVIDER to 'http' (or ['http', 'keyword'] to
+// test fallback) and CONFIG.AI.MODERATION.HTTP.URL to http://localhost:8787/moderate
+//
+// Query parameters shape the reply:
+//   ?format=openai  answer with OpenAI-style { results: [{ flagged, categories, category_scores }] }
+//   ?mode=error     answer 503, ?mode=slow waits 10s so the client timeout fires
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const flaggedWords = ['spam', 'scam', 'hate', 'harassment', 'violent'];
+
+function moderate(text) {
+    const lower = String(text || '').toLowerCase();
+    const hits = flaggedWords.filter(word => lower.includes(word));
+    const toxicityScore = Math.min(1, hits.length * 0.4);
+
+    return {
+        hits,
+        toxicityScore,
+        approved: toxicityScore < 0.7
+    };
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const send = (status, body) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') return send(204);
+    if (req.method !== 'POST' || url.pathname !== '/moderate') return send(404, { error: 'Not found' });
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(raw || '{}');
+        } catch (error) {
+            return send(400, { error: 'Invalid JSON' });
+        }
+
+        const mode = url.searchParams.get('mode');
+        if (mode === 'error') return send(503, { error: 'Moderation service unavailable' });
+
+        const verdict = moderate(payload.text);
+        const body = url.searchParams.get('format') === 'openai' ?
+            {
+                results: [{
+                    flagged: !verdict.approved,
+                    categories: { harassment: !verdict.approved },
+                    category_scores: { harassment: verdict.toxicityScore }
+                }]
+            } :
+            {
+                approved: verdict.approved,
+                toxicityScore: verdict.toxicityScore,
+                issues: verdict.hits.map(word => `Contains potentially harmful word: "${word}"`),
+                reason: verdict.approved ? 'Content approved' : 'Content flagged for review'
+            };
+
+        if (mode === 'slow') {
+            setTimeout(() => send(200, body), 10000);
+        } else {
+            send(200, body);
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🛡️ Moderation stub listening on http://localhost:${port}/moderate`);
+});